@@ -8,6 +8,9 @@ import { loadSSMParams } from "../config/ssm-params-util";
 const configParams = require("../config/config.params.json");
 
 import { CognitoStack } from "./infrastructure/cognito-stack";
+import { DeepLProxyStack } from "./infrastructure/deepl-proxy-stack";
+import { RecordingStack } from "./infrastructure/recording-stack";
+import { ContactTranscriptStack } from "./infrastructure/contact-transcript-stack";
 import { FrontendConfigStack } from "./frontend/frontend-config-stack";
 
 export class CdkBackendStack extends cdk.Stack {
@@ -31,6 +34,31 @@ export class CdkBackendStack extends cdk.Stack {
       cdkAppName: configParams["CdkAppName"],
     });
 
+    const deepLProxyStack = new DeepLProxyStack(this, "DeepLProxyStack", {
+      SSMParams: ssmParams,
+      cdkAppName: configParams["CdkAppName"],
+      userPool: cognitoStack.userPool,
+      userPoolClient: cognitoStack.userPoolClient,
+    });
+
+    const contactTranscriptStack = new ContactTranscriptStack(this, "ContactTranscriptStack", {
+      SSMParams: ssmParams,
+      cdkAppName: configParams["CdkAppName"],
+      userPool: cognitoStack.userPool,
+      userPoolClient: cognitoStack.userPoolClient,
+    });
+
+    //optional, recordings are only downloaded by the agent when the bucket is not deployed
+    let recordingStack: RecordingStack | undefined;
+    if (ssmParams.recordingUploadEnabled) {
+      recordingStack = new RecordingStack(this, "RecordingStack", {
+        SSMParams: ssmParams,
+        cdkAppName: configParams["CdkAppName"],
+        userPool: cognitoStack.userPool,
+        userPoolClient: cognitoStack.userPoolClient,
+      });
+    }
+
     /**************************************************************************************************************
      * CDK Outputs *
      **************************************************************************************************************/
@@ -46,9 +74,28 @@ export class CdkBackendStack extends cdk.Stack {
     this.backendStackOutputs.push({ key: "translateProxyEnabled", value: String(ssmParams.translateProxyEnabled) });
     this.backendStackOutputs.push({ key: "pollyRegion", value: ssmParams.pollyRegion });
     this.backendStackOutputs.push({ key: "pollyProxyEnabled", value: String(ssmParams.pollyProxyEnabled) });
+    this.backendStackOutputs.push({ key: "deepLGetLanguagesProxyUrl", value: deepLProxyStack.getLanguagesFunctionUrl.url });
+    this.backendStackOutputs.push({ key: "deepLRequestSessionProxyUrl", value: deepLProxyStack.requestSessionFunctionUrl.url });
+    this.backendStackOutputs.push({ key: "deepLGlossariesProxyUrl", value: deepLProxyStack.glossariesFunctionUrl.url });
+    this.backendStackOutputs.push({ key: "deepLTranslateTextProxyUrl", value: deepLProxyStack.translateTextFunctionUrl.url });
+    this.backendStackOutputs.push({ key: "contactTranscriptUrl", value: contactTranscriptStack.contactTranscriptFunctionUrl.url });
+    this.backendStackOutputs.push({ key: "recordingUploadUrl", value: recordingStack?.recordingUploadFunctionUrl.url ?? ssmParams.SSM_NOT_DEFINED });
+    this.backendStackOutputs.push({ key: "queueLanguagePresets", value: ssmParams.queueLanguagePresets });
+    this.backendStackOutputs.push({ key: "customerLanguageAttributeName", value: ssmParams.customerLanguageAttributeName });
+    this.backendStackOutputs.push({ key: "customerFormalityAttributeName", value: ssmParams.customerFormalityAttributeName });
 
     new cdk.CfnOutput(this, "userPoolId", {
       value: cognitoStack.userPool.userPoolId,
     });
+
+    new cdk.CfnOutput(this, "transcriptsBucket", {
+      value: contactTranscriptStack.transcriptsBucket.bucketName,
+    });
+
+    if (recordingStack) {
+      new cdk.CfnOutput(this, "recordingsBucket", {
+        value: recordingStack.recordingsBucket.bucketName,
+      });
+    }
   }
 }
@@ -0,0 +1,77 @@
+// Copyright 2025 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import * as cdk from "aws-cdk-lib";
+import * as iam from "aws-cdk-lib/aws-iam";
+import * as lambda from "aws-cdk-lib/aws-lambda";
+import * as s3 from "aws-cdk-lib/aws-s3";
+import * as cognito from "aws-cdk-lib/aws-cognito";
+import { Construct } from "constructs";
+
+export interface ContactTranscriptStackProps extends cdk.NestedStackProps {
+  readonly SSMParams: any;
+  readonly cdkAppName: string;
+  readonly userPool: cognito.IUserPool;
+  readonly userPoolClient: cognito.IUserPoolClient;
+}
+
+export class ContactTranscriptStack extends cdk.NestedStack {
+  public readonly transcriptsBucket: s3.IBucket;
+  public readonly contactTranscriptFunctionUrl: lambda.FunctionUrl;
+
+  constructor(scope: Construct, id: string, props: ContactTranscriptStackProps) {
+    super(scope, id, props);
+
+    //bilingual transcripts of ended contacts, linked from the contact attributes
+    const transcriptsBucket = new s3.Bucket(this, "TranscriptsBucket", {
+      bucketName: `${props.cdkAppName}-TranscriptsBucket-${this.account}-${this.region}`.toLowerCase(),
+      blockPublicAccess: s3.BlockPublicAccess.BLOCK_ALL,
+      encryption: s3.BucketEncryption.S3_MANAGED,
+      enforceSSL: true,
+      versioned: true,
+      removalPolicy: cdk.RemovalPolicy.RETAIN,
+    });
+
+    //contact attributes can only be written on the configured Amazon Connect instance
+    const connectInstanceArn: string = props.SSMParams.connectInstanceArn;
+    const connectInstanceId = connectInstanceArn.substring(connectInstanceArn.lastIndexOf("/") + 1);
+
+    const contactTranscriptFunction = new lambda.Function(this, "ContactTranscript", {
+      functionName: `${props.cdkAppName}-ContactTranscript`,
+      runtime: lambda.Runtime.NODEJS_20_X,
+      code: lambda.Code.fromAsset("../lambda-functions", {
+        exclude: ["*.zip", "*.json", "*.test.mjs"],
+      }),
+      handler: "contact-transcript/index.handler",
+      timeout: cdk.Duration.seconds(30),
+      memorySize: 256,
+      environment: {
+        TRANSCRIPTS_BUCKET_NAME: transcriptsBucket.bucketName,
+        CONNECT_REGION: props.SSMParams.connectInstanceRegion,
+        CONNECT_INSTANCE_ID: connectInstanceId,
+        COGNITO_USER_POOL_ID: props.userPool.userPoolId,
+        COGNITO_APP_CLIENT_ID: props.userPoolClient.userPoolClientId,
+        COGNITO_REGION: this.region,
+      },
+    });
+    transcriptsBucket.grantPut(contactTranscriptFunction, "transcripts/*");
+    contactTranscriptFunction.addToRolePolicy(
+      new iam.PolicyStatement({
+        effect: iam.Effect.ALLOW,
+        actions: ["connect:UpdateContactAttributes"],
+        resources: [`${connectInstanceArn}/contact/*`],
+      })
+    );
+
+    //callers are authenticated by the function itself, using the Cognito ID token
+    this.contactTranscriptFunctionUrl = contactTranscriptFunction.addFunctionUrl({
+      authType: lambda.FunctionUrlAuthType.NONE,
+      cors: {
+        allowedOrigins: ["*"],
+        allowedMethods: [lambda.HttpMethod.ALL],
+        allowedHeaders: ["*", "authorization"],
+        maxAge: cdk.Duration.days(1),
+      },
+    });
+    this.transcriptsBucket = transcriptsBucket;
+  }
+}
@@ -0,0 +1,67 @@
+// Copyright 2025 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import * as cdk from "aws-cdk-lib";
+import * as lambda from "aws-cdk-lib/aws-lambda";
+import * as cognito from "aws-cdk-lib/aws-cognito";
+import * as secretsmanager from "aws-cdk-lib/aws-secretsmanager";
+import { Construct } from "constructs";
+
+export interface DeepLProxyStackProps extends cdk.NestedStackProps {
+  readonly SSMParams: any;
+  readonly cdkAppName: string;
+  readonly userPool: cognito.IUserPool;
+  readonly userPoolClient: cognito.IUserPoolClient;
+}
+
+export class DeepLProxyStack extends cdk.NestedStack {
+  public readonly getLanguagesFunctionUrl: lambda.FunctionUrl;
+  public readonly requestSessionFunctionUrl: lambda.FunctionUrl;
+  public readonly glossariesFunctionUrl: lambda.FunctionUrl;
+  public readonly translateTextFunctionUrl: lambda.FunctionUrl;
+
+  constructor(scope: Construct, id: string, props: DeepLProxyStackProps) {
+    super(scope, id, props);
+
+    //the DeepL API key is stored by the user in Secrets Manager, it never leaves the Lambda functions
+    const deepLApiKeySecret = secretsmanager.Secret.fromSecretNameV2(this, "DeepLApiKeySecret", props.SSMParams.deepLApiKeySecretName);
+
+    //all functions share lambda-functions/common, so the whole folder is packaged for each of them
+    const deepLProxyCode = lambda.Code.fromAsset("../lambda-functions", {
+      exclude: ["*.zip", "*.json", "*.test.mjs"],
+    });
+
+    const createDeepLProxyFunction = (functionId: string, functionFolder: string) => {
+      const deepLProxyFunction = new lambda.Function(this, functionId, {
+        functionName: `${props.cdkAppName}-${functionId}`,
+        runtime: lambda.Runtime.NODEJS_20_X,
+        code: deepLProxyCode,
+        handler: `${functionFolder}/index.handler`,
+        timeout: cdk.Duration.seconds(30),
+        memorySize: 256,
+        environment: {
+          DEEPL_API_KEY_SECRET_ID: deepLApiKeySecret.secretName,
+          COGNITO_USER_POOL_ID: props.userPool.userPoolId,
+          COGNITO_APP_CLIENT_ID: props.userPoolClient.userPoolClientId,
+          COGNITO_REGION: this.region,
+        },
+      });
+      deepLApiKeySecret.grantRead(deepLProxyFunction);
+
+      //callers are authenticated by the function itself, using the Cognito ID token
+      return deepLProxyFunction.addFunctionUrl({
+        authType: lambda.FunctionUrlAuthType.NONE,
+        cors: {
+          allowedOrigins: ["*"],
+          allowedMethods: [lambda.HttpMethod.ALL],
+          allowedHeaders: ["*", "authorization"],
+          maxAge: cdk.Duration.days(1),
+        },
+      });
+    };
+
+    this.getLanguagesFunctionUrl = createDeepLProxyFunction("DeepLGetLanguages", "get-languages");
+    this.requestSessionFunctionUrl = createDeepLProxyFunction("DeepLRequestSession", "request-session");
+    this.glossariesFunctionUrl = createDeepLProxyFunction("DeepLGlossaries", "glossaries");
+    this.translateTextFunctionUrl = createDeepLProxyFunction("DeepLTranslateText", "translate-text");
+  }
+}
@@ -0,0 +1,72 @@
+// Copyright 2025 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import * as cdk from "aws-cdk-lib";
+import * as lambda from "aws-cdk-lib/aws-lambda";
+import * as s3 from "aws-cdk-lib/aws-s3";
+import * as cognito from "aws-cdk-lib/aws-cognito";
+import { Construct } from "constructs";
+
+export interface RecordingStackProps extends cdk.NestedStackProps {
+  readonly SSMParams: any;
+  readonly cdkAppName: string;
+  readonly userPool: cognito.IUserPool;
+  readonly userPoolClient: cognito.IUserPoolClient;
+}
+
+export class RecordingStack extends cdk.NestedStack {
+  public readonly recordingsBucket: s3.IBucket;
+  public readonly recordingUploadFunctionUrl: lambda.FunctionUrl;
+
+  constructor(scope: Construct, id: string, props: RecordingStackProps) {
+    super(scope, id, props);
+
+    //call recordings and transcripts, uploaded by the webapp with presigned URLs
+    const recordingsBucket = new s3.Bucket(this, "RecordingsBucket", {
+      bucketName: `${props.cdkAppName}-RecordingsBucket-${this.account}-${this.region}`.toLowerCase(),
+      blockPublicAccess: s3.BlockPublicAccess.BLOCK_ALL,
+      encryption: s3.BucketEncryption.S3_MANAGED,
+      enforceSSL: true,
+      versioned: true,
+      removalPolicy: cdk.RemovalPolicy.RETAIN,
+      cors: [
+        {
+          allowedOrigins: ["*"],
+          allowedMethods: [s3.HttpMethods.PUT],
+          allowedHeaders: ["*"],
+          maxAge: 3600,
+        },
+      ],
+    });
+
+    const recordingUploadFunction = new lambda.Function(this, "RecordingUpload", {
+      functionName: `${props.cdkAppName}-RecordingUpload`,
+      runtime: lambda.Runtime.NODEJS_20_X,
+      code: lambda.Code.fromAsset("../lambda-functions", {
+        exclude: ["*.zip", "*.json", "*.test.mjs"],
+      }),
+      handler: "recording-upload/index.handler",
+      timeout: cdk.Duration.seconds(30),
+      memorySize: 256,
+      environment: {
+        RECORDINGS_BUCKET_NAME: recordingsBucket.bucketName,
+        COGNITO_USER_POOL_ID: props.userPool.userPoolId,
+        COGNITO_APP_CLIENT_ID: props.userPoolClient.userPoolClientId,
+        COGNITO_REGION: this.region,
+      },
+    });
+    //the presigned URLs are signed with the function role, so the role needs the put permission
+    recordingsBucket.grantPut(recordingUploadFunction, "recordings/*");
+
+    //callers are authenticated by the function itself, using the Cognito ID token
+    this.recordingUploadFunctionUrl = recordingUploadFunction.addFunctionUrl({
+      authType: lambda.FunctionUrlAuthType.NONE,
+      cors: {
+        allowedOrigins: ["*"],
+        allowedMethods: [lambda.HttpMethod.ALL],
+        allowedHeaders: ["*", "authorization"],
+        maxAge: cdk.Duration.days(1),
+      },
+    });
+    this.recordingsBucket = recordingsBucket;
+  }
+}
@@ -0,0 +1,92 @@
+import { createPublicKey, verify } from 'node:crypto';
+
+// Verifies the Cognito ID token the webapp sends as "Authorization: Bearer <token>"
+const USER_POOL_ID = process.env.COGNITO_USER_POOL_ID;
+const APP_CLIENT_ID = process.env.COGNITO_APP_CLIENT_ID;
+const REGION = process.env.COGNITO_REGION || process.env.AWS_REGION;
+
+// Unknown kids only trigger a new JWKS fetch once per interval, so forged tokens cannot make us refetch on every request
+const JWKS_REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+
+// kid -> public key, cached for the lifetime of the Lambda container
+let signingKeys = {};
+let signingKeysFetchedAt = 0;
+
+const decodeBase64Url = (value) => Buffer.from(value, 'base64url');
+
+const getSigningKey = async (issuer, kid) => {
+  if (!signingKeys[kid] && Date.now() - signingKeysFetchedAt >= JWKS_REFRESH_INTERVAL_MS) {
+    // Unknown kid, the user pool may have rotated its keys
+    const response = await fetch(`${issuer}/.well-known/jwks.json`);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch JWKS: ${response.status}`);
+    }
+    const { keys } = await response.json();
+    signingKeys = Object.fromEntries(keys.map(jwk => [jwk.kid, createPublicKey({ key: jwk, format: 'jwk' })]));
+    signingKeysFetchedAt = Date.now();
+  }
+  return signingKeys[kid];
+};
+
+export const verifyCognitoToken = async (event) => {
+  if (!USER_POOL_ID || !APP_CLIENT_ID) {
+    throw new Error('COGNITO_USER_POOL_ID and COGNITO_APP_CLIENT_ID must be set');
+  }
+
+  const headers = event.headers || {};
+  const authorization = headers.authorization || headers.Authorization;
+  const bearerMatch = authorization?.match(/^Bearer\s+(\S+)$/i);
+  if (!bearerMatch) {
+    return { authorized: false, reason: 'missing bearer token' };
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = bearerMatch[1].split('.');
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(decodeBase64Url(encodedHeader));
+    payload = JSON.parse(decodeBase64Url(encodedPayload));
+  } catch {
+    return { authorized: false, reason: 'malformed token' };
+  }
+
+  // Check the claims before fetching any key, so the issuer can never point us at another JWKS
+  const issuer = `https://cognito-idp.${REGION}.amazonaws.com/${USER_POOL_ID}`;
+  if (header.alg !== 'RS256' || !encodedSignature) {
+    return { authorized: false, reason: 'unsupported token' };
+  }
+  if (payload.iss !== issuer) {
+    return { authorized: false, reason: 'invalid issuer' };
+  }
+  if (payload.token_use !== 'id' || payload.aud !== APP_CLIENT_ID) {
+    return { authorized: false, reason: 'invalid audience' };
+  }
+  if (typeof payload.exp !== 'number' || payload.exp <= Math.floor(Date.now() / 1000)) {
+    return { authorized: false, reason: 'token expired' };
+  }
+
+  const signingKey = await getSigningKey(issuer, header.kid);
+  if (!signingKey) {
+    return { authorized: false, reason: 'unknown signing key' };
+  }
+
+  const signatureValid = verify(
+    'RSA-SHA256',
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    signingKey,
+    decodeBase64Url(encodedSignature)
+  );
+  if (!signatureValid) {
+    return { authorized: false, reason: 'invalid signature' };
+  }
+
+  return { authorized: true, claims: payload };
+};
+
+export const unauthorizedResponse = (reason) => ({
+  statusCode: 401,
+  headers: {
+    'Content-Type': 'application/json'
+  },
+  body: JSON.stringify({ error: `Unauthorized: ${reason}` })
+});
@@ -0,0 +1,19 @@
+import { SecretsManagerClient, GetSecretValueCommand } from '@aws-sdk/client-secrets-manager';
+
+// Read from Secrets Manager when deployed by the CDK stacks (DEEPL_API_KEY_SECRET_ID),
+// functions deployed by hand can still set DEEPL_API_KEY directly
+let deeplApiKey = process.env.DEEPL_API_KEY;
+const secretsManagerClient = new SecretsManagerClient();
+
+export const getDeepLApiKey = async () => {
+  if (!deeplApiKey) {
+    const secretId = process.env.DEEPL_API_KEY_SECRET_ID;
+    if (!secretId) {
+      throw new Error('DEEPL_API_KEY_SECRET_ID or DEEPL_API_KEY must be set');
+    }
+    const secret = await secretsManagerClient.send(new GetSecretValueCommand({ SecretId: secretId }));
+    // cached for the lifetime of the Lambda container
+    deeplApiKey = secret.SecretString.trim();
+  }
+  return deeplApiKey;
+};
@@ -0,0 +1,63 @@
+// Responses of the Function URL Lambdas, errors are JSON objects with an error message
+
+export const errorResponse = (statusCode, message) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json'
+  },
+  body: JSON.stringify({ error: message })
+});
+
+// Pass a DeepL API response on, DeepL errors keep their status and body
+export const toLambdaResponse = async (response) => {
+  const rawResponseBody = await response.text();
+  let data;
+  try {
+    data = rawResponseBody ? JSON.parse(rawResponseBody) : {};
+  } catch {
+    data = { raw: rawResponseBody };
+  }
+
+  // Only the status is logged, session responses hold streaming tokens
+  console.log(`DeepL response status: ${response.status}`);
+
+  if (!response.ok) {
+    return {
+      statusCode: response.status,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        error: `DeepL API error: ${response.status}`,
+        deepl: data
+      })
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(data)
+  };
+};
+
+// Parse the JSON body of a request, returns { body } or { badRequest } with the 400 response to return
+export const parseJsonBody = (event) => {
+  if (event.body === undefined || event.body === null || event.body === '') {
+    return { badRequest: errorResponse(400, 'Request body is required') };
+  }
+  let body = event.body;
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch {
+      return { badRequest: errorResponse(400, 'Invalid JSON body') };
+    }
+  }
+  if (body === null || typeof body !== 'object') {
+    return { badRequest: errorResponse(400, 'Request body must be a JSON object') };
+  }
+  return { body };
+};
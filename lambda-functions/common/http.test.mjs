@@ -0,0 +1,28 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseJsonBody } from './http.mjs';
+
+const errorOf = (response) => [response.statusCode, JSON.parse(response.body).error];
+
+describe('parseJsonBody', () => {
+  test('parses a JSON object, or takes an already parsed one', () => {
+    assert.deepEqual(parseJsonBody({ body: '{"target_languages":["de"]}' }), { body: { target_languages: ['de'] } });
+    assert.deepEqual(parseJsonBody({ body: { type: 'target' } }), { body: { type: 'target' } });
+  });
+
+  test('rejects an absent body with a 400', () => {
+    for (const body of [undefined, null, '']) {
+      assert.deepEqual(errorOf(parseJsonBody({ body }).badRequest), [400, 'Request body is required']);
+    }
+  });
+
+  test('rejects malformed JSON with a 400', () => {
+    assert.deepEqual(errorOf(parseJsonBody({ body: '{"target_languages":' }).badRequest), [400, 'Invalid JSON body']);
+  });
+
+  test('rejects JSON that is not an object with a 400', () => {
+    for (const body of ['null', '42', '"de"']) {
+      assert.deepEqual(errorOf(parseJsonBody({ body }).badRequest), [400, 'Request body must be a JSON object']);
+    }
+  });
+});
@@ -0,0 +1,107 @@
+import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
+import { ConnectClient, UpdateContactAttributesCommand } from '@aws-sdk/client-connect';
+import { verifyCognitoToken, unauthorizedResponse } from '../common/cognitoAuth.mjs';
+import { errorResponse, parseJsonBody } from '../common/http.mjs';
+
+const TRANSCRIPTS_BUCKET_NAME = process.env.TRANSCRIPTS_BUCKET_NAME;
+const CONNECT_INSTANCE_ID = process.env.CONNECT_INSTANCE_ID;
+const s3Client = new S3Client();
+const connectClient = new ConnectClient({ region: process.env.CONNECT_REGION || process.env.AWS_REGION });
+
+// Only attributes owned by this integration can be written, so contact flow attributes are never overwritten
+const ATTRIBUTE_PREFIX = 'v2v';
+const MAX_ATTRIBUTES = 30;
+const MAX_ATTRIBUTE_VALUE_LENGTH = 1024;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Lambda with Function URL enabled
+// Routes:
+//   POST /transcripts - store the bilingual transcript of a contact and write its summary as contact attributes
+//                       body: { instanceId, contactId, initialContactId, summary: { v2v...: string }, transcript }
+export const handler = async (event) => {
+  const method = event.requestContext?.http?.method || 'GET';
+  const path = (event.rawPath || '/').replace(/\/$/, '');
+
+  try {
+    const auth = await verifyCognitoToken(event);
+    if (!auth.authorized) {
+      console.log(`Rejected unauthenticated request: ${auth.reason}`);
+      return unauthorizedResponse(auth.reason);
+    }
+
+    if (method === 'POST' && path.endsWith('/transcripts')) {
+      const { body, badRequest } = parseJsonBody(event);
+      if (badRequest) {
+        return badRequest;
+      }
+      const { instanceId, contactId, summary = {}, transcript } = body;
+      const initialContactId = body.initialContactId || contactId;
+
+      if (![instanceId, contactId, initialContactId].every((id) => UUID_PATTERN.test(id || ''))) {
+        return errorResponse(400, 'instanceId, contactId and initialContactId must be UUIDs');
+      }
+      if (instanceId.toLowerCase() !== CONNECT_INSTANCE_ID?.toLowerCase()) {
+        console.log(`Rejected transcript of contact ${contactId} on instance ${instanceId}`);
+        return errorResponse(403, 'instanceId is not the configured Amazon Connect instance');
+      }
+      if (!transcript || !Array.isArray(transcript.segments)) {
+        return errorResponse(400, 'transcript with segments is required');
+      }
+      const summaryError = validateSummary(summary);
+      if (summaryError) {
+        return errorResponse(400, summaryError);
+      }
+
+      const key = `transcripts/${contactId}.json`;
+      await s3Client.send(new PutObjectCommand({
+        Bucket: TRANSCRIPTS_BUCKET_NAME,
+        Key: key,
+        ContentType: 'application/json',
+        Body: JSON.stringify({ ...transcript, contactId, summary, uploadedBy: auth.claims.email || auth.claims.sub }, null, 2)
+      }));
+      console.log(`Stored transcript of contact ${contactId} (${transcript.segments.length} segments) in ${key}`);
+
+      // Links shown in the contact record, for supervisors reviewing the contact
+      const attributes = {
+        ...summary,
+        v2vTranscriptS3Uri: `s3://${TRANSCRIPTS_BUCKET_NAME}/${key}`,
+        v2vTranscriptUrl: `https://s3.console.aws.amazon.com/s3/object/${TRANSCRIPTS_BUCKET_NAME}?region=${process.env.AWS_REGION}&prefix=${encodeURIComponent(key)}`
+      };
+      await connectClient.send(new UpdateContactAttributesCommand({
+        InstanceId: instanceId,
+        InitialContactId: initialContactId,
+        Attributes: attributes
+      }));
+      console.log(`Updated ${Object.keys(attributes).length} attributes of contact ${initialContactId}`);
+
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ key, attributes })
+      };
+    }
+
+    return errorResponse(404, `No route for ${method} ${path}`);
+  } catch (error) {
+    console.error('Error storing contact transcript', error);
+    return errorResponse(500, error.message);
+  }
+};
+
+const validateSummary = (summary) => {
+  const entries = Object.entries(summary);
+  if (entries.length > MAX_ATTRIBUTES) {
+    return `summary has more than ${MAX_ATTRIBUTES} attributes`;
+  }
+  for (const [name, value] of entries) {
+    if (!name.startsWith(ATTRIBUTE_PREFIX) || !/^[A-Za-z0-9_]+$/.test(name)) {
+      return `summary attribute ${name} must be alphanumeric and start with ${ATTRIBUTE_PREFIX}`;
+    }
+    if (typeof value !== 'string' || value.length > MAX_ATTRIBUTE_VALUE_LENGTH) {
+      return `summary attribute ${name} must be a string of at most ${MAX_ATTRIBUTE_VALUE_LENGTH} characters`;
+    }
+  }
+  return null;
+};
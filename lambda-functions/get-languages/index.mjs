@@ -1,16 +1,25 @@
+import { verifyCognitoToken, unauthorizedResponse } from '../common/cognitoAuth.mjs';
+import { getDeepLApiKey } from '../common/deeplApiKey.mjs';
+
 export const handler = async (event) => {
-  const deeplApiKey = process.env.DEEPL_API_KEY;
   console.log(event)
 
-  let body;
-  if (typeof event.body === 'string') {
-    body = JSON.parse(event.body);
-  } else {
-    body = event.body;
-  }
-  const type = body.type || 'source';
-
   try {
+    const auth = await verifyCognitoToken(event);
+    if (!auth.authorized) {
+      console.log(`Rejected unauthenticated request: ${auth.reason}`);
+      return unauthorizedResponse(auth.reason);
+    }
+    const deeplApiKey = await getDeepLApiKey();
+
+    let body;
+    if (typeof event.body === 'string') {
+      body = JSON.parse(event.body);
+    } else {
+      body = event.body;
+    }
+    const type = body.type || 'source';
+
     const response = await fetch(`https://api.deepl.com/v2/languages?type=${type}`, {
       method: 'GET',
       headers: {
@@ -30,6 +39,9 @@ export const handler = async (event) => {
   } catch (error) {
     return {
       statusCode: 500,
+      headers: {
+        'Content-Type': 'application/json'
+      },
       body: JSON.stringify({ error: error.message })
     };
   }
@@ -0,0 +1,85 @@
+import { verifyCognitoToken, unauthorizedResponse } from '../common/cognitoAuth.mjs';
+import { errorResponse, parseJsonBody, toLambdaResponse } from '../common/http.mjs';
+import { getDeepLApiKey } from '../common/deeplApiKey.mjs';
+
+const DEEPL_GLOSSARIES_URL = 'https://api.deepl.com/v2/glossaries';
+
+// Lambda with Function URL enabled
+// Routes:
+//   GET    /glossaries          - list glossaries
+//   POST   /glossaries          - create a glossary from CSV or TSV entries
+//   DELETE /glossaries/{id}     - delete a glossary
+export const handler = async (event) => {
+  const method = event.requestContext?.http?.method || 'GET';
+  const path = (event.rawPath || '/').replace(/\/$/, '');
+
+  try {
+    const auth = await verifyCognitoToken(event);
+    if (!auth.authorized) {
+      console.log(`Rejected unauthenticated request: ${auth.reason}`);
+      return unauthorizedResponse(auth.reason);
+    }
+    const deeplApiKey = await getDeepLApiKey();
+
+    const glossaryIdMatch = path.match(/\/glossaries\/([^/]+)$/);
+
+    if (method === 'GET' && path.endsWith('/glossaries')) {
+      const response = await fetch(DEEPL_GLOSSARIES_URL, {
+        method: 'GET',
+        headers: {
+          'Authorization': `DeepL-Auth-Key ${deeplApiKey}`
+        }
+      });
+      return await toLambdaResponse(response);
+    }
+
+    if (method === 'POST' && path.endsWith('/glossaries')) {
+      const { body, badRequest } = parseJsonBody(event);
+      if (badRequest) {
+        return badRequest;
+      }
+
+      const entriesFormat = body.entries_format || 'tsv';
+      if (!body.name || !body.source_lang || !body.target_lang || !body.entries) {
+        return errorResponse(400, 'name, source_lang, target_lang and entries are required');
+      }
+      if (!['csv', 'tsv'].includes(entriesFormat)) {
+        return errorResponse(400, `Unsupported entries_format: ${entriesFormat}, expected csv or tsv`);
+      }
+
+      const reqBody = JSON.stringify({
+        name: body.name,
+        source_lang: body.source_lang,
+        target_lang: body.target_lang,
+        entries: body.entries,
+        entries_format: entriesFormat
+      });
+      console.log(`Creating glossary ${body.name} (${body.source_lang} -> ${body.target_lang})`);
+      const response = await fetch(DEEPL_GLOSSARIES_URL, {
+        method: 'POST',
+        headers: {
+          'Authorization': `DeepL-Auth-Key ${deeplApiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: reqBody
+      });
+      return await toLambdaResponse(response);
+    }
+
+    if (method === 'DELETE' && glossaryIdMatch) {
+      const glossaryId = decodeURIComponent(glossaryIdMatch[1]);
+      console.log(`Deleting glossary ${glossaryId}`);
+      const response = await fetch(`${DEEPL_GLOSSARIES_URL}/${encodeURIComponent(glossaryId)}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `DeepL-Auth-Key ${deeplApiKey}`
+        }
+      });
+      return await toLambdaResponse(response);
+    }
+
+    return errorResponse(404, `No route for ${method} ${path}`);
+  } catch (error) {
+    return errorResponse(500, error.message);
+  }
+};
@@ -0,0 +1,64 @@
+import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner'; // provided by the Node.js 20 Lambda runtime, like the other AWS SDK clients
+import { verifyCognitoToken, unauthorizedResponse } from '../common/cognitoAuth.mjs';
+import { errorResponse, parseJsonBody } from '../common/http.mjs';
+
+// The webapp uploads straight to S3 with presigned URLs, recordings are larger than the Function URL payload limit
+const RECORDINGS_BUCKET_NAME = process.env.RECORDINGS_BUCKET_NAME;
+const s3Client = new S3Client();
+const UPLOAD_URL_EXPIRES_IN = 900; // seconds
+
+// Contact IDs are UUIDs, file names are generated by the webapp (e.g. customer-original.webm, contact.zip)
+const SAFE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,127}$/;
+
+// Lambda with Function URL enabled
+// Routes:
+//   POST /recordings - presigned S3 PUT URLs for a contact's files, body: { contactId, files: [name] }
+export const handler = async (event) => {
+  const method = event.requestContext?.http?.method || 'GET';
+  const path = (event.rawPath || '/').replace(/\/$/, '');
+
+  try {
+    const auth = await verifyCognitoToken(event);
+    if (!auth.authorized) {
+      console.log(`Rejected unauthenticated request: ${auth.reason}`);
+      return unauthorizedResponse(auth.reason);
+    }
+
+    if (method === 'POST' && path.endsWith('/recordings')) {
+      const { body, badRequest } = parseJsonBody(event);
+      if (badRequest) {
+        return badRequest;
+      }
+      const { contactId, files } = body;
+
+      if (!SAFE_NAME_PATTERN.test(contactId || '')) {
+        return errorResponse(400, 'contactId is required');
+      }
+      if (!Array.isArray(files) || files.length === 0 || !files.every((name) => SAFE_NAME_PATTERN.test(name))) {
+        return errorResponse(400, 'files must be a non-empty list of file names');
+      }
+
+      const uploads = await Promise.all(files.map(async (name) => {
+        const key = `recordings/${contactId}/${name}`;
+        const url = await getSignedUrl(s3Client, new PutObjectCommand({ Bucket: RECORDINGS_BUCKET_NAME, Key: key }), {
+          expiresIn: UPLOAD_URL_EXPIRES_IN
+        });
+        return { name, key, url };
+      }));
+      console.log(`Presigned ${uploads.length} upload(s) for contact ${contactId} by ${auth.claims.email || auth.claims.sub}`);
+
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ bucket: RECORDINGS_BUCKET_NAME, uploads })
+      };
+    }
+
+    return errorResponse(404, `No route for ${method} ${path}`);
+  } catch (error) {
+    return errorResponse(500, error.message);
+  }
+};
@@ -1,69 +1,65 @@
+import { verifyCognitoToken, unauthorizedResponse } from '../common/cognitoAuth.mjs';
+import { errorResponse, parseJsonBody, toLambdaResponse } from '../common/http.mjs';
+import { getDeepLApiKey } from '../common/deeplApiKey.mjs';
+import { validateSessionOptions } from './sessionOptions.mjs';
+
+const DEEPL_VOICE_REALTIME_URL = 'https://api.deepl.com/v3/voice/realtime';
+
 // Lambda with Function URL enabled
 export const handler = async (event) => {
-  const deeplApiKey = process.env.DEEPL_API_KEY;
-  let body;
-  if (typeof event.body === 'string') {
-    body = JSON.parse(event.body);
-  } else {
-    body = event.body;
-  }
-  
   try {
-    const reqBody = JSON.stringify({
-      source_media_content_type: body.source_media_content_type || 'audio/pcm;encoding=s16le;rate=16000',
-      target_media_content_type: body.target_media_content_type || 'audio/pcm;encoding=s16le;rate=16000',
-      source_language: body.source_language || 'en',
-      source_language_mode: body.source_language_mode || 'fixed',
-      target_languages: body.target_languages,
-      target_media_languages: body.target_media_languages || body.target_languages,
-      target_media_voice: body.target_media_voice || 'female',
-      formality: body.formality || 'default'
-    })
-    console.log(`Sending request to DeepL API with body: ${reqBody}`)
-    const response = await fetch('https://api.deepl.com/v3/voice/realtime', {
-      method: 'POST',
-      headers: {
-        'Authorization': `DeepL-Auth-Key ${deeplApiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: reqBody
-    });
+    const auth = await verifyCognitoToken(event);
+    if (!auth.authorized) {
+      console.log(`Rejected unauthenticated request: ${auth.reason}`);
+      return unauthorizedResponse(auth.reason);
+    }
+    const deeplApiKey = await getDeepLApiKey();
 
-    const rawResponseBody = await response.text();
-    let data;
-    try {
-      data = JSON.parse(rawResponseBody);
-    } catch {
-      data = { raw: rawResponseBody };
+    const { body, badRequest } = parseJsonBody(event);
+    if (badRequest) {
+      return badRequest;
     }
 
-    console.log(`DeepL response status: ${response.status}`);
-    console.log(`DeepL response body: ${JSON.stringify(data)}`);
+    // Resume an existing streaming session with the token of its last connection
+    if (body.reconnect_token) {
+      console.log('Requesting reconnection to an existing DeepL session');
+      const response = await fetch(`${DEEPL_VOICE_REALTIME_URL}?token=${encodeURIComponent(body.reconnect_token)}`, {
+        method: 'GET',
+        headers: {
+          'Authorization': `DeepL-Auth-Key ${deeplApiKey}`
+        }
+      });
+      return await toLambdaResponse(response);
+    }
 
-    if (!response.ok) {
+    const { sessionRequest, errors } = validateSessionOptions(body);
+    if (errors.length > 0) {
+      console.log(`Invalid session request: ${JSON.stringify(errors)}`);
       return {
-        statusCode: response.status,
+        statusCode: 400,
         headers: {
           'Content-Type': 'application/json'
         },
         body: JSON.stringify({
-          error: `DeepL API error: ${response.status}`,
-          deepl: data
+          error: 'Invalid session request',
+          fields: errors
         })
       };
     }
 
-    return {
-      statusCode: 200,
+    const reqBody = JSON.stringify(sessionRequest);
+    console.log(`Sending request to DeepL API with body: ${reqBody}`)
+    const response = await fetch(DEEPL_VOICE_REALTIME_URL, {
+      method: 'POST',
       headers: {
+        'Authorization': `DeepL-Auth-Key ${deeplApiKey}`,
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify(data)
-    };
+      body: reqBody
+    });
+
+    return await toLambdaResponse(response);
   } catch (error) {
-    return {
-      statusCode: 500,
-      body: JSON.stringify({ error: error.message })
-    };
+    return errorResponse(500, error.message);
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,78 @@
+// Session options forwarded to DeepL, anything not listed here is rejected
+const SESSION_OPTIONS_SCHEMA = {
+  source_media_content_type: { type: 'string', default: 'audio/pcm;encoding=s16le;rate=16000' },
+  target_media_content_type: { type: 'string', default: 'audio/pcm;encoding=s16le;rate=16000' },
+  source_language: { type: 'string', default: 'en' },
+  source_language_mode: { type: 'string', enum: ['fixed', 'auto'], default: 'fixed' },
+  target_languages: { type: 'string[]', required: true, minItems: 1, maxItems: 5 },
+  target_media_languages: { type: 'string[]', maxItems: 5 },
+  target_media_voice: { type: 'string', enum: ['female', 'male'], default: 'female' },
+  formality: { type: 'string', enum: ['default', 'formal', 'informal', 'more', 'less', 'prefer_more', 'prefer_less'], default: 'default' },
+  glossary_ids: { type: 'string[]', maxItems: 5 },
+  enable_transcription: { type: 'boolean' },
+  early_access_experimental_mode: { type: 'string', enum: ['use_external_speech_provider'] }
+};
+
+// Returns the allow-listed options with defaults applied, and one error per invalid field
+export const validateSessionOptions = (body) => {
+  const errors = [];
+  const sessionRequest = {};
+
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    return { sessionRequest, errors: [{ field: 'body', message: 'must be a JSON object' }] };
+  }
+
+  for (const field of Object.keys(body)) {
+    if (!SESSION_OPTIONS_SCHEMA[field]) {
+      errors.push({ field, message: 'is not an allowed session option' });
+    }
+  }
+
+  for (const [field, rule] of Object.entries(SESSION_OPTIONS_SCHEMA)) {
+    const value = body[field];
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) {
+        errors.push({ field, message: 'is required' });
+      } else if (rule.default !== undefined) {
+        sessionRequest[field] = rule.default;
+      }
+      continue;
+    }
+
+    const fieldError = validateSessionOption(value, rule);
+    if (fieldError) {
+      errors.push({ field, message: fieldError });
+    } else {
+      sessionRequest[field] = value;
+    }
+  }
+
+  if (!sessionRequest.target_media_languages && sessionRequest.target_languages) {
+    sessionRequest.target_media_languages = sessionRequest.target_languages;
+  }
+
+  return { sessionRequest, errors };
+};
+
+const validateSessionOption = (value, rule) => {
+  if (rule.type === 'boolean') {
+    return typeof value === 'boolean' ? null : 'must be a boolean';
+  }
+
+  if (rule.type === 'string') {
+    if (typeof value !== 'string') return 'must be a string';
+    if (rule.enum && !rule.enum.includes(value)) return `must be one of ${rule.enum.join(', ')}`;
+    return null;
+  }
+
+  if (rule.type === 'string[]') {
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || item === '')) {
+      return 'must be an array of non-empty strings';
+    }
+    if (rule.minItems !== undefined && value.length < rule.minItems) return `must contain at least ${rule.minItems} item(s)`;
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) return `must contain at most ${rule.maxItems} item(s)`;
+    return null;
+  }
+
+  return null;
+};
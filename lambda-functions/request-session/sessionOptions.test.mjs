@@ -0,0 +1,92 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSessionOptions } from './sessionOptions.mjs';
+
+describe('validateSessionOptions', () => {
+  test('applies the defaults and copies target_languages to target_media_languages', () => {
+    const { sessionRequest, errors } = validateSessionOptions({ target_languages: ['de'] });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(sessionRequest, {
+      source_media_content_type: 'audio/pcm;encoding=s16le;rate=16000',
+      target_media_content_type: 'audio/pcm;encoding=s16le;rate=16000',
+      source_language: 'en',
+      source_language_mode: 'fixed',
+      target_languages: ['de'],
+      target_media_languages: ['de'],
+      target_media_voice: 'female',
+      formality: 'default'
+    });
+  });
+
+  test('keeps valid options', () => {
+    const body = {
+      source_language: 'ja',
+      source_language_mode: 'auto',
+      target_languages: ['en-US', 'de'],
+      target_media_languages: ['en-US'],
+      target_media_voice: 'male',
+      formality: 'prefer_less',
+      glossary_ids: ['glossary-1'],
+      enable_transcription: false,
+      early_access_experimental_mode: 'use_external_speech_provider'
+    };
+    const { sessionRequest, errors } = validateSessionOptions(body);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(sessionRequest, { ...body, source_media_content_type: 'audio/pcm;encoding=s16le;rate=16000', target_media_content_type: 'audio/pcm;encoding=s16le;rate=16000' });
+  });
+
+  test('rejects options that are not allow-listed', () => {
+    const { sessionRequest, errors } = validateSessionOptions({ target_languages: ['de'], auth_key: 'forwarded' });
+
+    assert.deepEqual(errors, [{ field: 'auth_key', message: 'is not an allowed session option' }]);
+    assert.equal(sessionRequest.auth_key, undefined);
+  });
+
+  test('requires target_languages', () => {
+    for (const target_languages of [undefined, null, '']) {
+      const { errors } = validateSessionOptions({ target_languages });
+      assert.deepEqual(errors, [{ field: 'target_languages', message: 'is required' }]);
+    }
+  });
+
+  test('checks the number of items of string arrays', () => {
+    assert.deepEqual(validateSessionOptions({ target_languages: [] }).errors, [{ field: 'target_languages', message: 'must contain at least 1 item(s)' }]);
+    assert.deepEqual(validateSessionOptions({ target_languages: ['de', 'fr', 'es', 'it', 'ja', 'ko'] }).errors, [{ field: 'target_languages', message: 'must contain at most 5 item(s)' }]);
+    assert.deepEqual(validateSessionOptions({ target_languages: ['de'], glossary_ids: ['1', '2', '3', '4', '5', '6'] }).errors, [{ field: 'glossary_ids', message: 'must contain at most 5 item(s)' }]);
+  });
+
+  test('rejects values of the wrong type', () => {
+    const { errors } = validateSessionOptions({
+      target_languages: ['de', ''],
+      source_language: 42,
+      enable_transcription: 'true',
+      glossary_ids: 'glossary-1'
+    });
+
+    assert.deepEqual(errors, [
+      { field: 'source_language', message: 'must be a string' },
+      { field: 'target_languages', message: 'must be an array of non-empty strings' },
+      { field: 'glossary_ids', message: 'must be an array of non-empty strings' },
+      { field: 'enable_transcription', message: 'must be a boolean' }
+    ]);
+  });
+
+  test('rejects values outside of an enum', () => {
+    const { errors } = validateSessionOptions({ target_languages: ['de'], source_language_mode: 'detect', target_media_voice: 'robot' });
+
+    assert.deepEqual(errors, [
+      { field: 'source_language_mode', message: 'must be one of fixed, auto' },
+      { field: 'target_media_voice', message: 'must be one of female, male' }
+    ]);
+  });
+
+  test('rejects a body that is not a JSON object', () => {
+    for (const body of [null, undefined, 'target_languages=de', ['de']]) {
+      const { sessionRequest, errors } = validateSessionOptions(body);
+      assert.deepEqual(sessionRequest, {});
+      assert.deepEqual(errors, [{ field: 'body', message: 'must be a JSON object' }]);
+    }
+  });
+});
@@ -0,0 +1,82 @@
+import { verifyCognitoToken, unauthorizedResponse } from '../common/cognitoAuth.mjs';
+import { errorResponse, parseJsonBody, toLambdaResponse } from '../common/http.mjs';
+import { getDeepLApiKey } from '../common/deeplApiKey.mjs';
+
+const DEEPL_TRANSLATE_URL = 'https://api.deepl.com/v2/translate';
+const MAX_TEXTS = 50;
+const MAX_REQUEST_CHARACTERS = 100000;
+const FORMALITIES = ['default', 'more', 'less', 'prefer_more', 'prefer_less'];
+
+// Lambda with Function URL enabled
+// Routes:
+//   POST /translate - translate text, e.g. chat messages
+//                     body: { text: string[], target_lang, source_lang?, formality?, glossary_id? }
+export const handler = async (event) => {
+  const method = event.requestContext?.http?.method || 'GET';
+  const path = (event.rawPath || '/').replace(/\/$/, '');
+
+  try {
+    const auth = await verifyCognitoToken(event);
+    if (!auth.authorized) {
+      console.log(`Rejected unauthenticated request: ${auth.reason}`);
+      return unauthorizedResponse(auth.reason);
+    }
+    const deeplApiKey = await getDeepLApiKey();
+
+    if (method === 'POST' && path.endsWith('/translate')) {
+      const { body, badRequest } = parseJsonBody(event);
+      if (badRequest) {
+        return badRequest;
+      }
+      const validationError = validateTranslateRequest(body);
+      if (validationError) {
+        return errorResponse(400, validationError);
+      }
+
+      const reqBody = {
+        text: body.text,
+        target_lang: body.target_lang
+      };
+      if (body.source_lang) reqBody.source_lang = body.source_lang;
+      if (body.formality) reqBody.formality = body.formality;
+      if (body.glossary_id) reqBody.glossary_id = body.glossary_id;
+
+      console.log(`Translating ${body.text.length} texts (${body.source_lang || 'auto'} -> ${body.target_lang})`);
+      const response = await fetch(DEEPL_TRANSLATE_URL, {
+        method: 'POST',
+        headers: {
+          'Authorization': `DeepL-Auth-Key ${deeplApiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(reqBody)
+      });
+      return await toLambdaResponse(response);
+    }
+
+    return errorResponse(404, `No route for ${method} ${path}`);
+  } catch (error) {
+    return errorResponse(500, error.message);
+  }
+};
+
+const validateTranslateRequest = (body) => {
+  if (!Array.isArray(body.text) || body.text.length === 0 || !body.text.every((text) => typeof text === 'string')) {
+    return 'text must be a non-empty array of strings';
+  }
+  if (body.text.length > MAX_TEXTS) {
+    return `text has more than ${MAX_TEXTS} entries`;
+  }
+  if (body.text.reduce((count, text) => count + text.length, 0) > MAX_REQUEST_CHARACTERS) {
+    return `text has more than ${MAX_REQUEST_CHARACTERS} characters`;
+  }
+  if (!body.target_lang) {
+    return 'target_lang is required';
+  }
+  if (body.formality && !FORMALITIES.includes(body.formality)) {
+    return `Unsupported formality: ${body.formality}, expected one of ${FORMALITIES.join(', ')}`;
+  }
+  if (body.glossary_id && !body.source_lang) {
+    return 'source_lang is required when using a glossary';
+  }
+  return null;
+};
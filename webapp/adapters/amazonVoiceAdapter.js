@@ -0,0 +1,477 @@
+// Copyright 2025 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { AMAZON_VOICE_LANGUAGES } from "../supportedLanguages.js";
+import { ConnectionHealthMonitor } from "../managers/ConnectionHealthMonitor.js";
+import { startPcmStreamTranscription } from "./transcribeAdapter.js";
+import { translateText } from "./translateAdapter.js";
+import { synthesizeSpeech } from "./pollyAdapter.js";
+import { AudioCaptureStreamer } from "./audioCaptureStreamer.js";
+import {
+  AMAZON_POLLY_ENGINE,
+  AMAZON_TRANSCRIBE_PARTIAL_RESULTS_STABILITY,
+  AUDIO_INGEST_SAMPLE_RATE,
+  AUDIO_OUTPUT_SAMPLE_RATE,
+  BUFFER_LEN,
+  RECONNECTION_BUFFER_MAX_MS,
+} from "../constants.js";
+
+/**
+ * Amazon voice language of a DeepL language code, exact match first, then the base language (e.g. "de-AT" -> "de")
+ *
+ * @param {string} language - DeepL language code
+ * @returns {Object|undefined} - AMAZON_VOICE_LANGUAGES entry
+ */
+export function getAmazonVoiceLanguage(language) {
+  if (!language) return undefined;
+  const normalizedLanguage = language.toLowerCase();
+  return (
+    AMAZON_VOICE_LANGUAGES.find((amazonLanguage) => amazonLanguage.language.toLowerCase() === normalizedLanguage) ??
+    AMAZON_VOICE_LANGUAGES.find((amazonLanguage) => amazonLanguage.language === normalizedLanguage.split("-")[0])
+  );
+}
+
+/**
+ * VoiceTranslationClient (see voiceTranslationClient.js) chaining Amazon Transcribe streaming, Amazon Translate and Amazon Polly,
+ * used for sessions DeepL Voice cannot serve. Every concluded sentence is translated into each target language and spoken
+ * in the first one. Formality, glossaries and source language auto-detection are DeepL Voice features, not available here.
+ */
+class AmazonVoiceClient {
+  constructor(options = {}) {
+    this.type = options.type; // "agent", "customer" or "participant-<n>"
+
+    this.sessionConfig = null;
+    this.sourceLanguage = null; // AMAZON_VOICE_LANGUAGES entry of the session's source language
+    this.shouldReconnect = true;
+    this.isConnected = false;
+    this.isReconnecting = false;
+    this.isPaused = false; // Captured audio is discarded while paused (e.g. contact on hold)
+    this.isAudioEnded = false; // endAudio() was called, the transcription finishes and is not restarted
+    this.isDisconnected = false; // Concluded sentences are no longer translated or spoken
+
+    // Event handlers, same as DeepLVoiceClient
+    this.onTranscription = options.onTranscription || null;
+    this.onTranslation = options.onTranslation || null;
+    this.onTranscriptionPartial = options.onTranscriptionPartial || null; // Tentative (not yet concluded) source text
+    this.onTranslationPartial = options.onTranslationPartial || null; // Not called, translations are made per concluded sentence
+    this.onAudio = options.onAudio || null;
+    // { [language]: { onTranslation, onTranslationPartial, onAudio } }, additional target languages are not spoken
+    this.targetLanguageHandlers = new Map();
+    Object.entries(options.targetLanguageHandlers || {}).forEach(([language, handlers]) => this.setTargetLanguageHandlers(language, handlers));
+    this.primaryTargetLanguage = null;
+    this.onError = null;
+    this.onConnect = null;
+    this.onDisconnect = null;
+
+    this.sampleRate = AUDIO_INGEST_SAMPLE_RATE;
+    this.bytesPerSample = 2; // 16-bit audio
+    this.cumulativeAudioTime = 0; // Audio read by the current Transcribe stream in ms
+
+    this.segmentCounter = 0;
+    // Clients are recreated during a contact (e.g. on language change), the prefix keeps their segment ids apart
+    this.segmentIdPrefix = `${this.type}-${Date.now().toString(36)}`;
+
+    // Frames waiting to be read by the Transcribe stream, null ends it (see endAudio). The queue only grows while
+    // the stream is restarting, and keeps the same amount of audio as DeepLVoiceClient's reconnection buffer.
+    this.audioQueue = [];
+    this.audioQueueWaiter = null;
+    this.maxQueuedChunks = Math.ceil(RECONNECTION_BUFFER_MAX_MS / ((BUFFER_LEN / (this.sampleRate * this.bytesPerSample)) * 1000));
+    this.transcriptionStream = null; // { abortController, hasStarted }, hasStarted once Transcribe accepted the stream
+
+    // Sentences are translated and spoken one after the other, in the order they concluded
+    this.translationQueue = Promise.resolve();
+
+    // Streams the capture, and moves it to another client on a make-before-break handoff (see handOffAudio)
+    this.audioStreamer = new AudioCaptureStreamer(this, (chunk) => this.sendAudio(chunk));
+
+    // Optional, latency and VAD are only tracked for the "customer" and "agent" clients
+    this.audioLatencyTrackManager = options.audioLatencyTrackManager;
+
+    // Optional SpeakerDiarizationManager, Transcribe streaming is not asked for speaker labels
+    this.speakerDiarization = options.speakerDiarization || null;
+    this.speakerTimeline = this.speakerDiarization?.createTimeline() ?? null;
+
+    // A Transcribe stream that stops returning results while the speaker talks is restarted, like a zombie WebSocket
+    this.healthMonitor = new ConnectionHealthMonitor({
+      type: this.type,
+      audioLatencyTrackManager: this.audioLatencyTrackManager,
+      onReconnectNeeded: () => {
+        this._handleReconnection();
+      },
+    });
+  }
+
+  /**
+   * Register callbacks for one additional target language, see DeepLVoiceClient.setTargetLanguageHandlers
+   */
+  setTargetLanguageHandlers(language, handlers) {
+    this.targetLanguageHandlers.set(language.toLowerCase(), handlers);
+  }
+
+  /**
+   * Start transcribing, resolves once Amazon Transcribe has accepted the stream
+   *
+   * @param {Object} config - Session configuration, same as DeepLVoiceClient.requestSession
+   * @returns {Promise<void>}
+   */
+  async startSession(config) {
+    if (!config.targetLanguages || config.targetLanguages.length === 0) {
+      throw new Error("At least one target language is required");
+    }
+    if (config.sourceLanguageMode === "auto") {
+      throw new Error("Source language auto-detection is not available with Amazon Transcribe, please select a language");
+    }
+    const unsupportedLanguages = [config.sourceLanguage, ...config.targetLanguages].filter((language) => !getAmazonVoiceLanguage(language));
+    if (unsupportedLanguages.length > 0) {
+      throw new Error(`Languages not supported by Amazon Transcribe, Translate and Polly: ${unsupportedLanguages.join(", ")}`);
+    }
+
+    this.sessionConfig = config;
+    this.sourceLanguage = getAmazonVoiceLanguage(config.sourceLanguage);
+    this.primaryTargetLanguage = config.targetLanguages[0].toLowerCase();
+
+    console.log(`🚀 Starting ${this.type} session with Amazon Transcribe (${this.sourceLanguage.transcribe}), Translate and Polly`);
+    await this._startTranscription();
+  }
+
+  /**
+   * @private
+   */
+  _startTranscription() {
+    const transcriptionStream = { abortController: new AbortController(), hasStarted: false };
+    this.transcriptionStream = transcriptionStream;
+
+    return new Promise((resolve, reject) => {
+      const onStarted = () => {
+        transcriptionStream.hasStarted = true;
+        this.isConnected = true;
+        this.healthMonitor.start();
+        if (this.onConnect) {
+          this.onConnect();
+        }
+        resolve();
+      };
+
+      startPcmStreamTranscription(
+        this.type,
+        this._readAudioQueue(transcriptionStream),
+        this.sampleRate,
+        this.sourceLanguage.transcribe,
+        AMAZON_TRANSCRIBE_PARTIAL_RESULTS_STABILITY,
+        (text, times) => this._handleFinalTranscript(text, times),
+        (text) => {
+          this.healthMonitor.recordMessage();
+          if (this.onTranscriptionPartial) this.onTranscriptionPartial(text);
+        },
+        transcriptionStream.abortController.signal,
+        onStarted
+      )
+        .then(() => this._onTranscriptionEnded(transcriptionStream))
+        .catch((error) => {
+          reject(error);
+          this._onTranscriptionEnded(transcriptionStream, error);
+        });
+    });
+  }
+
+  /**
+   * AudioStream of a Transcribe stream, the frames it yields set the stream's audio time
+   * @private
+   */
+  async *_readAudioQueue(transcriptionStream) {
+    const { signal } = transcriptionStream.abortController;
+    while (!signal.aborted) {
+      if (this.audioQueue.length === 0) {
+        await new Promise((resolve) => {
+          this.audioQueueWaiter = resolve;
+        });
+        continue;
+      }
+
+      const chunk = this.audioQueue.shift();
+      if (chunk === null) return;
+      this.speakerTimeline?.addAudio(chunk, this.cumulativeAudioTime);
+      this.cumulativeAudioTime += (chunk.length / (this.sampleRate * this.bytesPerSample)) * 1000;
+      this.audioLatencyTrackManager?.enqueueSentAudio(this.type, chunk, performance.now());
+      yield chunk;
+    }
+  }
+
+  _wakeAudioQueue() {
+    const resolve = this.audioQueueWaiter;
+    this.audioQueueWaiter = null;
+    resolve?.();
+  }
+
+  /**
+   * @private
+   */
+  _onTranscriptionEnded(transcriptionStream, error) {
+    // Replaced by a newer stream
+    if (transcriptionStream !== this.transcriptionStream) return;
+
+    this.isConnected = false;
+    this.healthMonitor.stop();
+    if (error && !transcriptionStream.abortController.signal.aborted) {
+      console.error(`[${this.type}] ❌ Amazon Transcribe stream failed:`, error);
+      this.healthMonitor.recordError();
+      if (this.onError) {
+        this.onError(error);
+      }
+    } else {
+      console.log(`[${this.type}] 🔴 Amazon Transcribe stream ended`);
+    }
+    if (this.onDisconnect) {
+      this.onDisconnect();
+    }
+
+    // A stream that never started is reported by startSession, one ended by endAudio or disconnect is not restarted.
+    // Transcribe also ends streams that get no audio for 15s, a paused stream is restarted by resume().
+    if (!transcriptionStream.hasStarted || transcriptionStream.abortController.signal.aborted || this.isAudioEnded || this.isPaused) {
+      return;
+    }
+    this._handleReconnection();
+  }
+
+  /**
+   * @private
+   */
+  _handleFinalTranscript(text, times) {
+    const receiveTime = performance.now();
+    this.healthMonitor.recordMessage();
+    if (!text?.trim()) return;
+
+    const startTime = times.startTime * 1000;
+    const endTime = times.endTime * 1000;
+    this.audioLatencyTrackManager?.enqueueTranscription(this.type, receiveTime, endTime);
+
+    const segment = {
+      id: `${this.segmentIdPrefix}-${++this.segmentCounter}`,
+      text,
+      startTime,
+      endTime,
+      speaker: this.speakerTimeline?.getSpeaker(startTime, endTime) ?? undefined,
+    };
+    console.log(`[${this.type}] 📝 Transcription: "${text}"`);
+    if (this.onTranscription) {
+      this.onTranscription(text, { type: this.type, kind: "source", language: this.sessionConfig.sourceLanguage, segments: [segment] });
+    }
+    // The concluded text is no longer tentative
+    if (this.onTranscriptionPartial) {
+      this.onTranscriptionPartial("");
+    }
+
+    this.translationQueue = this.translationQueue
+      .then(() => this._translateSegment(segment))
+      .catch((error) => {
+        console.error(`[${this.type}] ❌ Error translating "${segment.text}":`, error);
+        if (this.onError) {
+          this.onError(error);
+        }
+      });
+  }
+
+  /**
+   * Translate a concluded source segment into every target language, then speak the primary translation
+   * @private
+   */
+  async _translateSegment(segment) {
+    if (this.isDisconnected) return;
+
+    const translations = await Promise.all(
+      this.sessionConfig.targetLanguages.map(async (language) => {
+        const targetTranslateLanguage = getAmazonVoiceLanguage(language).translate;
+        // e.g. English into British English, Amazon Translate refuses identical language codes
+        const text =
+          targetTranslateLanguage === this.sourceLanguage.translate
+            ? segment.text
+            : await translateText(this.sourceLanguage.translate, targetTranslateLanguage, segment.text);
+        return { language, text };
+      })
+    );
+    if (this.isDisconnected) return;
+
+    for (const { language, text } of translations) {
+      const transcriptEvent = {
+        type: this.type,
+        kind: "target",
+        language,
+        segments: [{ id: segment.id, text, startTime: segment.startTime, endTime: segment.endTime }],
+      };
+
+      if (language.toLowerCase() !== this.primaryTargetLanguage) {
+        this.targetLanguageHandlers.get(language.toLowerCase())?.onTranslation?.(text, transcriptEvent);
+        continue;
+      }
+
+      this.audioLatencyTrackManager?.enqueueTranslation(this.type, performance.now(), segment.endTime);
+      console.log(`[${this.type}] 🌐 Translation: "${text}"`);
+      if (this.onTranslation) {
+        this.onTranslation(text, transcriptEvent);
+      }
+      await this._synthesizeSpeech(language, text);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _synthesizeSpeech(language, text) {
+    if (!this.onAudio) return;
+
+    const amazonLanguage = getAmazonVoiceLanguage(language);
+    // Voices are "female" or "male", as for DeepL, not every language has both
+    const voiceId = amazonLanguage.voices[this.sessionConfig.targetMediaVoice] ?? amazonLanguage.voices.female;
+    const audio = await synthesizeSpeech(amazonLanguage.polly, AMAZON_POLLY_ENGINE, voiceId, text, "pcm", String(AUDIO_OUTPUT_SAMPLE_RATE));
+    if (this.isDisconnected) return;
+
+    console.log(`[${this.type}] 🔊 Received audio: ${audio.length} bytes`);
+    this.audioLatencyTrackManager?.enqueueSynthesis(this.type, performance.now());
+    this.onAudio([audio]);
+  }
+
+  /**
+   * Stream captured audio to Amazon Transcribe
+   *
+   * @param {AsyncIterable<Buffer>} audioCapture - 16-bit PCM frames of BUFFER_LEN bytes at AUDIO_INGEST_SAMPLE_RATE (see AudioCaptureManager)
+   */
+  async streamAudio(audioCapture) {
+    return this.continueAudio(audioCapture[Symbol.asyncIterator]());
+  }
+
+  /**
+   * Make-before-break session switch, see DeepLVoiceClient.handOffAudio. newClient can be of either backend.
+   *
+   * @param {Object} newClient - VoiceTranslationClient to continue streaming the same capture
+   * @returns {Promise<void>} Resolves once the capture has moved, or right away when this client is not streaming
+   */
+  handOffAudio(newClient) {
+    return this.audioStreamer.handOff(newClient);
+  }
+
+  /**
+   * Continue streaming a capture handed over by another client's handOffAudio, see DeepLVoiceClient.continueAudio
+   */
+  async continueAudio(audioIterator, firstChunk) {
+    return this.audioStreamer.stream(audioIterator, firstChunk);
+  }
+
+  sendAudio(audioBuffer) {
+    if (this.isAudioEnded) return;
+    this.audioQueue.push(audioBuffer);
+    if (this.audioQueue.length > this.maxQueuedChunks) {
+      this.audioQueue.shift();
+      console.warn(`[${this.type}] ⚠️  Amazon Transcribe stream is not reading, dropping the oldest queued audio`);
+    }
+    this._wakeAudioQueue();
+  }
+
+  // Signal end of audio stream, Transcribe concludes the last sentence and ends the stream
+  async endAudio() {
+    if (this.isAudioEnded) return;
+    console.log(`[${this.type}] Signaling end of audio stream`);
+    this.isAudioEnded = true;
+    this.audioQueue.push(null);
+    this._wakeAudioQueue();
+  }
+
+  disconnect() {
+    console.log(`[${this.type}] Disconnecting...`);
+    this.isConnected = false;
+    this.shouldReconnect = false;
+    this.isDisconnected = true;
+    this.healthMonitor.stop();
+    this.transcriptionStream?.abortController.abort();
+    this.audioQueue = [];
+    this._wakeAudioQueue();
+  }
+
+  /**
+   * Stop sending audio, e.g. while the contact is on hold, see DeepLVoiceClient.pause
+   */
+  pause() {
+    if (this.isPaused) return;
+    console.log(`[${this.type}] ⏸️  Pausing audio stream`);
+    this.isPaused = true;
+    this.healthMonitor.pause();
+  }
+
+  /**
+   * Resume sending audio after pause(), restarting the Transcribe stream when it ended for lack of audio meanwhile
+   */
+  resume() {
+    if (!this.isPaused) return;
+    console.log(`[${this.type}] ▶️  Resuming audio stream`);
+    this.isPaused = false;
+    this.healthMonitor.resume();
+
+    if (!this.isConnected && !this.isReconnecting && this.shouldReconnect && !this.isAudioEnded && this.sessionConfig) {
+      console.log(`[${this.type}] 🔄 Amazon Transcribe stream ended while paused, restarting`);
+      this._handleReconnection();
+    }
+  }
+
+  /**
+   * Get connection health metrics
+   * @returns {Object} - Health data
+   */
+  getConnectionHealth() {
+    return this.healthMonitor.getHealth();
+  }
+
+  /**
+   * Update health monitoring configuration
+   * @param {Object} config - Partial configuration to update
+   */
+  updateHealthConfig(config) {
+    this.healthMonitor.updateConfig(config);
+  }
+
+  /**
+   * A new Transcribe stream restarts audio time at 0, drop state tied to the previous stream's timeline
+   * @private
+   */
+  _resetSessionContext() {
+    this.cumulativeAudioTime = 0;
+    this.speakerTimeline = this.speakerDiarization?.createTimeline() ?? null;
+    if (this.audioLatencyTrackManager) {
+      this.audioLatencyTrackManager.resetLatencyTracking(this.type);
+    }
+  }
+
+  /**
+   * Restart the Transcribe stream with backoff, queued audio is read by the new stream
+   * @private
+   */
+  async _handleReconnection() {
+    if (!this.shouldReconnect || this.isReconnecting) return;
+
+    this.isReconnecting = true;
+    this.healthMonitor.startReconnecting();
+    this.transcriptionStream?.abortController.abort();
+    this._wakeAudioQueue();
+
+    while (this.shouldReconnect) {
+      const backoffMs = this.healthMonitor.getNextBackoff();
+      console.log(`🔄 ${this.type} restarting Amazon Transcribe stream in ${backoffMs}ms...`);
+      await new Promise((resolve) => setTimeout(resolve, backoffMs));
+      if (!this.shouldReconnect) break;
+
+      try {
+        this._resetSessionContext();
+        await this._startTranscription();
+        console.log(`✅ ${this.type} Amazon Transcribe stream restarted`);
+        this.healthMonitor.reconnectionSucceeded();
+        break;
+      } catch (error) {
+        console.error(`❌ ${this.type} Amazon Transcribe restart failed:`, error);
+        if (!this.healthMonitor.reconnectionFailed()) {
+          console.error(`❌ ${this.type} giving up after ${this.healthMonitor.reconnectAttempts} attempts`);
+          break;
+        }
+      }
+    }
+    this.isReconnecting = false;
+  }
+}
+
+export { AmazonVoiceClient };
@@ -0,0 +1,121 @@
+// Copyright 2025 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { BUFFER_LEN } from "../constants.js";
+
+const STREAMING_SUMMARY_LOG_INTERVAL_MS = 5000;
+
+/**
+ * Streams the frames of an audio capture into a VoiceTranslationClient (see voiceTranslationClient.js), and moves the
+ * capture to another client for a make-before-break session switch. Shared by DeepLVoiceClient and AmazonVoiceClient,
+ * so a capture can move between clients of either backend.
+ */
+class AudioCaptureStreamer {
+  /**
+   * @param {Object} client - Client that owns the streamer, its type, isPaused, shouldReconnect and audioLatencyTrackManager are read for every frame
+   * @param {(chunk: Buffer) => void} sendChunk - Sends one 16-bit PCM frame to the client's backend
+   */
+  constructor(client, sendChunk) {
+    this.client = client;
+    this.sendChunk = sendChunk;
+
+    // Iterator of the capture being streamed, and a pending handoff (see handOff)
+    this.audioIterator = null;
+    this.audioHandoff = null; // { client, resolve }
+  }
+
+  /**
+   * The next captured chunk and everything after it go to newClient, so no audio is lost or sent twice
+   *
+   * @param {Object} newClient - VoiceTranslationClient whose session is already connected
+   * @returns {Promise<void>} Resolves once the capture has moved, or right away when nothing is streaming
+   */
+  handOff(newClient) {
+    if (this.audioIterator == null) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      this.audioHandoff = { client: newClient, resolve };
+    });
+  }
+
+  /**
+   * The iterator is advanced by hand, leaving a for await loop would end the capture's generator on a handoff
+   *
+   * @param {AsyncIterator<Buffer>} audioIterator - 16-bit PCM frames of BUFFER_LEN bytes at AUDIO_INGEST_SAMPLE_RATE
+   * @param {Buffer} [firstChunk] - Frame already taken from audioIterator, sent before the next one
+   */
+  async stream(audioIterator, firstChunk) {
+    const client = this.client;
+    this.audioIterator = audioIterator;
+    try {
+      let totalChunksSent = 0;
+      let lastLogTime = Date.now();
+
+      console.log(`[${client.type}] 🎬 streamAudio started - chunkSize: ${BUFFER_LEN} bytes (${((BUFFER_LEN / (client.sampleRate * client.bytesPerSample)) * 1000).toFixed(0)}ms @ ${client.sampleRate}Hz)`);
+
+      let chunk = firstChunk;
+      while (true) {
+        if (chunk === undefined) {
+          const result = await audioIterator.next();
+          if (result.done) break;
+          chunk = result.value;
+        }
+
+        if (this.audioHandoff) {
+          const { client: newClient, resolve } = this.audioHandoff;
+          this.audioHandoff = null;
+          console.log(`[${client.type}] 🔀 Handing audio stream over to the new session after ${totalChunksSent} chunks`);
+          // The new session restarts audio time at 0
+          client.audioLatencyTrackManager?.resetLatencyTracking(client.type);
+          newClient.continueAudio(audioIterator, chunk).catch((error) => {
+            console.error(`[${newClient.type}] ❌ Error streaming handed over audio:`, error);
+          });
+          // Only the translation of audio already sent is left, a dropped connection is not worth a new session
+          client.shouldReconnect = false;
+          resolve();
+          return;
+        }
+
+        // Stop streaming if we've been disconnected (e.g., call ended)
+        if (!client.shouldReconnect) {
+          console.log(`[${client.type}] 🛑 Stopping audio stream - call disconnected`);
+          await audioIterator.return?.();
+          break;
+        }
+
+        // Audio captured while paused (e.g. hold music) is not translated
+        if (client.isPaused) {
+          chunk = undefined;
+          continue;
+        }
+
+        totalChunksSent++;
+        client.audioLatencyTrackManager?.enqueueAudio(client.type, chunk, performance.now());
+        this.sendChunk(chunk);
+        chunk = undefined;
+
+        // Periodic summary logging
+        const now = Date.now();
+        if (now - lastLogTime > STREAMING_SUMMARY_LOG_INTERVAL_MS) {
+          console.log(`[${client.type}] 📊 Streaming - Sent: ${totalChunksSent} chunks`);
+          lastLogTime = now;
+        }
+      }
+
+      console.log(`[${client.type}] ✅ Stream ended cleanly`);
+    } catch (error) {
+      console.error(`[${client.type}] ❌ Error streaming audio:`, error);
+      throw error;
+    } finally {
+      this.audioIterator = null;
+      // The capture stopped before the handoff, there is nothing left to move
+      if (this.audioHandoff) {
+        this.audioHandoff.resolve();
+        this.audioHandoff = null;
+      }
+      console.log(`[${client.type}] 🏁 streamAudio ended`);
+    }
+  }
+}
+
+export { AudioCaptureStreamer };
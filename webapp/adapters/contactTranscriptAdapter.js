@@ -0,0 +1,51 @@
+// Copyright 2025 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { CONTACT_TRANSCRIPT_CONFIG } from "../config";
+import { LOGGER_PREFIX } from "../constants";
+import { getValidTokens } from "../utils/authUtility";
+import { isStringUndefinedNullEmpty } from "../utils/commonUtility";
+
+export function isContactTranscriptEnabled() {
+  return !isStringUndefinedNullEmpty(CONTACT_TRANSCRIPT_CONFIG.contactTranscriptUrl);
+}
+
+/**
+ * Store the bilingual transcript of an ended contact and write its summary as contact attributes.
+ * Streams can only read contact attributes, so both go through the contact transcript Lambda.
+ *
+ * @param {Object} request
+ * @param {string} request.instanceId - Amazon Connect instance id
+ * @param {string} request.contactId
+ * @param {string} request.initialContactId - Contact attributes belong to the initial contact of a transfer chain
+ * @param {Object<string, string>} request.summary - Contact attributes, names start with "v2v"
+ * @param {Object} request.transcript - StoredTranscript (see TranscriptStoreManager)
+ * @returns {Promise<{key: string, attributes: Object<string, string>}>}
+ */
+export async function publishContactTranscript(request) {
+  if (!isContactTranscriptEnabled()) {
+    throw new Error("Contact transcript URL is not configured");
+  }
+
+  const tokens = await getValidTokens();
+  if (!tokens?.idToken) {
+    throw new Error("Not authenticated, please sign in again");
+  }
+
+  const response = await fetch(`${CONTACT_TRANSCRIPT_CONFIG.contactTranscriptUrl.replace(/\/$/, "")}/transcripts`, {
+    method: "POST",
+    headers: {
+      Accept: "application/json",
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${tokens.idToken}`,
+    },
+    body: JSON.stringify(request),
+  });
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(`Contact transcript request failed: ${response.status} - ${error.error || response.statusText}`);
+  }
+
+  const result = await response.json();
+  console.info(`${LOGGER_PREFIX} - publishContactTranscript - Stored ${result.key}, updated attributes of contact ${request.initialContactId}`);
+  return result;
+}
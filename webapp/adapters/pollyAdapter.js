@@ -83,14 +83,16 @@ export async function describeVoices(languageCode, engine) {
   return response.Voices;
 }
 
-export async function synthesizeSpeech(languageCode, engine, voiceId, inputText) {
+//Returns base64 audio, Ogg Vorbis by default or 16-bit PCM with outputFormat "pcm" (sampleRate "8000" or "16000")
+export async function synthesizeSpeech(languageCode, engine, voiceId, inputText, outputFormat = "ogg_vorbis", sampleRate) {
   if (isStringUndefinedNullEmpty(languageCode)) throw new Error("languageCode is required");
   if (isStringUndefinedNullEmpty(engine)) throw new Error("engine is required");
   if (isStringUndefinedNullEmpty(voiceId)) throw new Error("voiceId is required");
   if (isStringUndefinedNullEmpty(inputText)) throw new Error("inputText is required");
 
   const synthesizeSpeechCommand = new SynthesizeSpeechCommand({
-    OutputFormat: "ogg_vorbis",
+    OutputFormat: outputFormat,
+    SampleRate: sampleRate,
     LanguageCode: languageCode,
     Engine: engine,
     VoiceId: voiceId,
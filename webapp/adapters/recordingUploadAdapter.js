@@ -0,0 +1,58 @@
+// Copyright 2025 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { RECORDING_CONFIG } from "../config";
+import { LOGGER_PREFIX } from "../constants";
+import { getValidTokens } from "../utils/authUtility";
+import { isStringUndefinedNullEmpty } from "../utils/commonUtility";
+
+export function isRecordingUploadEnabled() {
+  return !isStringUndefinedNullEmpty(RECORDING_CONFIG.recordingUploadUrl);
+}
+
+/**
+ * Upload a contact's files to the recordings bucket, through presigned URLs from the recording upload Lambda
+ *
+ * @param {string} contactId
+ * @param {Array<{name: string, blob: Blob}>} files
+ * @returns {Promise<string[]>} - S3 keys of the uploaded files
+ */
+export async function uploadContactFiles(contactId, files) {
+  if (!isRecordingUploadEnabled()) {
+    throw new Error("Recording upload is not configured, please deploy with recording-upload-enabled");
+  }
+
+  const tokens = await getValidTokens();
+  if (!tokens?.idToken) {
+    throw new Error("Not authenticated, please sign in again");
+  }
+
+  const response = await fetch(`${RECORDING_CONFIG.recordingUploadUrl.replace(/\/$/, "")}/recordings`, {
+    method: "POST",
+    headers: {
+      Accept: "application/json",
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${tokens.idToken}`,
+    },
+    body: JSON.stringify({ contactId, files: files.map((file) => file.name) }),
+  });
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(`Upload request failed: ${response.status} - ${error.error || response.statusText}`);
+  }
+  const { uploads } = await response.json();
+
+  for (const upload of uploads) {
+    const file = files.find((file) => file.name === upload.name);
+    const uploadResponse = await fetch(upload.url, {
+      method: "PUT",
+      headers: { "Content-Type": file.blob.type || "application/octet-stream" },
+      body: file.blob,
+    });
+    if (!uploadResponse.ok) {
+      throw new Error(`Upload of ${upload.name} failed: ${uploadResponse.status} ${uploadResponse.statusText}`);
+    }
+    console.info(`${LOGGER_PREFIX} - uploadContactFiles - Uploaded ${upload.key} (${file.blob.size} bytes)`);
+  }
+
+  return uploads.map((upload) => upload.key);
+}
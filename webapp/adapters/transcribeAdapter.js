@@ -5,7 +5,7 @@ import { TRANSCRIBE_CONFIG } from "../config";
 import { LOGGER_PREFIX, TRANSCRIBE_PARTIAL_RESULTS_STABILITY } from "../constants";
 import { getValidAwsCredentials, hasValidAwsCredentials } from "../utils/authUtility";
 import { isFunction, isObjectUndefinedNullEmpty, isStringUndefinedNullEmpty } from "../utils/commonUtility";
-import { getTranscribeAudioStream, getTranscribeMicStream } from "../utils/transcribeUtils";
+import { getTranscribeAudioStream, getTranscribeMicStream, getTranscribePcmStream } from "../utils/transcribeUtils";
 
 let _amazonTranscribeClientAgent;
 let _amazonTranscribeClientCustomer;
@@ -148,6 +148,70 @@ export async function startAgentStreamTranscription(
   }
 }
 
+/**
+ * Transcribe 16-bit PCM frames that are already encoded, e.g. the frames of an AudioCaptureManager.
+ * Resolves when the transcription ends: the frames ran out, or abortSignal aborted the stream.
+ *
+ * @param {string} type - "agent" uses the agent client, any other speaker the customer client
+ * @param {AsyncIterable<Buffer>} audioChunks - 16-bit PCM frames at sampleRate
+ * @param {number} sampleRate
+ * @param {string} languageCode - Amazon Transcribe streaming locale (e.g. "ar-SA")
+ * @param {string} partialResultStability - "low", "medium" or "high", stable partial results are concluded at their punctuation
+ * @param {(transcript: string, times: {startTime: number, endTime: number}) => void} onFinalTranscribeEvent - Times in seconds of audio
+ * @param {(transcript: string) => void} onPartialTranscribeEvent
+ * @param {AbortSignal} [abortSignal]
+ * @param {() => void} [onStreamStarted] - Called once Transcribe has accepted the stream, errors such as AccessDenied or an unsupported locale are thrown before
+ */
+export async function startPcmStreamTranscription(
+  type,
+  audioChunks,
+  sampleRate,
+  languageCode,
+  partialResultStability,
+  onFinalTranscribeEvent,
+  onPartialTranscribeEvent,
+  abortSignal,
+  onStreamStarted
+) {
+  if (isObjectUndefinedNullEmpty(audioChunks)) throw new Error("audioChunks is required");
+  if (!Number.isInteger(sampleRate)) throw new Error("sampleRate is required as integer");
+  if (isStringUndefinedNullEmpty(languageCode)) throw new Error("languageCode is required");
+  if (isStringUndefinedNullEmpty(partialResultStability)) throw new Error("partialResultStability is required");
+  if (!isFunction(onFinalTranscribeEvent)) throw new Error("onFinalTranscribeEvent is required");
+  if (!isFunction(onPartialTranscribeEvent)) throw new Error("onPartialTranscribeEvent is required");
+
+  const enablePartialResultsStabilization = TRANSCRIBE_PARTIAL_RESULTS_STABILITY.includes(partialResultStability);
+
+  const startStreamTranscriptionCommand = new StartStreamTranscriptionCommand({
+    LanguageCode: languageCode,
+    MediaEncoding: "pcm",
+    MediaSampleRateHertz: sampleRate,
+    AudioStream: getTranscribePcmStream(audioChunks),
+    EnablePartialResultsStabilization: enablePartialResultsStabilization,
+    PartialResultsStability: enablePartialResultsStabilization ? partialResultStability : undefined,
+  });
+
+  const amazonTranscribeClient = type === "agent" ? await getAmazonTranscribeClientAgent() : await getAmazonTranscribeClientCustomer();
+  const startStreamTranscriptionResponse = await amazonTranscribeClient.send(startStreamTranscriptionCommand, { abortSignal });
+  onStreamStarted?.();
+
+  let lastProcessedIndex = 0;
+
+  for await (const event of startStreamTranscriptionResponse.TranscriptResultStream) {
+    const transcriptResults = event.TranscriptEvent?.Transcript.Results;
+    if (transcriptResults == null) continue;
+
+    const getPartialTranscriptResult = getPartialTranscript(transcriptResults, lastProcessedIndex);
+    if (getPartialTranscriptResult != null) onPartialTranscribeEvent(getPartialTranscriptResult.partialTranscript);
+
+    const getFinalTranscriptResult = getFinalTranscript(transcriptResults, lastProcessedIndex, enablePartialResultsStabilization);
+    if (getFinalTranscriptResult != null) {
+      lastProcessedIndex = getFinalTranscriptResult.lastProcessedIndex;
+      onFinalTranscribeEvent(getFinalTranscriptResult.finalTranscript, getFinalTranscriptResult.times);
+    }
+  }
+}
+
 function getPartialTranscript(transcriptResults = [], lastProcessedIndex = 0) {
   if (transcriptResults.length === 0) return null;
   if (transcriptResults[0].IsPartial !== true) return null;
@@ -170,7 +234,7 @@ function getFinalTranscript(transcriptResults = [], lastProcessedIndex = 0, enab
     const finalTranscriptItems = transcriptResults[0].Alternatives[0].Items;
     if (finalTranscriptItems?.length > 0) {
       const finalTranscript = joinTranscriptItems(finalTranscriptItems, lastProcessedIndex);
-      return { finalTranscript, lastProcessedIndex: 0 };
+      return { finalTranscript, lastProcessedIndex: 0, times: getTranscriptItemsTimes(finalTranscriptItems.slice(lastProcessedIndex)) };
     }
   }
 
@@ -191,7 +255,14 @@ function getFinalTranscript(transcriptResults = [], lastProcessedIndex = 0, enab
   if (allItemsAreStable === false) return null; // We were not able to find a punctuation
 
   const stableTranscript = joinTranscriptItems(segmentItems);
-  return { finalTranscript: stableTranscript, lastProcessedIndex: firstSegmentEndIndex + 1 };
+  return { finalTranscript: stableTranscript, lastProcessedIndex: firstSegmentEndIndex + 1, times: getTranscriptItemsTimes(segmentItems) };
+}
+
+function getTranscriptItemsTimes(transcriptItems = []) {
+  return {
+    startTime: transcriptItems[0]?.StartTime ?? 0,
+    endTime: transcriptItems[transcriptItems.length - 1]?.EndTime ?? 0,
+  };
 }
 
 function joinTranscriptItems(transcriptItems = [], lastProcessedIndex = 0) {
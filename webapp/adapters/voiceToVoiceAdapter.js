@@ -1,15 +1,37 @@
-import { getTranscribeAudioStream } from "../utils/transcribeUtils";
 import { SUPPORTED_SOURCE_LANGUAGES, SUPPORTED_TARGET_LANGUAGES } from "../supportedLanguages.js";
 import { ConnectionHealthMonitor } from "../managers/ConnectionHealthMonitor.js";
-import { AUDIO_INGEST_SAMPLE_RATE, BUFFER_LEN } from "../constants.js";
-
+import { getValidTokens } from "../utils/authUtility.js";
+import { DEEPL_CONFIG } from "../config.js";
+import { AUDIO_CODECS, createAudioCodec } from "../utils/audioCodecUtils.js";
+import { AudioCaptureStreamer } from "./audioCaptureStreamer.js";
+import { AUDIO_INGEST_SAMPLE_RATE, AUDIO_OUTPUT_SAMPLE_RATE, BUFFER_LEN, RECONNECTION_BUFFER_MAX_MS, RECONNECTION_BUFFER_DROP_SILENCE_FIRST } from "../constants.js";
+
+/**
+ * @typedef {Object} TranscriptSegment
+ * @property {string} id - Stable segment id, a source segment and its translation share the same id
+ * @property {string} text - Concluded text of the segment
+ * @property {number} startTime - Start of the segment in the source audio (ms)
+ * @property {number} endTime - End of the segment in the source audio (ms)
+ * @property {number|string} [speaker] - Source segments only: speaker label sent by the API, or the speaker number of the local diarization
+ */
+
+/**
+ * @typedef {Object} TranscriptEvent
+ * @property {string} type - "agent" or "customer"
+ * @property {string} kind - "source" for transcription, "target" for translation
+ * @property {string} [language] - Language of the segments, when reported by the API
+ * @property {TranscriptSegment[]} segments - Segments concluded by this update
+ */
 
 class DeepLVoiceClient {
   constructor(options = {}) {
-    this.type = options.type; // "agent" or "customer"
+    this.type = options.type; // "agent", "customer" or "participant-<n>"
     this.baseUrl = options.baseUrl || "https://api.deepl.com";
-    this.getLanguagesProxy = options.getLanguagesProxy || import.meta.env.VITE_GET_LANGUAGES_PROXY || "https://wjjabkvfyvqxqpizezx7jdsqny0hrpsa.lambda-url.eu-west-2.on.aws/"
-    this.requestSessionProxy = options.requestSessionProxy || import.meta.env.VITE_REQUEST_SESSION_PROXY || "https://uexiwsmey6vz43rr3szwu6udeq0jotax.lambda-url.eu-west-2.on.aws/";
+    // Proxy URLs are published by the CDK backend stack through frontend-config.js, VITE_* env vars override them for local testing
+    this.getLanguagesProxy = options.getLanguagesProxy || import.meta.env.VITE_GET_LANGUAGES_PROXY || DEEPL_CONFIG.getLanguagesProxyUrl;
+    this.requestSessionProxy = options.requestSessionProxy || import.meta.env.VITE_REQUEST_SESSION_PROXY || DEEPL_CONFIG.requestSessionProxyUrl;
+    this.glossariesProxy = options.glossariesProxy || import.meta.env.VITE_GLOSSARIES_PROXY || DEEPL_CONFIG.glossariesProxyUrl;
+    this.translateTextProxy = options.translateTextProxy || import.meta.env.VITE_TRANSLATE_TEXT_PROXY || DEEPL_CONFIG.translateTextProxyUrl;
 
     this.ws = null;
     this.streamingUrl = null;
@@ -18,6 +40,7 @@ class DeepLVoiceClient {
     this.shouldReconnect = true;
     this.isConnected = false;
     this.isReconnecting = false; // Guard flag to prevent duplicate reconnections
+    this.isPaused = false; // Captured audio is discarded while paused (e.g. contact on hold)
 
     // ⚠️ DIAGNOSTIC: Track audio drops during reconnection
     this.droppedAudioStats = {
@@ -26,14 +49,23 @@ class DeepLVoiceClient {
       dropEvents: [] // { timestamp, bytes, reason, isReconnecting }
     };
 
-    // 🔧 FIX: Buffer audio during brief reconnections (max 10 seconds)
-    this.reconnectionBuffer = [];
-    this.maxReconnectionBufferMs = 10000; // Buffer up to 10s of audio during reconnection
+    // Ring buffer holding outbound audio during reconnections, flushed in order once the new WebSocket opens
+    this.reconnectionBuffer = []; // { buffer, durationMs, isSilence }
+    this.reconnectionBufferMs = 0;
+    this.maxReconnectionBufferMs = options.maxReconnectionBufferMs ?? RECONNECTION_BUFFER_MAX_MS;
+    this.dropSilenceFirst = options.dropSilenceFirst ?? RECONNECTION_BUFFER_DROP_SILENCE_FIRST;
     
     // Event handlers
     this.onTranscription = options.onTranscription || null;
     this.onTranslation = options.onTranslation || null;
+    this.onTranscriptionPartial = options.onTranscriptionPartial || null; // Tentative (not yet concluded) source text
+    this.onTranslationPartial = options.onTranslationPartial || null; // Tentative (not yet concluded) target text
     this.onAudio = options.onAudio || null;
+    // Additional target languages (e.g. for supervisors listening in), routed by the language of each update
+    // { [language]: { onTranslation, onTranslationPartial, onAudio } }
+    this.targetLanguageHandlers = new Map();
+    Object.entries(options.targetLanguageHandlers || {}).forEach(([language, handlers]) => this.setTargetLanguageHandlers(language, handlers));
+    this.primaryTargetLanguage = null;
     this.onStreamEnd = null;
     this.onError = null;
     this.onConnect = null;
@@ -47,8 +79,25 @@ class DeepLVoiceClient {
     this.sampleRate = AUDIO_INGEST_SAMPLE_RATE;
     this.bytesPerSample = 2;  // 16-bit audio
 
+    // Encodes outbound PCM and decodes target media, chosen per session (see utils/audioCodecUtils.js)
+    this.audioCodec = null;
+
+    // Concluded source segments, used to pair translations with the sentence they translate
+    this.sourceSegments = [];  // { id, startTime, endTime, translatedTo }
+    this.segmentCounter = 0;
+    // Clients are recreated during a contact (e.g. on language change), the prefix keeps their segment ids apart
+    this.segmentIdPrefix = `${this.type}-${Date.now().toString(36)}`;
+
+    // Streams the capture, and moves it to another client on a make-before-break handoff (see handOffAudio)
+    this.audioStreamer = new AudioCaptureStreamer(this, (chunk) => this.sendAudio(chunk));
+
+    // Optional, latency and VAD are only tracked for the "customer" and "agent" clients
     this.audioLatencyTrackManager = options.audioLatencyTrackManager;
 
+    // Optional SpeakerDiarizationManager, labels source segments with a speaker when the API does not
+    this.speakerDiarization = options.speakerDiarization || null;
+    this.speakerTimeline = this.speakerDiarization?.createTimeline() ?? null;
+
     // Connection health monitoring with VAD-aware zombie detection
     this.healthMonitor = new ConnectionHealthMonitor({
       type: this.type,
@@ -66,6 +115,17 @@ class DeepLVoiceClient {
     });
   }
 
+  /**
+   * Register callbacks for one additional target language. Updates for the first target language
+   * keep going to onTranslation / onTranslationPartial / onAudio.
+   *
+   * @param {string} language - Target language code (e.g., 'de')
+   * @param {Object} handlers - { onTranslation, onTranslationPartial, onAudio }, all optional
+   */
+  setTargetLanguageHandlers(language, handlers) {
+    this.targetLanguageHandlers.set(language.toLowerCase(), handlers);
+  }
+
   async getLanguages(type = "source") {
     // Return hard-coded supported languages from config
     return type === "source" ? SUPPORTED_SOURCE_LANGUAGES : SUPPORTED_TARGET_LANGUAGES;
@@ -77,6 +137,7 @@ class DeepLVoiceClient {
     //     headers: {
     //       'Content-Type': 'application/json',
     //       'Accept': 'application/json',
+    //       ...(await this._getAuthHeaders()),
     //     },
     //     body: JSON.stringify({ type }),
     //   });
@@ -96,6 +157,149 @@ class DeepLVoiceClient {
     // }
   }
 
+  /**
+   * List the glossaries available to the DeepL account
+   *
+   * @returns {Promise<Object[]>} Glossaries with glossary_id, name, source_lang, target_lang and entry_count
+   */
+  async listGlossaries() {
+    const data = await this._glossaryRequest('/glossaries', { method: 'GET' });
+    return data.glossaries || [];
+  }
+
+  /**
+   * Create a glossary for one language pair
+   *
+   * @param {Object} glossary - Glossary definition
+   * @param {string} glossary.name - Display name
+   * @param {string} glossary.sourceLanguage - Source language code (e.g., 'en')
+   * @param {string} glossary.targetLanguage - Target language code (e.g., 'de')
+   * @param {string} glossary.entries - Glossary entries, one "source,target" (CSV) or "source<TAB>target" (TSV) pair per line
+   * @param {string} [glossary.entriesFormat='tsv'] - 'csv' or 'tsv'
+   * @returns {Promise<Object>} The created glossary
+   */
+  async createGlossary(glossary) {
+    return this._glossaryRequest('/glossaries', {
+      method: 'POST',
+      body: JSON.stringify({
+        name: glossary.name,
+        source_lang: glossary.sourceLanguage.toLowerCase(),
+        target_lang: glossary.targetLanguage.toLowerCase(),
+        entries: glossary.entries,
+        entries_format: glossary.entriesFormat || 'tsv',
+      }),
+    });
+  }
+
+  /**
+   * Delete a glossary
+   *
+   * @param {string} glossaryId - Id of the glossary to delete
+   * @returns {Promise<void>}
+   */
+  async deleteGlossary(glossaryId) {
+    await this._glossaryRequest(`/glossaries/${encodeURIComponent(glossaryId)}`, { method: 'DELETE' });
+  }
+
+  /**
+   * Translate text, e.g. chat messages, with the same languages, formality and glossaries as the voice sessions
+   *
+   * @param {string[]} texts - Texts to translate
+   * @param {Object} options
+   * @param {string} options.targetLanguage - Target language code (e.g., 'en-US', 'de')
+   * @param {string} [options.sourceLanguage] - Source language code, detected by DeepL when omitted
+   * @param {string} [options.formality] - 'formal', 'informal' or 'default'
+   * @param {string} [options.glossaryId] - Glossary for the language pair, requires a source language
+   * @returns {Promise<{text: string, detectedSourceLanguage: string}[]>} One translation per text, in order
+   */
+  async translateText(texts, options) {
+    if (!this.translateTextProxy) {
+      throw new Error('Translate text proxy URL is not configured');
+    }
+
+    const body = {
+      text: texts,
+      target_lang: options.targetLanguage.toUpperCase(),
+    };
+    if (options.sourceLanguage) {
+      // The text API only takes the base language as source, e.g. 'EN' instead of 'EN-US'
+      body.source_lang = options.sourceLanguage.split('-')[0].toUpperCase();
+    }
+    // 'prefer_' falls back to the default formality for languages without formality support
+    if (options.formality === 'formal') body.formality = 'prefer_more';
+    if (options.formality === 'informal') body.formality = 'prefer_less';
+    if (options.glossaryId && body.source_lang) body.glossary_id = options.glossaryId;
+
+    try {
+      const response = await fetch(`${this.translateTextProxy.replace(/\/$/, '')}/translate`, {
+        method: 'POST',
+        headers: {
+          'Accept': 'application/json',
+          'Content-Type': 'application/json',
+          ...(await this._getAuthHeaders()),
+        },
+        body: JSON.stringify(body),
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(`Translate request failed: ${response.status} - ${error.deepl?.message || error.message || error.error || response.statusText}`);
+      }
+
+      const data = await response.json();
+      return (data.translations || []).map((translation) => ({
+        text: translation.text,
+        detectedSourceLanguage: translation.detected_source_language?.toLowerCase(),
+      }));
+    } catch (error) {
+      if (this.onError) {
+        this.onError(error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * The Lambda proxies only accept callers signed in to the webapp's Cognito user pool
+   * @private
+   */
+  async _getAuthHeaders() {
+    const tokens = await getValidTokens();
+    if (!tokens?.idToken) {
+      throw new Error('Not authenticated, please sign in again');
+    }
+    return { 'Authorization': `Bearer ${tokens.idToken}` };
+  }
+
+  async _glossaryRequest(path, init) {
+    if (!this.glossariesProxy) {
+      throw new Error('Glossaries proxy URL is not configured');
+    }
+
+    try {
+      const response = await fetch(`${this.glossariesProxy.replace(/\/$/, '')}${path}`, {
+        ...init,
+        headers: {
+          'Accept': 'application/json',
+          'Content-Type': 'application/json',
+          ...(await this._getAuthHeaders()),
+        },
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(`Glossary request failed: ${response.status} - ${error.message || error.error || response.statusText}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      if (this.onError) {
+        this.onError(error);
+      }
+      throw error;
+    }
+  }
+
   /**
    * Request a new streaming session
    * 
@@ -106,6 +310,7 @@ class DeepLVoiceClient {
    * @param {string} config.sourceLanguageMode - 'auto' for auto-detection or 'fixed' for specific language code
    * @param {string} config.sourceMediaContentType - Audio format (e.g., 'audio/l16;rate=16000', 'audio/opus', 'audio/webm;codecs=opus')
    * @param {string} config.targetMediaContentType - Desired output audio format (e.g., 'audio/l16;rate=16000', 'audio/opus', 'audio/webm;codecs=opus')
+   * @param {string} [config.audioCodec='pcm'] - Audio transport, 'pcm' or 'opus' (Ogg Opus in both directions, replaces the two content types above; PCM is used if the browser cannot encode Opus)
    * @param {string} [config.targetMediaVoice] - Optional desired voice for TTS output (e.g., 'female', 'male')
    * @param {string} config.formality - Optional desired translation formality (formal, informal, default)
    * @param {string[]} [config.glossaryIds] - Optional array of glossary IDs
@@ -122,13 +327,28 @@ class DeepLVoiceClient {
     }
 
     this.sessionConfig = config;
+    this.primaryTargetLanguage = config.targetLanguages[0].toLowerCase();
+
+    // A new session starts new media streams on both sides
+    this.audioCodec?.close();
+    this.audioCodec = await createAudioCodec(config.audioCodec || AUDIO_CODECS.PCM, {
+      sampleRate: this.sampleRate,
+      outputSampleRate: AUDIO_OUTPUT_SAMPLE_RATE,
+      sourceMediaContentType: config.sourceMediaContentType,
+      targetMediaContentType: config.targetMediaContentType,
+      onEncoded: (mediaChunk) => this._sendMediaChunk(mediaChunk),
+      onDecoded: (pcmChunks) => {
+        if (this.onAudio) this.onAudio(pcmChunks);
+      },
+      onError: (error) => console.error(`[${this.type}] ❌ Audio codec error:`, error),
+    });
     
     const body = {
       source_language: config.sourceLanguage.toLowerCase(),
       target_languages: config.targetLanguages.map(lang => lang.toLowerCase()),
       target_media_languages: config.targetMediaLanguages.map(lang => lang.toLowerCase()) || config.targetLanguages.map(lang => lang.toLowerCase()),
-      source_media_content_type: config.sourceMediaContentType,
-      target_media_content_type: config.targetMediaContentType,
+      source_media_content_type: this.audioCodec.sourceMediaContentType,
+      target_media_content_type: this.audioCodec.targetMediaContentType,
       target_media_voice: config.targetMediaVoice || 'female',
       formality: config.formality || 'default',
       source_language_mode: config.sourceLanguageMode || 'fixed',
@@ -148,7 +368,7 @@ class DeepLVoiceClient {
 
     // Log TTS provider selection
     const usingElevenLabs = body.early_access_experimental_mode === 'use_external_speech_provider';
-    console.log(`🚀 Requesting ${this.type} session with ${usingElevenLabs ? 'ElevenLabs' : 'DeepL Internal'} TTS`);
+    console.log(`🚀 Requesting ${this.type} session with ${usingElevenLabs ? 'ElevenLabs' : 'DeepL Internal'} TTS and ${this.audioCodec.name} audio`);
     console.log('Session request body:', JSON.stringify(body, null, 2));
 
     try {
@@ -157,13 +377,19 @@ class DeepLVoiceClient {
         headers: {
           'Accept': 'application/json',
           'Content-Type': 'application/json',
+          ...(await this._getAuthHeaders()),
         },
         body: JSON.stringify(body),
       });
 
       if (!response.ok) {
         const error = await response.json().catch(() => ({}));
-        throw new Error(`Session request failed: ${response.status} - ${error.message || response.statusText}`);
+        // 400 responses list each invalid session option
+        const fieldErrors = (error.fields || []).map(fieldError => `${fieldError.field} ${fieldError.message}`).join('; ');
+        const requestError = new Error(`Session request failed: ${response.status} - ${fieldErrors || error.message || error.error || response.statusText}`);
+        // e.g. 403 when DeepL Voice is not available for the account or region, see startVoiceTranslationSession
+        requestError.status = response.status;
+        throw requestError;
       }
 
       const data = await response.json();
@@ -180,6 +406,49 @@ class DeepLVoiceClient {
     }
   }
 
+  /**
+   * Request a reconnection to the current streaming session, using the token of its last connection.
+   * Transcript context and audio time offsets continue from where the previous connection stopped.
+   *
+   * @returns {Promise<Object>} Session details with a new streaming_url and token
+   */
+  async requestReconnection() {
+    if (!this.currentToken) {
+      throw new Error('No session to reconnect to');
+    }
+
+    try {
+      const response = await fetch(this.requestSessionProxy, {
+        method: 'POST',
+        headers: {
+          'Accept': 'application/json',
+          'Content-Type': 'application/json',
+          ...(await this._getAuthHeaders()),
+        },
+        body: JSON.stringify({ reconnect_token: this.currentToken }),
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        const requestError = new Error(`Reconnection request failed: ${response.status} - ${error.message || error.error || response.statusText}`);
+        requestError.status = response.status;
+        throw requestError;
+      }
+
+      const data = await response.json();
+      console.log(`[${this.type}] Reconnection request successful`);
+      this.streamingUrl = data.streaming_url;
+      this.currentToken = data.token;
+
+      return data
+    } catch (error) {
+      if (this.onError) {
+        this.onError(error);
+      }
+      throw error;
+    }
+  }
+
   /**
    * Connect to the WebSocket streaming endpoint
    * 
@@ -199,6 +468,9 @@ class DeepLVoiceClient {
         // Start health monitoring
         this.healthMonitor.start();
 
+        // Replay audio captured while the previous connection was down
+        this._flushReconnectionBuffer();
+
         if (this.onConnect) {
           this.onConnect();
         }
@@ -238,6 +510,8 @@ class DeepLVoiceClient {
     console.log('Disconnecting...');
     this.isConnected = false;
     this.shouldReconnect = false;
+    this._clearReconnectionBuffer('DISCONNECTED');
+    this.audioCodec?.close();
 
     // Stop health monitoring
     this.healthMonitor.stop();
@@ -249,6 +523,32 @@ class DeepLVoiceClient {
     }
   }
 
+  /**
+   * Stop sending audio, e.g. while the contact is on hold. The WebSocket stays open
+   * and the capture keeps running, its frames are discarded until resume().
+   */
+  pause() {
+    if (this.isPaused) return;
+    console.log(`[${this.type}] ⏸️  Pausing audio stream`);
+    this.isPaused = true;
+    this.healthMonitor.pause();
+  }
+
+  /**
+   * Resume sending audio after pause(), reconnecting when the server closed the idle WebSocket meanwhile
+   */
+  resume() {
+    if (!this.isPaused) return;
+    console.log(`[${this.type}] ▶️  Resuming audio stream`);
+    this.isPaused = false;
+    this.healthMonitor.resume();
+
+    if (!this.isConnected && !this.isReconnecting && this.shouldReconnect && this.currentToken) {
+      console.log(`[${this.type}] 🔄 WebSocket closed while paused, reconnecting`);
+      this._handleReconnection();
+    }
+  }
+
   /**
    * Get connection health metrics
    * @returns {Object} - Health data
@@ -292,46 +592,67 @@ class DeepLVoiceClient {
             const lastSegment = update.concluded[update.concluded.length - 1];
             const audioEndTime = lastSegment.end_time;
 
-            this.audioLatencyTrackManager.enqueueTranscription(this.type, receiveTime, audioEndTime);
+            this.audioLatencyTrackManager?.enqueueTranscription(this.type, receiveTime, audioEndTime);
 
+            const transcriptEvent = this._buildSourceTranscriptEvent(update);
             if (this.onTranscription) {
-                const concludedText = update.concluded
-                    .map(item => item.text)
-                    .join('');
+                const concludedText = this._joinSegments(update.concluded);
                 console.log(`[${this.type}] 📝 Transcription: "${concludedText}"`);
-                this.onTranscription(concludedText);
+                this.onTranscription(concludedText, transcriptEvent);
             }
           }
+
+        // Tentative text is re-sent with every update until it concludes, an empty list clears it
+        if (this.onTranscriptionPartial && update.tentative) {
+            this.onTranscriptionPartial(this._joinSegments(update.tentative));
+        }
       }
       else if (message.target_transcript_update) {
         const update = message.target_transcript_update;
+        const languageHandlers = this._getTargetLanguageHandlers(update.language);
 
-        if (update.concluded && update.concluded.length > 0) {
+        if (languageHandlers) {
+            if (update.concluded && update.concluded.length > 0 && languageHandlers.onTranslation) {
+                languageHandlers.onTranslation(this._joinSegments(update.concluded), this._buildTargetTranscriptEvent(update));
+            }
+            if (languageHandlers.onTranslationPartial && update.tentative) {
+                languageHandlers.onTranslationPartial(this._joinSegments(update.tentative));
+            }
+        }
+        else if (update.concluded && update.concluded.length > 0) {
             const lastSegment = update.concluded[update.concluded.length - 1];
             const audioEndTime = lastSegment.end_time;
 
-            this.audioLatencyTrackManager.enqueueTranslation(this.type, receiveTime, audioEndTime);
+            this.audioLatencyTrackManager?.enqueueTranslation(this.type, receiveTime, audioEndTime);
 
+            const transcriptEvent = this._buildTargetTranscriptEvent(update);
             if (this.onTranslation) {
-                const concludedText = update.concluded
-                    .map(item => item.text)
-                    .join('');
+                const concludedText = this._joinSegments(update.concluded);
                 console.log(`[${this.type}] 🌐 Translation: "${concludedText}"`);
-                this.onTranslation(concludedText);
+                this.onTranslation(concludedText, transcriptEvent);
 
             }
         }
+
+        if (!languageHandlers && this.onTranslationPartial && update.tentative) {
+            this.onTranslationPartial(this._joinSegments(update.tentative));
+        }
       }
       else if (message.target_media_chunk) {
         const update = message.target_media_chunk;
         const data = update.data;
+        const languageHandlers = this._getTargetLanguageHandlers(update.language);
 
-        if (data && data.length > 0) {
-          console.log(`[${this.type}] 🔊 Received audio: ${data.length} bytes`);
-          if (this.onAudio) {
-              this.onAudio(data);
+        if (languageHandlers) {
+          if (data && data.length > 0 && languageHandlers.onAudio) {
+            languageHandlers.onAudio(data);
           }
-          this.audioLatencyTrackManager.enqueueSynthesis(this.type, receiveTime);
+        }
+        else if (data && data.length > 0) {
+          console.log(`[${this.type}] 🔊 Received audio: ${data.length} bytes`);
+          // Decoded to PCM by the session's codec, then passed on to onAudio
+          this.audioCodec.decode(data);
+          this.audioLatencyTrackManager?.enqueueSynthesis(this.type, receiveTime);
         }
       }
       else if (message.end_of_source_transcript) {
@@ -369,129 +690,161 @@ class DeepLVoiceClient {
     }
   }
 
-  _downsample(buffer, fromRate, toRate) {
-      if (fromRate === toRate) return buffer;
+  /**
+   * Handlers registered for an additional target language, null for the primary target language
+   * (or when the update does not say which language it belongs to)
+   * @private
+   */
+  _getTargetLanguageHandlers(language) {
+      if (!language) return null;
+      const normalizedLanguage = language.toLowerCase();
+      if (normalizedLanguage === this.primaryTargetLanguage) return null;
+      return this.targetLanguageHandlers.get(normalizedLanguage) || null;
+  }
+
+  _joinSegments(segments) {
+      return segments.map(item => item.text).join('');
+  }
 
-      const ratio = fromRate / toRate;
-      const input = new Int16Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 2);
-      const outputLength = Math.floor(input.length / ratio);
-      const output = new Int16Array(outputLength);
+  /**
+   * Assign ids to newly concluded source segments
+   * @returns {TranscriptEvent}
+   * @private
+   */
+  _buildSourceTranscriptEvent(update) {
+      const segments = update.concluded.map(item => {
+          const segment = {
+              id: `${this.segmentIdPrefix}-${++this.segmentCounter}`,
+              text: item.text,
+              startTime: item.start_time,
+              endTime: item.end_time,
+              speaker: item.speaker ?? this.speakerTimeline?.getSpeaker(item.start_time, item.end_time) ?? undefined,
+          };
+          this.sourceSegments.push({ id: segment.id, startTime: segment.startTime, endTime: segment.endTime, translatedTo: new Set() });
+          return segment;
+      });
 
-      for (let i = 0; i < outputLength; i++) {
-          // Average the samples in each window to avoid aliasing
-          const start = Math.floor(i * ratio);
-          const end = Math.floor((i + 1) * ratio);
-          let sum = 0;
-          for (let j = start; j < end; j++) {
-              sum += input[j];
-          }
-          output[i] = Math.round(sum / (end - start));
+      // Keep only the last 100 source segments, older ones are not translated anymore
+      if (this.sourceSegments.length > 100) {
+          this.sourceSegments = this.sourceSegments.slice(-100);
       }
 
-      return Buffer.from(output.buffer);
+      return { type: this.type, kind: 'source', language: update.language, segments };
   }
 
   /**
-     * Send audio data to the server
-     * 
-     * @param {ArrayBuffer|Uint8Array} audioData - Audio data chunk
-     * @param {Object} [options] - Optional metadata
-     * @param {number} [options.timestamp] - Timestamp in milliseconds
-     */ 
-  async streamAudio(audioStream, sampleRate) {
-    try {
-        let buffer = Buffer.alloc(0);
-        const targetSampleRate = AUDIO_INGEST_SAMPLE_RATE;
-        const chunkSize = BUFFER_LEN; // 100ms of audio at 48kHz mono PCM (16000 samples/sec * 0.1 sec * 2 bytes/sample)
-        let totalChunksReceived = 0;
-        let totalChunksSent = 0;
-        let lastLogTime = Date.now();
-        const logInterval = 5000; // Log summary every 5 seconds
-
-        console.log(`[${this.type}] 🎬 streamAudio started - chunkSize: ${chunkSize} bytes (${(chunkSize / (targetSampleRate * 2) * 1000).toFixed(0)}ms @ ${targetSampleRate}Hz)`);
-
-        for await (const audioEvent of getTranscribeAudioStream(audioStream, sampleRate)) {
-            // Stop streaming if we've been disconnected (e.g., call ended)
-            if (!this.shouldReconnect) {
-                console.log(`[${this.type}] 🛑 Stopping audio stream - call disconnected`);
-                break;
-            }
-
-            let chunk = audioEvent.AudioEvent.AudioChunk;
-            totalChunksReceived++;
+   * Pair newly concluded target segments with the source segment they translate
+   * @returns {TranscriptEvent}
+   * @private
+   */
+  _buildTargetTranscriptEvent(update) {
+      const language = (update.language || this.primaryTargetLanguage || '').toLowerCase();
+      const segments = update.concluded.map(item => ({
+          id: this._findSourceSegmentId(item.start_time, item.end_time, language),
+          text: item.text,
+          startTime: item.start_time,
+          endTime: item.end_time,
+      }));
+
+      return { type: this.type, kind: 'target', language: update.language, segments };
+  }
 
-            if (sampleRate > targetSampleRate) {
-                chunk = this._downsample(chunk, sampleRate, targetSampleRate);
-            }
+  /**
+   * Target segments carry the source audio times they translate, pick the source segment
+   * with the largest overlap, or the oldest one not yet translated into this language when the times do not overlap.
+   * @private
+   */
+  _findSourceSegmentId(startTime, endTime, language) {
+      let bestMatch = null;
+      let bestOverlap = 0;
+      for (const sourceSegment of this.sourceSegments) {
+          const overlap = Math.min(endTime, sourceSegment.endTime) - Math.max(startTime, sourceSegment.startTime);
+          if (overlap > bestOverlap) {
+              bestOverlap = overlap;
+              bestMatch = sourceSegment;
+          }
+      }
 
-            buffer = Buffer.concat([buffer, chunk]);
+      if (!bestMatch) {
+          bestMatch = this.sourceSegments.find(sourceSegment => !sourceSegment.translatedTo.has(language)) || null;
+      }
 
-            while (buffer.length >= chunkSize) {
-                const chunkToSend = buffer.slice(0, chunkSize);
-                buffer = buffer.slice(chunkSize);
-                totalChunksSent++;
+      if (!bestMatch) {
+          // Translation arrived without a known source segment (i.e. transcription disabled)
+          return `${this.segmentIdPrefix}-${++this.segmentCounter}`;
+      }
 
-                this.audioLatencyTrackManager.enqueueAudio(this.type, chunkToSend, performance.now());
-                this.sendAudio(chunkToSend);
-            }
+      bestMatch.translatedTo.add(language);
+      return bestMatch.id;
+  }
 
-            // Periodic summary logging
-            const now = Date.now();
-            if (now - lastLogTime > logInterval) {
-                console.log(`[${this.type}] 📊 Streaming - Received: ${totalChunksReceived} chunks, Sent: ${totalChunksSent} chunks, Buffer: ${buffer.length} bytes`);
-                lastLogTime = now;
-            }
-        }
+  /**
+   * Stream captured audio to the server
+   *
+   * @param {AsyncIterable<Buffer>} audioCapture - 16-bit PCM frames of BUFFER_LEN bytes at AUDIO_INGEST_SAMPLE_RATE (see AudioCaptureManager)
+   */
+  async streamAudio(audioCapture) {
+    return this.continueAudio(audioCapture[Symbol.asyncIterator]());
+  }
 
-        // Final buffer check - CRITICAL: Log if audio was lost
-        if (buffer.length > 0) {
-            const unsentMs = ((buffer.length / (sampleRate * 2)) * 1000).toFixed(0);
-            console.error(`[${this.type}] 🚨 Stream ended with ${buffer.length} bytes (${unsentMs}ms) UNSENT in buffer!`);
-            console.warn(`[${this.type}] This audio was NEVER sent to the API and will be LOST`);
-        } else {
-            console.log(`[${this.type}] ✅ Stream ended cleanly - buffer empty`);
-        }
+  /**
+   * Make-before-break session switch: move the captured audio to a client whose session is already connected.
+   * The next captured chunk and everything after it go to newClient, so no audio is lost or sent twice.
+   * Call endAudio() and disconnect() on this client afterwards.
+   *
+   * @param {Object} newClient - VoiceTranslationClient of either backend to continue streaming the same capture
+   * @returns {Promise<void>} Resolves once the capture has moved and the audio already captured was sent, or right away when this client is not streaming
+   */
+  async handOffAudio(newClient) {
+    await this.audioStreamer.handOff(newClient);
+    await this.audioCodec?.flush();
+  }
 
-    } catch (error) {
-        console.error(`[${this.type}] ❌ Error streaming audio:`, error);
-        throw error;
-    } finally {
-        console.log(`[${this.type}] 🏁 streamAudio ended`);
-    }
+  /**
+   * Continue streaming a capture handed over by another client's handOffAudio
+   *
+   * @param {AsyncIterator<Buffer>} audioIterator - Iterator of the capture, see streamAudio
+   * @param {Buffer} [firstChunk] - Frame the previous client took from audioIterator but did not send
+   */
+  async continueAudio(audioIterator, firstChunk) {
+    return this.audioStreamer.stream(audioIterator, firstChunk);
   }
 
   sendAudio(audioBuffer) {
-    // Drop audio chunks if not connected or WebSocket is null (e.g., during reconnection)
     if (!this.isConnected || !this.ws) {
-      const wsState = this.ws ? `readyState=${this.ws.readyState}` : 'ws=null';
+      // Hold audio while reconnecting, it is replayed once the new WebSocket opens
+      if (this.isReconnecting && this.shouldReconnect && this.maxReconnectionBufferMs > 0) {
+        this._bufferForReconnection(audioBuffer);
+        return;
+      }
+
+      // Drop audio chunks if not connected or WebSocket is null
       const dropReason = this.isReconnecting ? 'RECONNECTING' : 'DISCONNECTED';
+      this._recordDroppedAudio(audioBuffer.length, dropReason);
+      return;
+    }
 
-      // ⚠️ ALWAYS log drops (not just in debug mode) - this is critical data!
-      console.error(`[${this.type}] 🚫 DROPPING ${audioBuffer.length} bytes - Reason: ${dropReason}, isConnected=${this.isConnected}, ${wsState}`);
-      console.warn(`[${this.type}] ⚠️  This audio will NOT be transcribed/translated!`);
-
-      // Track drop statistics
-      this.droppedAudioStats.totalDroppedBytes += audioBuffer.length;
-      this.droppedAudioStats.totalDroppedChunks++;
-      this.droppedAudioStats.dropEvents.push({
-        timestamp: Date.now(),
-        bytes: audioBuffer.length,
-        reason: dropReason,
-        isReconnecting: this.isReconnecting,
-        isConnected: this.isConnected,
-        hasWebSocket: !!this.ws
-      });
+    this._sendAudioChunk(audioBuffer);
+  }
 
-      // Keep only last 100 drop events to prevent memory leak
-      if (this.droppedAudioStats.dropEvents.length > 100) {
-        this.droppedAudioStats.dropEvents.shift();
-      }
+  _sendAudioChunk(audioBuffer) {
+    // The session's audio time only counts audio that reaches it, not audio dropped while reconnecting
+    this.speakerTimeline?.addAudio(audioBuffer, this.cumulativeAudioTime);
+    this.cumulativeAudioTime += (audioBuffer.length / (this.sampleRate * this.bytesPerSample)) * 1000;
+    this.audioLatencyTrackManager?.enqueueSentAudio(this.type, audioBuffer, performance.now());
 
+    // PCM is passed straight through, Opus is sent once the encoder outputs it
+    this.audioCodec.encode(audioBuffer);
+  }
+
+  _sendMediaChunk(mediaChunk) {
+    if (!this.isConnected || !this.ws) {
+      console.warn(`[${this.type}] ⚠️  Encoded audio (${mediaChunk.length} bytes) ready after the WebSocket closed, not sent`);
       return;
     }
 
     try {
-        const base64Audio = audioBuffer.toString('base64');
+        const base64Audio = mediaChunk.toString('base64');
         const payload = JSON.stringify({
             source_media_chunk: {
                 data: base64Audio
@@ -504,8 +857,87 @@ class DeepLVoiceClient {
     }
   }
 
-  // Signal end of audio stream
-  endAudio() {
+  /**
+   * Add a chunk to the reconnection ring buffer, evicting the oldest silent chunk
+   * (or the oldest chunk when there is no silence left) once the cap is exceeded
+   * @private
+   */
+  _bufferForReconnection(audioBuffer) {
+    const durationMs = (audioBuffer.length / (this.sampleRate * this.bytesPerSample)) * 1000;
+    const isSilence = this.audioLatencyTrackManager ? !this.audioLatencyTrackManager.detectVoice(audioBuffer) : false;
+
+    this.reconnectionBuffer.push({ buffer: audioBuffer, durationMs, isSilence });
+    this.reconnectionBufferMs += durationMs;
+
+    while (this.reconnectionBufferMs > this.maxReconnectionBufferMs && this.reconnectionBuffer.length > 0) {
+      let evictIndex = this.dropSilenceFirst ? this.reconnectionBuffer.findIndex(entry => entry.isSilence) : -1;
+      if (evictIndex === -1) evictIndex = 0;
+
+      const [evicted] = this.reconnectionBuffer.splice(evictIndex, 1);
+      this.reconnectionBufferMs -= evicted.durationMs;
+      this._recordDroppedAudio(evicted.buffer.length, evicted.isSilence ? 'BUFFER_FULL_SILENCE' : 'BUFFER_FULL');
+    }
+  }
+
+  /**
+   * Send buffered reconnection audio in capture order
+   * @private
+   */
+  _flushReconnectionBuffer() {
+    if (this.reconnectionBuffer.length === 0) return;
+
+    console.log(`[${this.type}] ⏩ Flushing ${this.reconnectionBuffer.length} buffered chunks (${this.reconnectionBufferMs.toFixed(0)}ms) after reconnection`);
+    const entries = this.reconnectionBuffer;
+    this.reconnectionBuffer = [];
+    this.reconnectionBufferMs = 0;
+    entries.forEach(entry => this._sendAudioChunk(entry.buffer));
+  }
+
+  /**
+   * Discard buffered reconnection audio, counting it as dropped
+   * @private
+   */
+  _clearReconnectionBuffer(reason) {
+    this.reconnectionBuffer.forEach(entry => this._recordDroppedAudio(entry.buffer.length, reason));
+    this.reconnectionBuffer = [];
+    this.reconnectionBufferMs = 0;
+  }
+
+  /**
+   * ⚠️ DIAGNOSTIC: Track audio that will never reach the API
+   * @private
+   */
+  _recordDroppedAudio(bytes, dropReason) {
+    const wsState = this.ws ? `readyState=${this.ws.readyState}` : 'ws=null';
+
+    // ⚠️ ALWAYS log drops (not just in debug mode) - this is critical data!
+    console.error(`[${this.type}] 🚫 DROPPING ${bytes} bytes - Reason: ${dropReason}, isConnected=${this.isConnected}, ${wsState}`);
+    console.warn(`[${this.type}] ⚠️  This audio will NOT be transcribed/translated!`);
+
+    // Track drop statistics
+    this.droppedAudioStats.totalDroppedBytes += bytes;
+    this.droppedAudioStats.totalDroppedChunks++;
+    this.droppedAudioStats.dropEvents.push({
+      timestamp: Date.now(),
+      bytes,
+      reason: dropReason,
+      isReconnecting: this.isReconnecting,
+      isConnected: this.isConnected,
+      hasWebSocket: !!this.ws
+    });
+
+    // Keep only last 100 drop events to prevent memory leak
+    if (this.droppedAudioStats.dropEvents.length > 100) {
+      this.droppedAudioStats.dropEvents.shift();
+    }
+  }
+
+  // Signal end of audio stream, after the audio the codec still holds
+  async endAudio() {
+    if (!this.isConnected || !this.ws) {
+        return;
+    }
+    await this.audioCodec?.flush();
     if (!this.isConnected || !this.ws) {
         return;
     }
@@ -526,24 +958,56 @@ class DeepLVoiceClient {
       return;
     }
     this.connecting = true;
-    console.log('Starting session with config:', config);
-    const session = await this.requestSession(config);
-    if (session && session.streaming_url && session.token) {
-      await this.connect(session.streaming_url, session.token);
-    } else {
-      throw new Error('Invalid session response: missing streaming_url or token');
+    try {
+      console.log('Starting session with config:', config);
+      const session = await this.requestSession(config);
+      if (session && session.streaming_url && session.token) {
+        await this.connect(session.streaming_url, session.token);
+      } else {
+        throw new Error('Invalid session response: missing streaming_url or token');
+      }
+    } finally {
+      // Cleared on failure too, otherwise a failed attempt blocks every retry
+      this.connecting = false;
     }
-    this.connecting = false;
   }
 
   /**
-   * Reconnect to an existing session
+   * Reconnect to an existing session, starting a fresh one only when the API refuses the resumption
    *
-   * @returns {Promise<void>}
+   * @returns {Promise<boolean>} - true if the existing session was resumed, false if a new one was started
    */
   async reconnect() {
-    const session = await this.requestReconnection();
+    let session;
+    try {
+      session = await this.requestReconnection();
+    } catch (error) {
+      // Network errors, 5xx and 429 are transient, let the caller retry with backoff
+      if (!error.status || error.status >= 500 || error.status === 429) {
+        throw error;
+      }
+
+      console.warn(`[${this.type}] ⚠️  Session resumption refused (${error.status}), starting a fresh session`);
+      this._resetSessionContext();
+      await this.startSession(this.sessionConfig);
+      return false;
+    }
+
     await this.connect(session.streaming_url, session.token);
+    return true;
+  }
+
+  /**
+   * A fresh session restarts audio time at 0, drop state tied to the previous session's timeline
+   * @private
+   */
+  _resetSessionContext() {
+    this.sourceSegments = [];
+    this.cumulativeAudioTime = 0;
+    this.speakerTimeline = this.speakerDiarization?.createTimeline() ?? null;
+    if (this.audioLatencyTrackManager) {
+      this.audioLatencyTrackManager.resetLatencyTracking(this.type);
+    }
   }
 
   /**
@@ -574,7 +1038,7 @@ class DeepLVoiceClient {
     // Calculate backoff
     const backoffMs = this.healthMonitor.getNextBackoff();
 
-    console.error(`🚨 [${this.type}] RECONNECTION STARTED - WebSocket set to NULL, audio will be DROPPED for ${backoffMs}ms!`);
+    console.error(`🚨 [${this.type}] RECONNECTION STARTED - WebSocket set to NULL, audio will be BUFFERED (up to ${this.maxReconnectionBufferMs}ms) for ${backoffMs}ms!`);
     console.log(`🔄 ${this.type} reconnecting in ${backoffMs}ms...`);
 
     // Wait for backoff
@@ -587,18 +1051,13 @@ class DeepLVoiceClient {
     try {
       console.log(`🔄 Attempting reconnection for ${this.type}...`);
 
-      // Reset latency tracking for new connection
-      if (this.audioLatencyTrackManager) {
-        this.audioLatencyTrackManager.resetLatencyTracking(this.type);
-      }
-
-      // Start new session
-      await this.startSession(this.sessionConfig);
+      // Resume the existing session, falls back to a new session if resumption is refused
+      const resumed = await this.reconnect();
 
       // Success!
       const totalReconnectionTimeMs = Date.now() - reconnectionStartTime;
-      console.log(`✅ ${this.type} reconnected successfully after ${totalReconnectionTimeMs}ms`);
-      console.warn(`⚠️  [${this.type}] Audio was DROPPED for ${totalReconnectionTimeMs}ms during reconnection!`);
+      console.log(`✅ ${this.type} reconnected successfully after ${totalReconnectionTimeMs}ms (${resumed ? 'session resumed' : 'new session'})`);
+      console.warn(`⚠️  [${this.type}] Connection was down for ${totalReconnectionTimeMs}ms, audio beyond ${this.maxReconnectionBufferMs}ms of buffer was DROPPED`);
 
       // Log drop statistics
       const dropStats = this.getDroppedAudioStats();
@@ -621,6 +1080,7 @@ class DeepLVoiceClient {
       } else {
         console.error(`❌ ${this.type} giving up after ${this.healthMonitor.reconnectAttempts} attempts`);
         this.isReconnecting = false; // Clear guard flag
+        this._clearReconnectionBuffer('RECONNECT_FAILED');
       }
     }
   }
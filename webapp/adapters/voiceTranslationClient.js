@@ -0,0 +1,97 @@
+// Copyright 2025 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { SUPPORTED_SOURCE_LANGUAGES, SUPPORTED_TARGET_LANGUAGES } from "../supportedLanguages.js";
+import { LOGGER_PREFIX, VOICE_TRANSLATION_FALLBACK_STATUSES } from "../constants.js";
+import { DeepLVoiceClient } from "./voiceToVoiceAdapter.js";
+import { AmazonVoiceClient, getAmazonVoiceLanguage } from "./amazonVoiceAdapter.js";
+
+/**
+ * Common interface of the speech translation backends, DeepLVoiceClient and AmazonVoiceClient.
+ * main.js only uses these members, so a session can run on either backend.
+ *
+ * @typedef {Object} VoiceTranslationClient
+ * @property {string} type - "agent", "customer" or "participant-<n>"
+ * @property {boolean} isPaused
+ * @property {(config: Object) => Promise<void>} startSession - Session config of DeepLVoiceClient.requestSession
+ * @property {(audioCapture: AsyncIterable<Buffer>) => Promise<void>} streamAudio - 16-bit PCM frames at AUDIO_INGEST_SAMPLE_RATE
+ * @property {(newClient: VoiceTranslationClient) => Promise<void>} handOffAudio - Make-before-break switch, also across backends
+ * @property {(audioIterator: AsyncIterator<Buffer>, firstChunk?: Buffer) => Promise<void>} continueAudio - Takes over the capture of handOffAudio
+ * @property {() => void} pause
+ * @property {() => void} resume
+ * @property {() => Promise<void>} endAudio - No more audio, the translation of audio already sent still arrives. Await it before disconnect
+ * @property {() => void} disconnect
+ * @property {() => Object} getConnectionHealth - See ConnectionHealthMonitor.getHealth
+ *
+ * Events, passed as constructor options of the same name:
+ * - onTranscription(text, transcriptEvent) and onTranslation(text, transcriptEvent), with a TranscriptEvent (see voiceToVoiceAdapter.js)
+ * - onTranscriptionPartial(text) and onTranslationPartial(text), tentative text, an empty string clears it
+ * - onAudio(pcmChunks), translated speech as base64 16-bit PCM chunks at AUDIO_OUTPUT_SAMPLE_RATE
+ * - targetLanguageHandlers, { [language]: { onTranslation, onTranslationPartial, onAudio } } for additional target languages
+ */
+
+export const VOICE_TRANSLATION_BACKENDS = {
+  DEEPL: "deepl",
+  AMAZON: "amazon", // Amazon Transcribe -> Amazon Translate -> Amazon Polly
+};
+
+/**
+ * @param {string} backend - One of VOICE_TRANSLATION_BACKENDS
+ * @param {Object} options - Constructor options, the same for both backends
+ * @returns {VoiceTranslationClient}
+ */
+export function createVoiceTranslationClient(backend, options) {
+  return backend === VOICE_TRANSLATION_BACKENDS.AMAZON ? new AmazonVoiceClient(options) : new DeepLVoiceClient(options);
+}
+
+/**
+ * DeepL Voice, unless it does not support one of the session's languages and the Amazon chain supports all of them
+ *
+ * @param {Object} config - Session config of DeepLVoiceClient.requestSession
+ * @returns {string} - One of VOICE_TRANSLATION_BACKENDS
+ */
+export function selectVoiceTranslationBackend(config) {
+  const isDeepLSourceLanguage = config.sourceLanguageMode === "auto" || isLanguageListed(SUPPORTED_SOURCE_LANGUAGES, config.sourceLanguage);
+  const isDeepLTargetLanguages = config.targetLanguages.every((language) => isLanguageListed(SUPPORTED_TARGET_LANGUAGES, language));
+  if ((isDeepLSourceLanguage && isDeepLTargetLanguages) || !isAmazonVoiceSession(config)) {
+    return VOICE_TRANSLATION_BACKENDS.DEEPL;
+  }
+  return VOICE_TRANSLATION_BACKENDS.AMAZON;
+}
+
+/**
+ * Start the session of client, falling back to the Amazon chain when DeepL Voice refuses it for the account or region
+ *
+ * @param {VoiceTranslationClient} client - Created with createVoiceTranslationClient(selectVoiceTranslationBackend(config), ...)
+ * @param {Object} config - Session config of DeepLVoiceClient.requestSession
+ * @param {(backend: string) => VoiceTranslationClient} createClient - Creates a client with the same options on another backend
+ * @returns {Promise<VoiceTranslationClient>} - client, or the fallback client that took over the session
+ */
+export async function startVoiceTranslationSession(client, config, createClient) {
+  try {
+    await client.startSession(config);
+    return client;
+  } catch (error) {
+    if (!(client instanceof DeepLVoiceClient) || !VOICE_TRANSLATION_FALLBACK_STATUSES.includes(error.status) || !isAmazonVoiceSession(config)) {
+      throw error;
+    }
+    console.warn(`${LOGGER_PREFIX} - startVoiceTranslationSession - DeepL Voice refused the ${client.type} session (${error.status}), falling back to Amazon Transcribe, Translate and Polly`);
+    client.disconnect();
+  }
+
+  const fallbackClient = createClient(VOICE_TRANSLATION_BACKENDS.AMAZON);
+  try {
+    await fallbackClient.startSession(config);
+  } catch (error) {
+    fallbackClient.disconnect();
+    throw error;
+  }
+  return fallbackClient;
+}
+
+function isAmazonVoiceSession(config) {
+  return config.sourceLanguageMode !== "auto" && [config.sourceLanguage, ...config.targetLanguages].every((language) => getAmazonVoiceLanguage(language) != null);
+}
+
+function isLanguageListed(languages, language) {
+  return languages.some((listedLanguage) => listedLanguage.language.toLowerCase() === language?.toLowerCase());
+}
@@ -512,6 +512,7 @@ export class DebugDashboard {
       poor: '🟠',
       dead: '🔴',
       reconnecting: '🔵',
+      paused: '🟣',
       offline: '⚪'
     };
     const badgeLabels = {
@@ -520,6 +521,7 @@ export class DebugDashboard {
       poor: 'Degrading',
       dead: 'Dead',
       reconnecting: 'Reconnecting',
+      paused: 'Paused',
       offline: 'Offline'
     };
     this.refs[`${prefix}Badge`].className = `status-badge ${quality}`;
@@ -575,6 +577,7 @@ export class DebugDashboard {
    * Simplify quality status to binary: Active (green) vs Dead (red)
    * - good/degraded/poor = "Active" (connection is working)
    * - dead/reconnecting/offline = "Dead" (connection is broken)
+   * - paused = "Paused" (contact on hold, no audio sent)
    */
   simplifyStatus(quality) {
     switch (quality) {
@@ -589,6 +592,9 @@ export class DebugDashboard {
       case 'dead':
         return { cssClass: 'dead', label: 'Dead' };
 
+      case 'paused':
+        return { cssClass: 'paused', label: 'Paused' };
+
       case 'offline':
       default:
         return { cssClass: 'offline', label: 'Offline' };
@@ -615,6 +621,7 @@ export class DebugDashboard {
       poor: '▅',
       dead: '▄',
       reconnecting: '▃',
+      paused: '▃',
       offline: '▂'
     };
 
@@ -624,6 +631,7 @@ export class DebugDashboard {
       poor: '#f97316',       // Orange
       dead: '#ef4444',       // Red
       reconnecting: '#3b82f6', // Blue
+      paused: '#8b5cf6',     // Purple
       offline: '#6b7280'     // Gray
     };
 
@@ -27,6 +27,32 @@ export const POLLY_CONFIG = {
   pollyProxyHostname: window.location.hostname, // using Amazon Cloudfront as a proxy
 };
 
+export const DEEPL_CONFIG = {
+  getLanguagesProxyUrl: getParamValue(window.WebappConfig.deepLGetLanguagesProxyUrl),
+  requestSessionProxyUrl: getParamValue(window.WebappConfig.deepLRequestSessionProxyUrl),
+  glossariesProxyUrl: getParamValue(window.WebappConfig.deepLGlossariesProxyUrl),
+  translateTextProxyUrl: getParamValue(window.WebappConfig.deepLTranslateTextProxyUrl),
+};
+
+export const CONTACT_TRANSCRIPT_CONFIG = {
+  contactTranscriptUrl: getParamValue(window.WebappConfig.contactTranscriptUrl),
+};
+
+export const RECORDING_CONFIG = {
+  recordingUploadUrl: getParamValue(window.WebappConfig.recordingUploadUrl), // undefined when recording-upload-enabled is false
+};
+
+// { [queueNameOrArn]: { customerLanguage, formality, voice, ttsProvider } }, applied when a contact from the queue connects
+export const QUEUE_PRESETS_CONFIG = {
+  queueLanguagePresets: getJsonParamValue(window.WebappConfig.queueLanguagePresets) ?? {},
+};
+
+// Contact attributes set in the contact flow, read when a contact connects
+export const CONTACT_ATTRIBUTES_CONFIG = {
+  customerLanguageAttributeName: getParamValue(window.WebappConfig.customerLanguageAttributeName),
+  customerFormalityAttributeName: getParamValue(window.WebappConfig.customerFormalityAttributeName),
+};
+
 function getParamValue(param) {
   const SSM_NOT_DEFINED = "not-defined";
   if (param === SSM_NOT_DEFINED) return undefined;
@@ -36,3 +62,14 @@ function getParamValue(param) {
 function getBoolParamValue(param) {
   return param === "true";
 }
+
+function getJsonParamValue(param) {
+  const value = getParamValue(param);
+  if (value == null) return undefined;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error(`Invalid JSON config parameter, ignored: ${value}`, error);
+    return undefined;
+  }
+}
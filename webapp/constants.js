@@ -16,6 +16,37 @@ export const AUDIO_INGEST_SAMPLE_RATE = 16000;
 export const AUDIO_OUTPUT_SAMPLE_RATE = 16000;
 export const BUFFER_LEN = 3200;
 
+// Opus transport (selectable per session, PCM is used when the browser cannot encode Opus)
+export const OPUS_BITRATE = 24000; // Speech stays intelligible well below the 256kbps of 16kHz PCM
+export const OPUS_FRAME_DURATION_MS = 20;
+export const OPUS_PAGE_DURATION_MS = 100; // Encoded audio is sent in batches matching BUFFER_LEN
+
+// Customer language option that opens the DeepL session with source_language_mode "auto"
+export const AUTO_DETECT_LANGUAGE = "auto";
+// DeepL accepts up to 5 target languages per session, the first one is the other party's language
+export const MAX_MONITOR_LANGUAGES = 4;
+
+// Barge-in: what happens to translated speech when its listener starts talking over it
+export const BARGE_IN_POLICIES = {
+  IGNORE: "ignore", // Keep playing
+  DUCK: "duck", // Lower the volume by BARGE_IN_DUCK_DB until the listener stops talking
+  FLUSH: "flush", // Stop the scheduled speech and drop new speech until the listener stops talking
+};
+export const BARGE_IN_DEFAULT_POLICY = BARGE_IN_POLICIES.IGNORE;
+export const BARGE_IN_DUCK_DB = -15;
+export const BARGE_IN_RELEASE_MS = 600; // Listener silence needed before translated speech is restored
+export const BARGE_IN_RAMP_MS = 50; // Volume ramp, avoids clicks when ducking
+
+// Call recording, one MediaRecorder per track, the first supported container is used
+export const RECORDING_MIME_TYPES = ["audio/webm;codecs=opus", "audio/ogg;codecs=opus", "audio/mp4"];
+export const RECORDING_AUDIO_BITRATE = 32000;
+export const RECORDING_TIMESLICE_MS = 1000; // Recorded data is flushed every second, so a crash loses at most 1s
+
+// Per-contact transcripts, kept in IndexedDB
+export const TRANSCRIPT_DB_NAME = "CCP-V2V";
+export const TRANSCRIPT_DB_VERSION = 1;
+export const TRANSCRIPT_RETENTION_DAYS = 30; // Older transcripts are deleted when the webapp loads
+
 // Latency constants
 export const LATENCY_TRACKING_ENABLED = true;
 export const VAD_RMS_MIN_THRESHOLD = 0.05;
@@ -24,6 +55,13 @@ export const PIPELINE_LATENCY_MAX_MS_OK = 3000;
 export const TURN_LATENCY_MAX_MS_GOOD = 5000;
 export const TURN_LATENCY_MAX_MS_OK = 10000;
 
+// Speaker diarization over VAD energy segments, used when the API sends no speaker labels
+export const DIARIZATION_MAX_SPEAKERS = 4;
+export const DIARIZATION_SILENCE_GAP_MS = 400; // A pause this long ends a voiced segment
+export const DIARIZATION_MIN_SEGMENT_MS = 500; // Shorter segments keep the previous speaker, too short to tell voices apart
+export const DIARIZATION_NEW_SPEAKER_DISTANCE = 1.5; // Feature distance (see SpeakerDiarizationManager) above which a segment gets a new speaker
+export const SPEAKER_BADGE_COLOURS = 4; // .speaker-badge.speaker-<n> classes in style.css
+
 // WebSocket Health Monitoring constants
 export const HEALTH_CHECK_INTERVAL_MS = 1000; // Check health every 1 second
 export const DEGRADED_THRESHOLD_MS = 3000; // Yellow warning after 3s
@@ -37,3 +75,16 @@ export const SPEECH_GRACE_PERIOD_MS = 20000;               // 20s - Grace period
 export const MAX_RECONNECT_ATTEMPTS = 5; // Give up after 5 failed attempts
 export const INITIAL_BACKOFF_MS = 1000; // Start with 1s backoff
 export const MAX_BACKOFF_MS = 30000; // Cap backoff at 30s
+
+// Outbound audio buffered while reconnecting, flushed in order once the new WebSocket opens
+export const RECONNECTION_BUFFER_MAX_MS = 10000; // Buffer up to 10s of audio during reconnection
+export const RECONNECTION_BUFFER_DROP_SILENCE_FIRST = true; // When full, evict silent chunks before speech
+
+// Settings changed mid-call switch to a new session make-before-break, the old session keeps delivering
+// the translation of audio it already received for this long before its socket is closed
+export const SESSION_SWITCH_DRAIN_MS = 3000;
+
+// Amazon Transcribe, Translate and Polly chain, used per session when DeepL Voice does not support its languages
+export const VOICE_TRANSLATION_FALLBACK_STATUSES = [403, 451]; // DeepL Voice session requests refused for the account or region
+export const AMAZON_TRANSCRIBE_PARTIAL_RESULTS_STABILITY = "high"; // Stable partial results conclude a sentence at its punctuation
+export const AMAZON_POLLY_ENGINE = "neural";
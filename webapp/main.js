@@ -2,10 +2,9 @@
 // SPDX-License-Identifier: MIT-0
 import "./style.css";
 import "amazon-connect-streams";
+import "amazon-connect-chatjs";
 
-import MicrophoneStream from "microphone-stream";
-
-import { getConnectURLS, addUpdateLocalStorageKey, getLocalStorageValueByKey, base64ToArrayBuffer, isStringUndefinedNullEmpty, isDebugMode } from "./utils/commonUtility";
+import { getConnectURLS, addUpdateLocalStorageKey, getLocalStorageValueByKey, base64ToArrayBuffer, isStringUndefinedNullEmpty, isDebugMode, downloadBlob } from "./utils/commonUtility";
 import {
   AGENT_TRANSLATION_TO_AGENT_VOLUME,
   AUDIO_FEEDBACK_FILE_PATH,
@@ -13,19 +12,34 @@ import {
   LOGGER_PREFIX,
   LATENCY_TRACKING_ENABLED,
   AUDIO_INGEST_SAMPLE_RATE,
-  AUDIO_OUTPUT_SAMPLE_RATE
+  AUDIO_OUTPUT_SAMPLE_RATE,
+  AUTO_DETECT_LANGUAGE,
+  MAX_MONITOR_LANGUAGES,
+  BARGE_IN_DEFAULT_POLICY,
+  BARGE_IN_DUCK_DB,
+  SESSION_SWITCH_DRAIN_MS,
+  SPEAKER_BADGE_COLOURS
 } from "./constants";
 import { getLoginUrl, getValidTokens, handleRedirect, isAuthenticated, logout, setRedirectURI, startTokenRefreshTimer } from "./utils/authUtility";
 import { AudioStreamManager } from "./managers/AudioStreamManager";
 import { SessionTrackManager, TrackType } from "./managers/SessionTrackManager";
-import { createMicrophoneStream } from "./utils/transcribeUtils";
+import { AudioCaptureManager, createMicrophoneCapture } from "./managers/AudioCaptureManager";
 import { listStreamingLanguages } from "./adapters/transcribeAdapter";
-import { CONNECT_CONFIG } from "./config";
+import { CONNECT_CONFIG, CONTACT_ATTRIBUTES_CONFIG, QUEUE_PRESETS_CONFIG } from "./config";
 import { AudioContextManager } from "./managers/AudioContextManager";
 import { AudioInputTestManager } from "./managers/InputTestManager";
 import { DeepLVoiceClient } from "./adapters/voiceToVoiceAdapter";
+import { createVoiceTranslationClient, selectVoiceTranslationBackend, startVoiceTranslationSession } from "./adapters/voiceTranslationClient";
+import { AMAZON_VOICE_LANGUAGES } from "./supportedLanguages";
 import { AudioLatencyTrackManager } from "./managers/AudioLatencyTrackManager";
+import { SpeakerDiarizationManager } from "./managers/SpeakerDiarizationManager";
 import { SearchableSelect } from "./components/SearchableSelect.js";
+import { CallRecordingManager, RecordingTrack } from "./managers/CallRecordingManager";
+import { isRecordingUploadEnabled, uploadContactFiles } from "./adapters/recordingUploadAdapter";
+import { createZipBlob } from "./utils/zipUtils";
+import { TranscriptStoreManager } from "./managers/TranscriptStoreManager";
+import { exportTranscript } from "./utils/transcriptExportUtils";
+import { isContactTranscriptEnabled, publishContactTranscript } from "./adapters/contactTranscriptAdapter";
 
 let connect = {};
 let CurrentUser = {};
@@ -41,12 +55,15 @@ let contactEventsBound = false;
 // AudioContextManager to manage the AudioContext
 let AudioContextMgr = new AudioContextManager();
 
+// TranscriptStoreManager to keep the transcript of each contact in IndexedDB
+let TranscriptStore = new TranscriptStoreManager();
+
 // AgentMicTestManager to test agent's mic
 let AgentMicTestManager;
 
-//Agent Mic Stream used as input for Amazon Transcribe when transcribing agent's voice
+//Agent Mic capture (AudioCaptureManager), streamed to DeepL Voice when translating agent's voice
 let AmazonTranscribeToCustomerAudioStream;
-//Customer Speaker Stream used as input for Amazon Transcribe when transcribing customer's voice
+//Customer Speaker capture (AudioCaptureManager), streamed to DeepL Voice when translating customer's voice
 let AmazonTranscribeFromCustomerAudioStream;
 
 // SessionTrackManager to manage the current track streaming to the customer
@@ -58,15 +75,18 @@ let ToCustomerAudioStreamManager;
 // AudioStreamManager to manage the stream that goes to Agent
 let ToAgentAudioStreamManager;
 
-// DeepLVoiceClient to manage the connection and audio streaming with DeepL Voice for Agent
+// VoiceTranslationClient to manage the connection and audio streaming for Agent, DeepL Voice or the Amazon fallback
 let DeepLVoiceClientAgent;
 
-// DeepLVoiceClient to manage the connection and audio streaming with DeepL Voice for Customer
+// VoiceTranslationClient to manage the connection and audio streaming for Customer, DeepL Voice or the Amazon fallback
 let DeepLVoiceClientCustomer;
 
 // AudioLatencyTrackManager to manage audio latency tracking and VAD state
 let audioLatencyTrackManager;
 
+// SpeakerDiarizationManager telling apart several people on the customer side, shared by the customer clients of a contact
+let CustomerSpeakerDiarization;
+
 // SearchableSelect instances for language selection
 let customerLanguageSearchable;
 let agentLanguageSearchable;
@@ -75,6 +95,32 @@ let customerTranslateToLanguageSearchable;
 let agentTranslateFromLanguageSearchable;
 let agentTranslateToLanguageSearchable;
 
+// Customer language reported by the DeepL session while the customer language is set to Auto-detect
+let CustomerDetectedLanguage;
+
+// DeepL glossaries available to the account, filtered per language pair in the glossary selects
+let DeepLGlossaries = [];
+
+// CallRecordingManager recording the current contact, when Record Contact is checked
+let ContactRecording;
+// Recording of the last ended contact: { contactId, files, packageBlob }, offered for download and upload
+let LastContactRecording;
+
+// Agent's customer settings replaced by a queue language preset or contact attributes, restored when the contact ends
+let RestoreCustomerSettings;
+
+// Chat contact translated with DeepL: { contact, controller, pendingMessages }
+// One chat at a time, the transcript and its cards belong to a single contact. Concurrent chats are not translated.
+let CurrentChatSession = null;
+
+// Whether the customer is on hold, translation sessions are paused meanwhile
+let IsContactOnHold = false;
+
+// Additional connections of the contact (transfers, conferences), by connection id:
+// { id, speaker, label, connection, hasLeft, controlsDiv, languageSelect, client, capture }
+// Participants who left stay until the contact ends, their transcript keeps the speaker labels
+let Participants = new Map();
+
 /**
  * Display error message to user
  * @param {string} message - Error message to display
@@ -114,6 +160,7 @@ async function replaceToCustomerAudioStreamManager() {
   // Apply saved agent volume when manager is created
   const agentVolume = parseFloat(CCP_V2V.UI.agentStreamMicVolume.value);
   ToCustomerAudioStreamManager.setMicrophoneVolume(agentVolume);
+  applyBargeInPolicy("customer");
 }
 
 async function replaceToAgentAudioStreamManager() {
@@ -121,6 +168,7 @@ async function replaceToAgentAudioStreamManager() {
     await ToAgentAudioStreamManager.dispose();
   }
   ToAgentAudioStreamManager = new AudioStreamManager(CCP_V2V.UI.toAgentAudioElement, await getAudioContext());
+  applyBargeInPolicy("agent");
 }
 
 window.addEventListener("load", () => {
@@ -172,10 +220,13 @@ const onLoad = async () => {
   CCP_V2V.UI.logoutButton.style.display = "block";
   getDevices();
   setAudioElementsSinkIds();
-  loadTranslateLanguageCodes();
+  loadTranslateLanguageCodes().then(() => loadGlossaries());
   loadTranslationFormalities();
   loadVoiceIds();
   loadVolumeSliders();
+  loadBargeInPolicies();
+  loadContactRecordingSettings();
+  CCP_V2V.UI.customerDiarizationCheckbox.checked = getLocalStorageValueByKey("customerDiarization") === "true";
   setLatencyTrackingUIVisibility();
   initCCP(onConnectInitialized);
 };
@@ -226,10 +277,20 @@ const bindUIElements = () => {
     customerStreamMicVolume: document.getElementById("customerStreamMicVolume"),
     customerStreamTranslationCheckbox: document.getElementById("customerStreamTranslationCheckbox"),
     customerAudioFeedbackEnabledCheckbox: document.getElementById("customerAudioFeedbackEnabledCheckbox"),
+    customerBargeInSelect: document.getElementById("customerBargeInSelect"),
+    customerBargeInDuckDbInput: document.getElementById("customerBargeInDuckDbInput"),
     //Translate Customer UI Elements - New simplified
     customerLanguageSelect: document.getElementById("customerLanguageSelect"),
     customerLanguageSaveButton: document.getElementById("customerLanguageSaveButton"),
     customerFormalitySelect: document.getElementById("customerFormalitySelect"),
+    customerDetectedLanguageDiv: document.getElementById("customerDetectedLanguageDiv"),
+    customerAttributeNoticeDiv: document.getElementById("customerAttributeNoticeDiv"),
+    customerDetectedLanguageName: document.getElementById("customerDetectedLanguageName"),
+    agentUseDetectedLanguageButton: document.getElementById("agentUseDetectedLanguageButton"),
+    customerGlossarySelect: document.getElementById("customerGlossarySelect"),
+    customerGlossaryUploadButton: document.getElementById("customerGlossaryUploadButton"),
+    customerGlossaryDeleteButton: document.getElementById("customerGlossaryDeleteButton"),
+    customerGlossaryFileInput: document.getElementById("customerGlossaryFileInput"),
     //Translate Customer UI Elements - Original (hidden)
     customerTranslateFromLanguageSelect: document.getElementById("customerTranslateFromLanguageSelect"),
     customerTranslateToLanguageSelect: document.getElementById("customerTranslateToLanguageSelect"),
@@ -238,6 +299,7 @@ const bindUIElements = () => {
     customerTranslatedTextOutputDiv: document.getElementById("customerTranslatedTextOutputDiv"),
     //Synthesis Customer UI Elements
     customerTtsProviderSelect: document.getElementById("customerTtsProviderSelect"),
+    customerAudioCodecSelect: document.getElementById("customerAudioCodecSelect"),
     customerVoiceIdSelect: document.getElementById("customerVoiceIdSelect"),
     customerVoiceIdSaveButton: document.getElementById("customerVoiceIdSaveButton"),
     customerPollyLanguageCodeSelect: document.getElementById("customerPollyLanguageCodeSelect"),
@@ -260,10 +322,16 @@ const bindUIElements = () => {
     agentStreamMicCheckbox: document.getElementById("agentStreamMicCheckbox"),
     agentStreamMicVolume: document.getElementById("agentStreamMicVolume"),
     agentStreamTranslationCheckbox: document.getElementById("agentStreamTranslationCheckbox"),
+    agentBargeInSelect: document.getElementById("agentBargeInSelect"),
+    agentBargeInDuckDbInput: document.getElementById("agentBargeInDuckDbInput"),
     //Translate Agent UI Elements - New simplified
     agentLanguageSelect: document.getElementById("agentLanguageSelect"),
     agentLanguageSaveButton: document.getElementById("agentLanguageSaveButton"),
     agentFormalitySelect: document.getElementById("agentFormalitySelect"),
+    agentGlossarySelect: document.getElementById("agentGlossarySelect"),
+    agentGlossaryUploadButton: document.getElementById("agentGlossaryUploadButton"),
+    agentGlossaryDeleteButton: document.getElementById("agentGlossaryDeleteButton"),
+    agentGlossaryFileInput: document.getElementById("agentGlossaryFileInput"),
     //Translate Agent UI Elements - Original (hidden)
     agentTranslateFromLanguageSelect: document.getElementById("agentTranslateFromLanguageSelect"),
     agentTranslateToLanguageSelect: document.getElementById("agentTranslateToLanguageSelect"),
@@ -274,6 +342,7 @@ const bindUIElements = () => {
     agentTranslatedTextOutputDiv: document.getElementById("agentTranslatedTextOutputDiv"),
     //Synthesis Agent UI Elements
     agentTtsProviderSelect: document.getElementById("agentTtsProviderSelect"),
+    agentAudioCodecSelect: document.getElementById("agentAudioCodecSelect"),
     agentVoiceIdSelect: document.getElementById("agentVoiceIdSelect"),
     agentVoiceIdSaveButton: document.getElementById("agentVoiceIdSaveButton"),
     agentPollyLanguageCodeSelect: document.getElementById("agentPollyLanguageCodeSelect"),
@@ -287,6 +356,21 @@ const bindUIElements = () => {
 
     //Transcript UI Elements
     divTranscriptContainer: document.getElementById("divTranscriptContainer"),
+    monitorLanguagesSelect: document.getElementById("monitorLanguagesSelect"),
+    recordContactCheckbox: document.getElementById("recordContactCheckbox"),
+    customerDiarizationCheckbox: document.getElementById("customerDiarizationCheckbox"),
+    divContactRecording: document.getElementById("divContactRecording"),
+    contactRecordingStatus: document.getElementById("contactRecordingStatus"),
+    downloadRecordingButton: document.getElementById("downloadRecordingButton"),
+    uploadRecordingButton: document.getElementById("uploadRecordingButton"),
+    transcriptExportFormatSelect: document.getElementById("transcriptExportFormatSelect"),
+    exportTranscriptButton: document.getElementById("exportTranscriptButton"),
+    divMonitorTranscription: document.getElementById("divMonitorTranscription"),
+    divMonitorTranscriptContainer: document.getElementById("divMonitorTranscriptContainer"),
+    divChatComposer: document.getElementById("divChatComposer"),
+    chatMessageInput: document.getElementById("chatMessageInput"),
+    sendChatMessageButton: document.getElementById("sendChatMessageButton"),
+    divParticipants: document.getElementById("divParticipants"),
 
     //Latency Customer UI Elements
     latencyTrackingPanels: document.querySelectorAll(".control-group-latency"),
@@ -340,17 +424,33 @@ const initEventListeners = () => {
   });
   CCP_V2V.UI.customerFormalitySelect.addEventListener("change", async () => {
     addUpdateLocalStorageKey("customerFormality", CCP_V2V.UI.customerFormalitySelect.value)
-    await reloadConfigs();
+    await reloadConfigs(["customer"]);
   })
+  CCP_V2V.UI.agentUseDetectedLanguageButton.addEventListener("click", switchAgentTargetToDetectedLanguage);
+  CCP_V2V.UI.customerGlossarySelect.addEventListener("change", async () => {
+    addUpdateLocalStorageKey(getGlossaryStorageKey("customer"), CCP_V2V.UI.customerGlossarySelect.value);
+    await reloadConfigs(["customer"]);
+  });
+  CCP_V2V.UI.customerGlossaryUploadButton.addEventListener("click", () => CCP_V2V.UI.customerGlossaryFileInput.click());
+  CCP_V2V.UI.customerGlossaryFileInput.addEventListener("change", async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (file) await uploadGlossary("customer", file);
+  });
+  CCP_V2V.UI.customerGlossaryDeleteButton.addEventListener("click", () => deleteSelectedGlossary("customer"));
   //Synthesis Customer UI buttons
   CCP_V2V.UI.customerTtsProviderSelect.addEventListener("change", async (e) => {
     const provider = e.target.value;
     addUpdateLocalStorageKey("customerTtsProvider", provider);
     console.info(`${LOGGER_PREFIX} - Customer TTS provider changed to: ${provider} (${provider === 'elevenlabs' ? 'ElevenLabs' : 'DeepL Internal'})`);
   });
+  CCP_V2V.UI.customerAudioCodecSelect.addEventListener("change", async () => {
+    addUpdateLocalStorageKey("customerAudioCodec", CCP_V2V.UI.customerAudioCodecSelect.value);
+    await reloadConfigs(["customer"]);
+  });
   CCP_V2V.UI.customerVoiceIdSelect.addEventListener("change", async (e) => {
     addUpdateLocalStorageKey("customerVoiceId", CCP_V2V.UI.customerVoiceIdSelect.value);
-    if (e.target.value !== "disabled") await reloadConfigs();
+    if (e.target.value !== "disabled") await reloadConfigs(["customer"]);
   })
   CCP_V2V.UI.customerVoiceIdSaveButton.addEventListener("click", () => {
     addUpdateLocalStorageKey("customerVoiceId", CCP_V2V.UI.customerVoiceIdSelect.value);
@@ -390,6 +490,35 @@ const initEventListeners = () => {
     addUpdateLocalStorageKey("agentStreamMicVolume", event.target.value);
   });
 
+  CCP_V2V.UI.recordContactCheckbox.addEventListener("change", (event) => {
+    addUpdateLocalStorageKey("recordContact", event.target.checked);
+  });
+  CCP_V2V.UI.customerDiarizationCheckbox.addEventListener("change", (event) => {
+    addUpdateLocalStorageKey("customerDiarization", event.target.checked);
+  });
+  CCP_V2V.UI.downloadRecordingButton.addEventListener("click", downloadContactRecording);
+  CCP_V2V.UI.uploadRecordingButton.addEventListener("click", uploadContactRecording);
+  CCP_V2V.UI.exportTranscriptButton.addEventListener("click", exportContactTranscript);
+  CCP_V2V.UI.sendChatMessageButton.addEventListener("click", sendChatMessage);
+  CCP_V2V.UI.chatMessageInput.addEventListener("keydown", (event) => {
+    if (event.key === "Enter" && !event.shiftKey) {
+      event.preventDefault();
+      sendChatMessage();
+    }
+  });
+
+  //Barge-in, what happens to the translated speech when its listener talks over it
+  ["customer", "agent"].forEach((listener) => {
+    CCP_V2V.UI[`${listener}BargeInSelect`].addEventListener("change", (event) => {
+      addUpdateLocalStorageKey(`${listener}BargeInPolicy`, event.target.value);
+      applyBargeInPolicy(listener);
+    });
+    CCP_V2V.UI[`${listener}BargeInDuckDbInput`].addEventListener("change", (event) => {
+      addUpdateLocalStorageKey(`${listener}BargeInDuckDb`, event.target.value);
+      applyBargeInPolicy(listener);
+    });
+  });
+
   //Translate Agent UI buttons
   CCP_V2V.UI.agentTranslateFromLanguageSaveButton.addEventListener("click", () => {
     addUpdateLocalStorageKey("agentTranslateFromLanguage", CCP_V2V.UI.agentTranslateFromLanguageSelect.value);
@@ -399,16 +528,42 @@ const initEventListeners = () => {
   });
   CCP_V2V.UI.agentFormalitySelect.addEventListener("change", async () => {
     addUpdateLocalStorageKey("agentFormality", CCP_V2V.UI.agentFormalitySelect.value)
-    await reloadConfigs();
+    await reloadConfigs(["agent"]);
   })
+  CCP_V2V.UI.agentGlossarySelect.addEventListener("change", async () => {
+    addUpdateLocalStorageKey(getGlossaryStorageKey("agent"), CCP_V2V.UI.agentGlossarySelect.value);
+    await reloadConfigs(["agent"]);
+  });
+  CCP_V2V.UI.agentGlossaryUploadButton.addEventListener("click", () => CCP_V2V.UI.agentGlossaryFileInput.click());
+  CCP_V2V.UI.agentGlossaryFileInput.addEventListener("change", async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (file) await uploadGlossary("agent", file);
+  });
+  CCP_V2V.UI.agentGlossaryDeleteButton.addEventListener("click", () => deleteSelectedGlossary("agent"));
+  //Monitor UI Elements
+  CCP_V2V.UI.monitorLanguagesSelect.addEventListener("change", async () => {
+    const selectedOptions = Array.from(CCP_V2V.UI.monitorLanguagesSelect.selectedOptions);
+    if (selectedOptions.length > MAX_MONITOR_LANGUAGES) {
+      selectedOptions.slice(MAX_MONITOR_LANGUAGES).forEach((option) => (option.selected = false));
+      raiseError(`Up to ${MAX_MONITOR_LANGUAGES} monitor languages can be selected`);
+    }
+    addUpdateLocalStorageKey("monitorLanguages", getMonitorLanguages().join(","));
+    setMonitorTranscriptionVisibility();
+    await reloadConfigs();
+  });
   CCP_V2V.UI.agentTtsProviderSelect.addEventListener("change", async (e) => {
     const provider = e.target.value;
     addUpdateLocalStorageKey("agentTtsProvider", provider);
     console.info(`${LOGGER_PREFIX} - Agent TTS provider changed to: ${provider} (${provider === 'elevenlabs' ? 'ElevenLabs' : 'DeepL Internal'})`);
   });
+  CCP_V2V.UI.agentAudioCodecSelect.addEventListener("change", async () => {
+    addUpdateLocalStorageKey("agentAudioCodec", CCP_V2V.UI.agentAudioCodecSelect.value);
+    await reloadConfigs(["agent"]);
+  });
   CCP_V2V.UI.agentVoiceIdSelect.addEventListener("change", async (e) => {
     addUpdateLocalStorageKey("agentVoiceId", CCP_V2V.UI.agentVoiceIdSelect.value);
-    if (e.target.value !== "disabled") await reloadConfigs();
+    if (e.target.value !== "disabled") await reloadConfigs(["agent"]);
   })
   CCP_V2V.UI.agentVoiceIdSaveButton.addEventListener("click", () => {
     addUpdateLocalStorageKey("agentVoiceId", CCP_V2V.UI.agentVoiceIdSelect.value);
@@ -471,6 +626,7 @@ const onConnectInitialized = (connectAgent) => {
 
   const connectAgentConfiguration = connectAgent.getConfiguration();
   CurrentUser["currentUser_ConnectUsername"] = connectAgentConfiguration.username;
+  CurrentUser["currentUser_RoutingProfileARN"] = connectAgentConfiguration.routingProfile?.routingProfileARN;
 
   subscribeToAgentEvents();
   subscribeToContactEvents();
@@ -516,11 +672,20 @@ function subscribeToContactEvents() {
       console.info(`${LOGGER_PREFIX} - this is an existing contact for this agent`);
     }
 
+    //chat contacts have no audio, their messages are translated as text
+    if (contact.getType() === connect.ContactType.CHAT) {
+      contact.onConnected(onChatContactConnected);
+      contact.onEnded(onChatContactEnded);
+      contact.onDestroy(onChatContactDestroyed);
+      return;
+    }
+
     contact.onConnecting(onContactConnecting);
     contact.onConnected(onContactConnected);
     contact.onEnded(onContactEnded);
     contact.onDestroy(onContactDestroyed);
-    // contact.onRefresh(contactRefreshed);
+    //Streams has no hold event, the connection state changes with a contact refresh
+    contact.onRefresh(onContactRefreshed);
   });
 }
 
@@ -531,30 +696,56 @@ async function onContactConnecting(contact) {
   if (agentLanguageSearchable) agentLanguageSearchable.disable();
   CCP_V2V.UI.customerFormalitySelect.disabled = true;
   CCP_V2V.UI.agentFormalitySelect.disabled = true;
+  CCP_V2V.UI.customerGlossarySelect.disabled = true;
+  CCP_V2V.UI.agentGlossarySelect.disabled = true;
+  CCP_V2V.UI.monitorLanguagesSelect.disabled = true;
   CCP_V2V.UI.agentVoiceIdSelect.disabled = true;
   CCP_V2V.UI.customerVoiceIdSelect.disabled = true;
+  CCP_V2V.UI.customerAudioCodecSelect.disabled = true;
+  CCP_V2V.UI.agentAudioCodecSelect.disabled = true;
+
+  applyQueueLanguagePreset(contact);
+  applyContactAttributeSettings(contact);
+  await startContactTranscript(contact);
 
   audioLatencyTrackManager = new AudioLatencyTrackManager();
+  audioLatencyTrackManager.addVoiceActivityListener(handleVoiceActivityChange);
+  //speakers are always tracked, so labels can be switched on during the contact
+  CustomerSpeakerDiarization = new SpeakerDiarizationManager({ detectVoice: audioLatencyTrackManager.detectVoice.bind(audioLatencyTrackManager) });
   await agentStartSession(audioLatencyTrackManager);
   await customerStartSession(audioLatencyTrackManager);
 }
 
 async function onContactConnected(contact) {
   console.info(`${LOGGER_PREFIX} - contact connected`, contact);
+  //also here, after a page reload the contact is already connected
+  await startContactTranscript(contact);
 
   await agentStartStreaming();
   await customerStartStreaming();
+  await startContactRecording(contact);
+  //after a page reload the contact may already be on hold or in a conference
+  onContactRefreshed(contact);
 
   if (customerLanguageSearchable) customerLanguageSearchable.enable();
   if (agentLanguageSearchable) agentLanguageSearchable.enable();
   CCP_V2V.UI.customerFormalitySelect.disabled = false;
   CCP_V2V.UI.agentFormalitySelect.disabled = false;
+  CCP_V2V.UI.customerGlossarySelect.disabled = false;
+  CCP_V2V.UI.agentGlossarySelect.disabled = false;
+  CCP_V2V.UI.monitorLanguagesSelect.disabled = false;
   CCP_V2V.UI.agentVoiceIdSelect.disabled = false;
   CCP_V2V.UI.customerVoiceIdSelect.disabled = false;
+  CCP_V2V.UI.customerAudioCodecSelect.disabled = false;
+  CCP_V2V.UI.agentAudioCodecSelect.disabled = false;
 }
 
 function onContactEnded(contact) {
   console.info(`${LOGGER_PREFIX} - contact has ended`, contact);
+  //before the audio stream managers are disposed, so the recording keeps the end of the translated speech
+  finishContactRecording();
+  TranscriptStore.endContact();
+  publishContactSummary(contact);
   CurrentAgentConnectionId = null;
   if (ToCustomerAudioStreamManager != null) {
     ToCustomerAudioStreamManager.dispose();
@@ -570,7 +761,248 @@ function onContactEnded(contact) {
   }
   customerStopStreaming();
   agentStopStreaming();
+  removeParticipants();
+  CustomerSpeakerDiarization = null;
+  IsContactOnHold = false;
   cleanUpUI();
+  restoreCustomerSettings();
+}
+
+function onContactRefreshed(contact) {
+  const isOnHold = contact.getActiveInitialConnection()?.isOnHold() ?? false;
+  if (isOnHold !== IsContactOnHold) {
+    IsContactOnHold = isOnHold;
+    console.info(`${LOGGER_PREFIX} - onContactRefreshed - Contact ${isOnHold ? "on hold, pausing" : "resumed, resuming"} translation`);
+  }
+  syncContactParticipants(contact);
+
+  setVoiceClientPaused(DeepLVoiceClientCustomer, IsContactOnHold);
+  //during a warm transfer the agent keeps talking to the participant while the customer is on hold
+  setVoiceClientPaused(DeepLVoiceClientAgent, IsContactOnHold && !getActiveParticipants().some((participant) => participant.connection.isConnected()));
+  getActiveParticipants().forEach((participant) => setVoiceClientPaused(participant.client, !isParticipantHeardAlone(participant)));
+}
+
+function setVoiceClientPaused(client, isPaused) {
+  if (isPaused) {
+    client?.pause();
+  } else {
+    client?.resume();
+  }
+}
+
+//Transfers and conferences add third-party connections, a participant is translated by its own DeepL session
+//during a warm transfer consult (see isParticipantHeardAlone)
+function syncContactParticipants(contact) {
+  const connections = contact.getThirdPartyConnections().filter((connection) => connection.isActive());
+  connections.forEach((connection) => {
+    if (!Participants.has(connection.getConnectionId())) {
+      addParticipant(connection);
+    }
+  });
+
+  getActiveParticipants().forEach((participant) => {
+    const connection = connections.find((item) => item.getConnectionId() === participant.id);
+    if (connection == null) {
+      removeParticipant(participant);
+      return;
+    }
+    participant.connection = connection;
+  });
+}
+
+//Connect mixes all remote parties into one stream. A participant's session only listens while the participant is the
+//only party heard, the customer on hold during a warm transfer consult, and the customer session is paused meanwhile.
+//When the customer can be heard (e.g. a conference) the customer session translates the mixed stream, with speaker labels.
+function isParticipantHeardAlone(participant) {
+  const connectedParticipants = getActiveParticipants().filter((item) => item.connection.isConnected());
+  return IsContactOnHold && connectedParticipants.length === 1 && connectedParticipants[0] === participant;
+}
+
+function getActiveParticipants() {
+  return [...Participants.values()].filter((participant) => !participant.hasLeft);
+}
+
+async function addParticipant(connection) {
+  const number = Participants.size + 1;
+  const endpoint = connection.getEndpoint();
+  const endpointName = endpoint?.name || endpoint?.phoneNumber;
+  const participant = {
+    id: connection.getConnectionId(),
+    speaker: `participant-${number}`,
+    label: endpointName ? `Participant ${number} (${endpointName})` : `Participant ${number}`,
+    connection,
+    hasLeft: false,
+    controlsDiv: null,
+    languageSelect: null,
+    client: null,
+    capture: null,
+  };
+  Participants.set(participant.id, participant);
+  console.info(`${LOGGER_PREFIX} - addParticipant - ${participant.label} joined the contact`);
+
+  addParticipantControls(participant);
+  await startParticipantTranslation(participant);
+}
+
+function addParticipantControls(participant) {
+  const controlsDiv = document.createElement("div");
+  controlsDiv.className = "input-group";
+  const label = document.createElement("label");
+  const languageSelect = document.createElement("select");
+  languageSelect.id = `${participant.speaker}LanguageSelect`;
+  label.htmlFor = languageSelect.id;
+  label.textContent = `${participant.label} Language:`;
+
+  //a second agent usually speaks the agent's language, an interpreter is set to the language they speak
+  Array.from(CCP_V2V.UI.agentTranslateFromLanguageSelect.options).forEach((option) => languageSelect.appendChild(option.cloneNode(true)));
+  languageSelect.value = CCP_V2V.UI.agentTranslateFromLanguageSelect.value;
+  languageSelect.addEventListener("change", () => switchParticipantVoiceClient(participant));
+
+  controlsDiv.append(label, languageSelect);
+  CCP_V2V.UI.divParticipants.appendChild(controlsDiv);
+  CCP_V2V.UI.divParticipants.hidden = false;
+  participant.controlsDiv = controlsDiv;
+  participant.languageSelect = languageSelect;
+}
+
+async function startParticipantTranslation(participant) {
+  if (!isParticipantTranslated(participant)) return;
+
+  const sessionConfig = getParticipantSessionConfig(participant);
+  let client = createParticipantVoiceClient(participant, selectVoiceTranslationBackend(sessionConfig));
+  if (!isParticipantHeardAlone(participant)) client.pause();
+  participant.client = client;
+  try {
+    console.info(`${LOGGER_PREFIX} - startParticipantTranslation - ${participant.label} session config:`, JSON.stringify(sessionConfig, null, 2));
+    const startedClient = await startVoiceTranslationSession(client, sessionConfig, (backend) => createParticipantVoiceClient(participant, backend));
+    //the session fell back to the Amazon chain
+    if (startedClient !== client && participant.client === client) {
+      if (client.isPaused) startedClient.pause();
+      participant.client = startedClient;
+    }
+    client = startedClient;
+
+    //the participant left, or the contact ended, while the session was starting
+    if (participant.client !== client) {
+      client.disconnect();
+      return;
+    }
+    const capture = await new AudioCaptureManager(getRemoteAudioStream()).start();
+    if (participant.client !== client) {
+      await capture.stop();
+      client.disconnect();
+      return;
+    }
+    participant.capture = capture;
+    client.streamAudio(capture);
+  } catch (error) {
+    console.error(`${LOGGER_PREFIX} - startParticipantTranslation - Error starting ${participant.label} session:`, error);
+    raiseError(`Error starting translation for ${participant.label}: ${error}`);
+  }
+}
+
+async function stopParticipantTranslation(participant) {
+  const { client, capture } = participant;
+  participant.client = null;
+  participant.capture = null;
+  if (capture) {
+    await capture.stop();
+  }
+  if (client) {
+    await client.endAudio();
+    client.disconnect();
+  }
+}
+
+function removeParticipant(participant) {
+  console.info(`${LOGGER_PREFIX} - removeParticipant - ${participant.label} left the contact`);
+  participant.hasLeft = true;
+  participant.controlsDiv?.remove();
+  CCP_V2V.UI.divParticipants.hidden = getActiveParticipants().length === 0;
+  stopParticipantTranslation(participant);
+}
+
+function removeParticipants() {
+  getActiveParticipants().forEach(removeParticipant);
+  Participants.clear();
+}
+
+//Only the agent hears a participant alone, participants speaking the agent's language (e.g. a second agent) need no session
+function isParticipantTranslated(participant) {
+  const agentLanguage = CCP_V2V.UI.agentTranslateFromLanguageSelect.value;
+  return toGlossaryLanguage(participant.languageSelect.value) !== toGlossaryLanguage(agentLanguage);
+}
+
+//Participants are translated into the agent's language, like the customer
+function getParticipantTargetLanguage() {
+  return CCP_V2V.UI.customerTranslateToLanguageSelect.value;
+}
+
+function createParticipantVoiceClient(participant, backend) {
+  //no AudioLatencyTrackManager, latency and VAD are tracked for the customer and the agent only
+  return createVoiceTranslationClient(backend, {
+    type: participant.speaker,
+    onTranscription: (text, transcriptEvent) => handleParticipantTranscript(participant, text, transcriptEvent),
+    onTranslation: (text, transcriptEvent) => handleParticipantTranslateText(participant, text, transcriptEvent),
+    onAudio: (data) => handleParticipantSynthesis(participant, data),
+  });
+}
+
+function getParticipantSessionConfig(participant) {
+  const targetLanguage = getParticipantTargetLanguage();
+  const voiceId = CCP_V2V.UI.agentVoiceIdSelect.value;
+  return {
+    sourceLanguage: participant.languageSelect.value,
+    targetLanguages: [targetLanguage],
+    targetMediaLanguages: [targetLanguage],
+    targetMediaVoice: voiceId !== "disabled" ? voiceId : "female",
+    formality: "default",
+    glossaryIds: [],
+    sourceMediaContentType: `audio/pcm;encoding=s16le;rate=${AUDIO_INGEST_SAMPLE_RATE}`,
+    targetMediaContentType: `audio/pcm;encoding=s16le;rate=${AUDIO_OUTPUT_SAMPLE_RATE}`,
+    //same remote audio as the customer session
+    audioCodec: CCP_V2V.UI.customerAudioCodecSelect.value,
+  };
+}
+
+//Make-before-break, like switchVoiceClient. The session starts or stops when the participant's or the agent's language
+//changes to or from the same language.
+async function switchParticipantVoiceClient(participant) {
+  const currentClient = participant.client;
+  if (!isParticipantTranslated(participant)) {
+    await stopParticipantTranslation(participant);
+    return;
+  }
+  if (currentClient == null) {
+    await startParticipantTranslation(participant);
+    return;
+  }
+
+  const sessionConfig = getParticipantSessionConfig(participant);
+  let newClient = createParticipantVoiceClient(participant, selectVoiceTranslationBackend(sessionConfig));
+  try {
+    newClient = await startVoiceTranslationSession(newClient, sessionConfig, (backend) => createParticipantVoiceClient(participant, backend));
+  } catch (error) {
+    newClient.disconnect();
+    console.error(`${LOGGER_PREFIX} - switchParticipantVoiceClient - Error starting new ${participant.label} session:`, error);
+    raiseError(`Error switching ${participant.label} session, the current settings stay active: ${error}`);
+    return;
+  }
+
+  //the participant left while the new session was starting
+  if (participant.client !== currentClient) {
+    newClient.disconnect();
+    return;
+  }
+  participant.client = newClient;
+  if (currentClient.isPaused) {
+    newClient.pause();
+  }
+
+  await currentClient.handOffAudio(newClient);
+  await currentClient.endAudio();
+  setTimeout(() => currentClient.disconnect(), SESSION_SWITCH_DRAIN_MS);
+  console.info(`${LOGGER_PREFIX} - switchParticipantVoiceClient - ${participant.label} session switched`);
 }
 
 async function onContactDestroyed(contact) {
@@ -578,6 +1010,134 @@ async function onContactDestroyed(contact) {
   clearTranscriptCards();
 }
 
+async function onChatContactConnected(contact) {
+  const contactId = contact.getContactId();
+  if (CurrentChatSession?.contact.getContactId() === contactId) return;
+  if (CurrentChatSession != null) {
+    console.warn(`${LOGGER_PREFIX} - onChatContactConnected - chat ${CurrentChatSession.contact.getContactId()} is already translated, chat ${contactId} is not`);
+    raiseError("Only one chat is translated at a time, the new chat is not translated");
+    return;
+  }
+  console.info(`${LOGGER_PREFIX} - chat contact connected`, contact);
+  //set before awaiting, so a chat connecting meanwhile is refused
+  const chatSession = { contact, controller: null, pendingMessages: new Set() };
+  CurrentChatSession = chatSession;
+  await startContactTranscript(contact);
+
+  try {
+    chatSession.controller = await contact.getAgentConnection().getMediaController();
+    chatSession.controller.onMessage((event) => handleChatMessage(chatSession, event.data));
+    CCP_V2V.UI.divChatComposer.hidden = false;
+  } catch (error) {
+    console.error(`${LOGGER_PREFIX} - onChatContactConnected - Error connecting to chat ${contactId}:`, error);
+    raiseError(`Error connecting to chat: ${error.message}`);
+    if (CurrentChatSession === chatSession) CurrentChatSession = null;
+  }
+}
+
+function onChatContactEnded(contact) {
+  if (CurrentChatSession?.contact.getContactId() !== contact.getContactId()) return;
+  console.info(`${LOGGER_PREFIX} - chat contact has ended`, contact);
+  CurrentChatSession = null;
+
+  if (TranscriptStore.getCurrentTranscript()?.contactId === contact.getContactId()) {
+    TranscriptStore.endContact();
+    publishContactSummary(contact);
+  }
+  CCP_V2V.UI.divChatComposer.hidden = true;
+  hideCustomerDetectedLanguage();
+}
+
+//The cards of the translated chat stay until it is destroyed, chats that were not translated leave them alone
+async function onChatContactDestroyed(contact) {
+  if (TranscriptStore.getCurrentTranscript()?.contactId !== contact.getContactId()) return;
+  await onContactDestroyed(contact);
+}
+
+async function handleChatMessage(chatSession, message) {
+  if (message.Type !== "MESSAGE" || !/^text\/(plain|markdown)$/.test(message.ContentType) || isStringUndefinedNullEmpty(message.Content)) return;
+
+  if (message.ParticipantRole === "CUSTOMER") {
+    await translateCustomerChatMessage(message);
+    return;
+  }
+  if (message.ParticipantRole === "AGENT") {
+    //echo of a translation sent from the composer, already shown with its original
+    if (chatSession.pendingMessages.delete(message.Content)) return;
+    //typed in the CCP's own chat window, so it reached the customer untranslated
+    addTranscriptCard(message.Content, null, "fromAgent", `chat-${message.Id}`);
+    storeChatMessage(`chat-${message.Id}`, "agent", message.Content, null, CCP_V2V.UI.agentTranslateFromLanguageSelect.value);
+  }
+}
+
+async function translateCustomerChatMessage(message) {
+  const segmentId = `chat-${message.Id}`;
+  addTranscriptCard(message.Content, null, "toAgent", segmentId);
+
+  const autoDetect = isCustomerLanguageAutoDetect();
+  const targetLanguage = CCP_V2V.UI.customerTranslateToLanguageSelect.value;
+  try {
+    const [translation] = await new DeepLVoiceClient().translateText([message.Content], {
+      sourceLanguage: autoDetect ? undefined : CCP_V2V.UI.customerTranslateFromLanguageSelect.value,
+      targetLanguage,
+      formality: CCP_V2V.UI.customerFormalitySelect.value,
+      glossaryId: CCP_V2V.UI.customerGlossarySelect.value,
+    });
+    if (autoDetect && translation.detectedSourceLanguage) {
+      showCustomerDetectedLanguage(translation.detectedSourceLanguage);
+    }
+
+    addTranscriptCard(null, translation.text, "toAgent", segmentId);
+    storeChatMessage(segmentId, "customer", message.Content, translation.text, translation.detectedSourceLanguage ?? getTranscriptLanguage("customer", "source"), targetLanguage);
+  } catch (error) {
+    console.error(`${LOGGER_PREFIX} - translateCustomerChatMessage - Error translating message ${message.Id}:`, error);
+    storeChatMessage(segmentId, "customer", message.Content, null, getTranscriptLanguage("customer", "source"));
+  }
+}
+
+async function sendChatMessage() {
+  const chatSession = CurrentChatSession;
+  const text = CCP_V2V.UI.chatMessageInput.value.trim();
+  if (chatSession?.controller == null || isStringUndefinedNullEmpty(text)) return;
+
+  CCP_V2V.UI.sendChatMessageButton.disabled = true;
+  const sourceLanguage = CCP_V2V.UI.agentTranslateFromLanguageSelect.value;
+  const targetLanguage = CCP_V2V.UI.agentTranslateToLanguageSelect.value;
+  try {
+    const [translation] = await new DeepLVoiceClient().translateText([text], {
+      sourceLanguage,
+      targetLanguage,
+      formality: CCP_V2V.UI.agentFormalitySelect.value,
+      glossaryId: CCP_V2V.UI.agentGlossarySelect.value,
+    });
+
+    //the echo can arrive before sendMessage resolves
+    chatSession.pendingMessages.add(translation.text);
+    const response = await chatSession.controller.sendMessage({ message: translation.text, contentType: "text/plain" }).catch((error) => {
+      chatSession.pendingMessages.delete(translation.text);
+      throw error;
+    });
+    const segmentId = `chat-${response?.data?.Id ?? Date.now()}`;
+    CCP_V2V.UI.chatMessageInput.value = "";
+
+    addTranscriptCard(text, translation.text, "fromAgent", segmentId);
+    storeChatMessage(segmentId, "agent", text, translation.text, sourceLanguage, targetLanguage);
+  } catch (error) {
+    console.error(`${LOGGER_PREFIX} - sendChatMessage - Error sending message:`, error);
+    raiseError(`Error sending chat message: ${error.message}`);
+  } finally {
+    CCP_V2V.UI.sendChatMessageButton.disabled = false;
+  }
+}
+
+//A chat message is a single segment, with its original and translation stored at once
+function storeChatMessage(segmentId, speaker, original, translation, sourceLanguage, targetLanguage) {
+  TranscriptStore.addText({ id: segmentId, speaker, kind: "source", text: original, language: sourceLanguage });
+  if (!isStringUndefinedNullEmpty(translation)) {
+    TranscriptStore.addText({ id: segmentId, speaker, kind: "target", text: translation, language: targetLanguage });
+  }
+}
+
 async function onAgentLocalMediaStreamCreated(data) {
   //console.info(`${LOGGER_PREFIX} - onAgentLocalMediaStreamCreated`, data);
   CurrentAgentConnectionId = data.connectionId;
@@ -769,8 +1329,8 @@ async function getDevices() {
   }
 }
 
-//Creates Customer Speaker Stream used as input for Amazon Transcribe when transcribing customer's voice
-async function captureFromCustomerAudioStream() {
+//The softphone session has a single remote stream, Connect mixes the customer and any other participants into it
+function getRemoteAudioStream() {
   const session = ConnectSoftPhoneManager?.getSession(CurrentAgentConnectionId);
   const audioStream = session?._remoteAudioStream;
   if (audioStream == null) {
@@ -783,88 +1343,117 @@ async function captureFromCustomerAudioStream() {
     throw new Error("Audio track is not live! ReadyState: " + tracks[0]?.readyState);
   }
   console.log('✅ Audio track is LIVE');
+  return audioStream;
+}
 
-  const amazonTranscribeFromCustomerAudioStream = new MicrophoneStream();
-  amazonTranscribeFromCustomerAudioStream.setStream(audioStream);
-  return amazonTranscribeFromCustomerAudioStream;
+//Creates Customer Speaker Stream used as input for Amazon Transcribe when transcribing customer's voice
+async function captureFromCustomerAudioStream() {
+  //the customer stream belongs to the softphone session, its tracks must stay live when the capture stops
+  return new AudioCaptureManager(getRemoteAudioStream()).start();
 }
 
-async function customerStartSession(audioLatencyTrackManager) {
-  DeepLVoiceClientCustomer = new DeepLVoiceClient({
+function createCustomerVoiceClient(audioLatencyTrackManager, backend) {
+  return createVoiceTranslationClient(backend, {
     type: "customer",
     audioLatencyTrackManager: audioLatencyTrackManager,
+    speakerDiarization: CustomerSpeakerDiarization,
     onTranscription: handleCustomerTranscript,
     onTranslation: handleCustomerTranslateText,
+    onTranslationPartial: handleCustomerTranslateTextPartial,
     onAudio: handleCustomerSynthesis,
+    targetLanguageHandlers: getMonitorTargetLanguageHandlers(CCP_V2V.UI.customerTranslateToLanguageSelect.value, "toAgent"),
   });
-  // Expose to window for debugging (can call window.DeepLVoiceClientCustomer.getConnectionHealth() in console)
-  window.DeepLVoiceClientCustomer = DeepLVoiceClientCustomer;
-  try {
-    const sessionConfig = {
-      sourceLanguage: CCP_V2V.UI.customerTranslateFromLanguageSelect.value,
-      targetLanguages: [CCP_V2V.UI.customerTranslateToLanguageSelect.value],
-      targetMediaLanguages: [CCP_V2V.UI.customerTranslateToLanguageSelect.value],
-      formality: CCP_V2V.UI.customerFormalitySelect.value,
-      targetMediaVoice: CCP_V2V.UI.customerVoiceIdSelect.value !== "disabled" ? CCP_V2V.UI.customerVoiceIdSelect.value : "female",
-      sourceMediaContentType: `audio/pcm;encoding=s16le;rate=${AUDIO_INGEST_SAMPLE_RATE}`,
-      targetMediaContentType: `audio/pcm;encoding=s16le;rate=${AUDIO_OUTPUT_SAMPLE_RATE}`,
-    };
+}
 
-    // Add experimental flag if ElevenLabs is selected
-    const ttsProvider = CCP_V2V.UI.customerTtsProviderSelect.value;
-    if (ttsProvider === 'elevenlabs') {
-      sessionConfig.early_access_experimental_mode = 'use_external_speech_provider';
-      console.info(`${LOGGER_PREFIX} - 🎤 Customer session: Using ElevenLabs TTS (experimental mode enabled)`);
-    } else {
-      console.info(`${LOGGER_PREFIX} - 🎤 Customer session: Using DeepL Internal TTS`);
-    }
+function getCustomerSessionConfig() {
+  const sessionConfig = {
+    sourceLanguage: CCP_V2V.UI.customerTranslateFromLanguageSelect.value,
+    sourceLanguageMode: isCustomerLanguageAutoDetect() ? "auto" : "fixed",
+    targetLanguages: [CCP_V2V.UI.customerTranslateToLanguageSelect.value, ...getSessionMonitorLanguages(CCP_V2V.UI.customerTranslateToLanguageSelect.value)],
+    targetMediaLanguages: [CCP_V2V.UI.customerTranslateToLanguageSelect.value],
+    formality: CCP_V2V.UI.customerFormalitySelect.value,
+    glossaryIds: CCP_V2V.UI.customerGlossarySelect.value ? [CCP_V2V.UI.customerGlossarySelect.value] : [],
+    targetMediaVoice: CCP_V2V.UI.customerVoiceIdSelect.value !== "disabled" ? CCP_V2V.UI.customerVoiceIdSelect.value : "female",
+    sourceMediaContentType: `audio/pcm;encoding=s16le;rate=${AUDIO_INGEST_SAMPLE_RATE}`,
+    targetMediaContentType: `audio/pcm;encoding=s16le;rate=${AUDIO_OUTPUT_SAMPLE_RATE}`,
+    audioCodec: CCP_V2V.UI.customerAudioCodecSelect.value,
+  };
 
+  // Add experimental flag if ElevenLabs is selected
+  const ttsProvider = CCP_V2V.UI.customerTtsProviderSelect.value;
+  if (ttsProvider === 'elevenlabs') {
+    sessionConfig.early_access_experimental_mode = 'use_external_speech_provider';
+    console.info(`${LOGGER_PREFIX} - 🎤 Customer session: Using ElevenLabs TTS (experimental mode enabled)`);
+  } else {
+    console.info(`${LOGGER_PREFIX} - 🎤 Customer session: Using DeepL Internal TTS`);
+  }
+  return sessionConfig;
+}
+
+async function customerStartSession(audioLatencyTrackManager) {
+  const sessionConfig = getCustomerSessionConfig();
+  DeepLVoiceClientCustomer = createCustomerVoiceClient(audioLatencyTrackManager, selectVoiceTranslationBackend(sessionConfig));
+  try {
     console.info(`${LOGGER_PREFIX} - Customer session config:`, JSON.stringify(sessionConfig, null, 2));
 
-    await DeepLVoiceClientCustomer.startSession(sessionConfig);
+    DeepLVoiceClientCustomer = await startVoiceTranslationSession(DeepLVoiceClientCustomer, sessionConfig, (backend) => createCustomerVoiceClient(audioLatencyTrackManager, backend));
   } catch (error) {
     console.error(`${LOGGER_PREFIX} - customerStartSession - Error starting customer session:`, error);
     raiseError(`Error starting customer session: ${error}`);
   }
+  // Expose to window for debugging (can call window.DeepLVoiceClientCustomer.getConnectionHealth() in console)
+  window.DeepLVoiceClientCustomer = DeepLVoiceClientCustomer;
 }
 
-async function agentStartSession(audioLatencyTrackManager) {
-  DeepLVoiceClientAgent = new DeepLVoiceClient({
+function createAgentVoiceClient(audioLatencyTrackManager, backend) {
+  return createVoiceTranslationClient(backend, {
     type: "agent",
     audioLatencyTrackManager: audioLatencyTrackManager,
     onTranscription: handleAgentTranscript,
+    onTranscriptionPartial: handleAgentTranscriptPartial,
     onTranslation: handleAgentTranslateText,
     onAudio: handleAgentSynthesis,
+    targetLanguageHandlers: getMonitorTargetLanguageHandlers(CCP_V2V.UI.agentTranslateToLanguageSelect.value, "fromAgent"),
   });
-  // Expose to window for debugging (can call window.DeepLVoiceClientAgent.getConnectionHealth() in console)
-  window.DeepLVoiceClientAgent = DeepLVoiceClientAgent;
-  try {
-    const sessionConfig = {
-      sourceLanguage: CCP_V2V.UI.agentTranslateFromLanguageSelect.value,
-      targetLanguages: [CCP_V2V.UI.agentTranslateToLanguageSelect.value],
-      targetMediaLanguages: [CCP_V2V.UI.agentTranslateToLanguageSelect.value],
-      targetMediaVoice: CCP_V2V.UI.agentVoiceIdSelect.value !== "disabled" ? CCP_V2V.UI.agentVoiceIdSelect.value : "female",
-      formality: CCP_V2V.UI.agentFormalitySelect.value,
-      sourceMediaContentType: `audio/pcm;encoding=s16le;rate=${AUDIO_INGEST_SAMPLE_RATE}`,
-      targetMediaContentType: `audio/pcm;encoding=s16le;rate=${AUDIO_OUTPUT_SAMPLE_RATE}`,
-    };
+}
 
-    // Add experimental flag if ElevenLabs is selected
-    const ttsProvider = CCP_V2V.UI.agentTtsProviderSelect.value;
-    if (ttsProvider === 'elevenlabs') {
-      sessionConfig.early_access_experimental_mode = 'use_external_speech_provider';
-      console.info(`${LOGGER_PREFIX} - 🎤 Agent session: Using ElevenLabs TTS (experimental mode enabled)`);
-    } else {
-      console.info(`${LOGGER_PREFIX} - 🎤 Agent session: Using DeepL Internal TTS`);
-    }
+function getAgentSessionConfig() {
+  const sessionConfig = {
+    sourceLanguage: CCP_V2V.UI.agentTranslateFromLanguageSelect.value,
+    targetLanguages: [CCP_V2V.UI.agentTranslateToLanguageSelect.value, ...getSessionMonitorLanguages(CCP_V2V.UI.agentTranslateToLanguageSelect.value)],
+    targetMediaLanguages: [CCP_V2V.UI.agentTranslateToLanguageSelect.value],
+    targetMediaVoice: CCP_V2V.UI.agentVoiceIdSelect.value !== "disabled" ? CCP_V2V.UI.agentVoiceIdSelect.value : "female",
+    formality: CCP_V2V.UI.agentFormalitySelect.value,
+    glossaryIds: CCP_V2V.UI.agentGlossarySelect.value ? [CCP_V2V.UI.agentGlossarySelect.value] : [],
+    sourceMediaContentType: `audio/pcm;encoding=s16le;rate=${AUDIO_INGEST_SAMPLE_RATE}`,
+    targetMediaContentType: `audio/pcm;encoding=s16le;rate=${AUDIO_OUTPUT_SAMPLE_RATE}`,
+    audioCodec: CCP_V2V.UI.agentAudioCodecSelect.value,
+  };
 
+  // Add experimental flag if ElevenLabs is selected
+  const ttsProvider = CCP_V2V.UI.agentTtsProviderSelect.value;
+  if (ttsProvider === 'elevenlabs') {
+    sessionConfig.early_access_experimental_mode = 'use_external_speech_provider';
+    console.info(`${LOGGER_PREFIX} - 🎤 Agent session: Using ElevenLabs TTS (experimental mode enabled)`);
+  } else {
+    console.info(`${LOGGER_PREFIX} - 🎤 Agent session: Using DeepL Internal TTS`);
+  }
+  return sessionConfig;
+}
+
+async function agentStartSession(audioLatencyTrackManager) {
+  const sessionConfig = getAgentSessionConfig();
+  DeepLVoiceClientAgent = createAgentVoiceClient(audioLatencyTrackManager, selectVoiceTranslationBackend(sessionConfig));
+  try {
     console.info(`${LOGGER_PREFIX} - Agent session config:`, JSON.stringify(sessionConfig, null, 2));
 
-    await DeepLVoiceClientAgent.startSession(sessionConfig);
+    DeepLVoiceClientAgent = await startVoiceTranslationSession(DeepLVoiceClientAgent, sessionConfig, (backend) => createAgentVoiceClient(audioLatencyTrackManager, backend));
   } catch (error) {
     console.error(`${LOGGER_PREFIX} - agentStartSession - Error starting agent session:`, error);
     raiseError(`Error starting agent session: ${error}`);
   }
+  // Expose to window for debugging (can call window.DeepLVoiceClientAgent.getConnectionHealth() in console)
+  window.DeepLVoiceClientAgent = DeepLVoiceClientAgent;
 }
 
 async function customerStartStreaming() {
@@ -890,11 +1479,10 @@ async function customerStartStreaming() {
     const toCustomerAudioTrack = ToCustomerAudioStreamManager.getAudioTrack();
     RTCSessionTrackManager.replaceTrack(toCustomerAudioTrack, TrackType.POLLY);
 
-    const AmazonTranscribeFromCustomerAudioStream = await captureFromCustomerAudioStream();
-    const sampleRate = AudioContextMgr.getActualSampleRate();
-    console.info(`${LOGGER_PREFIX} - customerStartStreaming - AmazonTranscribeFromCustomerAudioStream Sample Rate: ${sampleRate}`);
-  
-    DeepLVoiceClientCustomer.streamAudio(AmazonTranscribeFromCustomerAudioStream, sampleRate);
+    AmazonTranscribeFromCustomerAudioStream = await captureFromCustomerAudioStream();
+    console.info(`${LOGGER_PREFIX} - customerStartStreaming - AmazonTranscribeFromCustomerAudioStream Sample Rate: ${AmazonTranscribeFromCustomerAudioStream.getSampleRate()}`);
+
+    DeepLVoiceClientCustomer.streamAudio(AmazonTranscribeFromCustomerAudioStream);
 
   } catch (error) {
     console.error(`${LOGGER_PREFIX} - customerStartStreaming - Error starting customer streaming:`, error);
@@ -904,19 +1492,15 @@ async function customerStartStreaming() {
 
 async function customerStopStreaming() {
   if (AmazonTranscribeFromCustomerAudioStream) {
-    //replace the stream with a silent stream
-    const audioContext = await getAudioContext();
-    const silentStream = audioContext.createMediaStreamDestination().stream;
-    AmazonTranscribeFromCustomerAudioStream.setStream(silentStream);
-    AmazonTranscribeFromCustomerAudioStream.stop();
-    AmazonTranscribeFromCustomerAudioStream.destroy();
+    await AmazonTranscribeFromCustomerAudioStream.stop();
     AmazonTranscribeFromCustomerAudioStream = undefined;
   }
 
   if (DeepLVoiceClientCustomer) {
-    DeepLVoiceClientCustomer.endAudio();
-    DeepLVoiceClientCustomer.disconnect();
+    const client = DeepLVoiceClientCustomer;
     DeepLVoiceClientCustomer = null;
+    await client.endAudio();
+    client.disconnect();
   }
 }
 
@@ -949,11 +1533,10 @@ async function agentStartStreaming() {
       ToCustomerAudioStreamManager.setMicrophoneVolume(micVolume);
     })
 
-    AmazonTranscribeToCustomerAudioStream = await createMicrophoneStream(micConstraints);
-    const agentStreamSampleRate = AudioContextMgr.getActualSampleRate();
-    console.info(`${LOGGER_PREFIX} - agentStartStreaming - AmazonTranscribeToCustomerAudioStream Sample Rate: ${agentStreamSampleRate}`);
+    AmazonTranscribeToCustomerAudioStream = await createMicrophoneCapture(micConstraints);
+    console.info(`${LOGGER_PREFIX} - agentStartStreaming - AmazonTranscribeToCustomerAudioStream Sample Rate: ${AmazonTranscribeToCustomerAudioStream.getSampleRate()}`);
 
-    DeepLVoiceClientAgent.streamAudio(AmazonTranscribeToCustomerAudioStream, agentStreamSampleRate);
+    DeepLVoiceClientAgent.streamAudio(AmazonTranscribeToCustomerAudioStream);
 
     disableMicrophoneAndSpeakerSelection();
   } catch (error) {
@@ -964,12 +1547,7 @@ async function agentStartStreaming() {
 
 async function agentStopStreaming() {
   if (AmazonTranscribeToCustomerAudioStream) {
-    //replace the stream with a silent stream
-    const audioContext = await getAudioContext();
-    const silentStream = audioContext.createMediaStreamDestination().stream;
-    AmazonTranscribeToCustomerAudioStream.setStream(silentStream);
-    AmazonTranscribeToCustomerAudioStream.stop();
-    AmazonTranscribeToCustomerAudioStream.destroy();
+    await AmazonTranscribeToCustomerAudioStream.stop();
     AmazonTranscribeToCustomerAudioStream = undefined;
   }
   if (ToCustomerAudioStreamManager != null) {
@@ -977,9 +1555,10 @@ async function agentStopStreaming() {
   }
 
   if (DeepLVoiceClientAgent) {
-    DeepLVoiceClientAgent.endAudio();
-    DeepLVoiceClientAgent.disconnect();
+    const client = DeepLVoiceClientAgent;
     DeepLVoiceClientAgent = null;
+    await client.endAudio();
+    client.disconnect();
   }
 
   enableMicrophoneAndSpeakerSelection();
@@ -1021,6 +1600,12 @@ async function loadTranslateLanguageCodes() {
   });
   console.log(`${LOGGER_PREFIX} - loadTranslateLanguageCodes - DeepL Translate From Languages:`, deepLTranslateFromLanguages);
 
+  // Customer language can also be detected by DeepL
+  const autoDetectOption = document.createElement("option");
+  autoDetectOption.value = AUTO_DETECT_LANGUAGE;
+  autoDetectOption.textContent = "Auto-detect";
+  CCP_V2V.UI.customerLanguageSelect.appendChild(autoDetectOption);
+
   // Populate new simplified language selects
   deepLTranslateFromLanguages.forEach((language) => {
     const option = document.createElement("option");
@@ -1045,6 +1630,25 @@ async function loadTranslateLanguageCodes() {
     option.textContent = language.name;
     CCP_V2V.UI.customerTranslateToLanguageSelect.appendChild(option.cloneNode(true));
     CCP_V2V.UI.agentTranslateToLanguageSelect.appendChild(option.cloneNode(true));
+    CCP_V2V.UI.monitorLanguagesSelect.appendChild(option.cloneNode(true));
+  });
+
+  //languages DeepL Voice does not support are translated per session by the Amazon Transcribe, Translate and Polly chain
+  const isDeepLLanguage = (deepLLanguages, language) => deepLLanguages.some((deepLLanguage) => toGlossaryLanguage(deepLLanguage.language) === toGlossaryLanguage(language.language));
+  AMAZON_VOICE_LANGUAGES.forEach((language) => {
+    const option = document.createElement("option");
+    option.value = language.language;
+    option.textContent = language.name;
+    if (!isDeepLLanguage(deepLTranslateFromLanguages, language)) {
+      CCP_V2V.UI.customerLanguageSelect.appendChild(option.cloneNode(true));
+      CCP_V2V.UI.agentLanguageSelect.appendChild(option.cloneNode(true));
+      CCP_V2V.UI.customerTranslateFromLanguageSelect.appendChild(option.cloneNode(true));
+      CCP_V2V.UI.agentTranslateFromLanguageSelect.appendChild(option.cloneNode(true));
+    }
+    if (!isDeepLLanguage(deepLTranslateToLanguages, language)) {
+      CCP_V2V.UI.customerTranslateToLanguageSelect.appendChild(option.cloneNode(true));
+      CCP_V2V.UI.agentTranslateToLanguageSelect.appendChild(option.cloneNode(true));
+    }
   });
   //set en as default for customer, es for agent
   const defaultCustomerLang = "en";
@@ -1064,21 +1668,13 @@ async function loadTranslateLanguageCodes() {
     CCP_V2V.UI.agentLanguageSelect.value = savedAgentLanguage;
   }
 
-  // Sync simplified selects to hidden legacy selects
-  const syncLanguages = () => {
-    const customerLang = CCP_V2V.UI.customerLanguageSelect.value;
-    const agentLang = CCP_V2V.UI.agentLanguageSelect.value;
-
-    // Customer speaks customerLang, wants to hear agentLang
-    CCP_V2V.UI.customerTranslateFromLanguageSelect.value = customerLang;
-    CCP_V2V.UI.customerTranslateToLanguageSelect.value = agentLang;
+  const savedMonitorLanguages = getLocalStorageValueByKey("monitorLanguages")?.split(",") ?? [];
+  Array.from(CCP_V2V.UI.monitorLanguagesSelect.options).forEach((option) => {
+    option.selected = savedMonitorLanguages.includes(option.value);
+  });
+  setMonitorTranscriptionVisibility();
 
-    // Agent speaks agentLang, wants to hear customerLang
-    CCP_V2V.UI.agentTranslateFromLanguageSelect.value = agentLang;
-    CCP_V2V.UI.agentTranslateToLanguageSelect.value = customerLang;
-  };
 
-  // Initial sync
   syncLanguages();
 
   // Initialize SearchableSelect for new simplified language dropdowns
@@ -1102,52 +1698,227 @@ async function loadTranslateLanguageCodes() {
   // Add change listeners to sync languages when user changes selection
   CCP_V2V.UI.customerLanguageSelect.addEventListener('change', async () => {
     syncLanguages();
+    populateGlossarySelects();
     window.localStorage.setItem('customerLanguage', CCP_V2V.UI.customerLanguageSelect.value);
     await reloadConfigs();
   });
 
   CCP_V2V.UI.agentLanguageSelect.addEventListener('change', async () => {
     syncLanguages();
+    populateGlossarySelects();
     window.localStorage.setItem('agentLanguage', CCP_V2V.UI.agentLanguageSelect.value);
     await reloadConfigs();
   });
 }
 
-async function reloadConfigs() {
+// Sync simplified selects to hidden legacy selects
+function syncLanguages() {
+  const agentLang = CCP_V2V.UI.agentLanguageSelect.value;
+  // In Auto-detect mode the agent keeps hearing the current target language until switched to the detected one
+  const customerLang = isCustomerLanguageAutoDetect()
+    ? CCP_V2V.UI.agentTranslateToLanguageSelect.value || "en"
+    : CCP_V2V.UI.customerLanguageSelect.value;
+  hideCustomerDetectedLanguage();
+
+  // Customer speaks customerLang, wants to hear agentLang
+  CCP_V2V.UI.customerTranslateFromLanguageSelect.value = customerLang.split("-")[0];
+  CCP_V2V.UI.customerTranslateToLanguageSelect.value = agentLang;
+
+  // Agent speaks agentLang, wants to hear customerLang
+  CCP_V2V.UI.agentTranslateFromLanguageSelect.value = agentLang;
+  CCP_V2V.UI.agentTranslateToLanguageSelect.value = customerLang;
+}
+
+//Queue ARNs take precedence over queue names
+function getQueueLanguagePreset(queue) {
+  if (queue == null) return undefined;
+  const presets = QUEUE_PRESETS_CONFIG.queueLanguagePresets;
+  return presets[queue.queueARN] ?? presets[queue.name];
+}
+
+function getCustomerSettings() {
+  return {
+    customerLanguage: CCP_V2V.UI.customerLanguageSelect.value,
+    formality: CCP_V2V.UI.customerFormalitySelect.value,
+    voice: CCP_V2V.UI.customerVoiceIdSelect.value,
+    ttsProvider: CCP_V2V.UI.customerTtsProviderSelect.value,
+  };
+}
+
+//Not saved to localStorage, values missing from a select are skipped so a typo in a preset cannot leave it empty
+function applyCustomerSettings(settings, source) {
+  const selects = {
+    customerLanguage: CCP_V2V.UI.customerLanguageSelect,
+    formality: CCP_V2V.UI.customerFormalitySelect,
+    voice: CCP_V2V.UI.customerVoiceIdSelect,
+    ttsProvider: CCP_V2V.UI.customerTtsProviderSelect,
+  };
+  Object.entries(selects).forEach(([name, select]) => {
+    const value = settings[name];
+    if (value == null) return;
+    if (!Array.from(select.options).some((option) => option.value === value)) {
+      console.warn(`${LOGGER_PREFIX} - applyCustomerSettings - ${source}: ${name} ${value} is not available, ignored`);
+      return;
+    }
+    select.value = value;
+  });
+  customerLanguageSearchable?.setValue(CCP_V2V.UI.customerLanguageSelect.value);
+  syncLanguages();
+  populateGlossarySelects();
+}
+
+//Applied before the sessions start, the agent's own settings are restored when the contact ends
+function applyQueueLanguagePreset(contact) {
+  const queue = contact.getQueue();
+  const preset = getQueueLanguagePreset(queue);
+  if (preset == null) return;
+
+  console.info(`${LOGGER_PREFIX} - applyQueueLanguagePreset - applying preset of queue ${queue.name}`, preset);
+  if (RestoreCustomerSettings == null) RestoreCustomerSettings = getCustomerSettings();
+  applyCustomerSettings(preset, `queue ${queue.name}`);
+}
+
+//Set in the contact flow, e.g. from an IVR language menu, so they take precedence over the queue preset
+function applyContactAttributeSettings(contact) {
+  const attributes = contact.getAttributes() ?? {};
+  const { customerLanguageAttributeName, customerFormalityAttributeName } = CONTACT_ATTRIBUTES_CONFIG;
+  const settings = {};
+  const invalidAttributes = [];
+
+  const languageValue = attributes[customerLanguageAttributeName]?.value;
+  if (!isStringUndefinedNullEmpty(languageValue)) {
+    settings.customerLanguage = findCustomerLanguage(languageValue);
+    if (settings.customerLanguage == null) invalidAttributes.push(`${customerLanguageAttributeName} "${languageValue}"`);
+  }
+  const formalityValue = attributes[customerFormalityAttributeName]?.value;
+  if (!isStringUndefinedNullEmpty(formalityValue)) {
+    settings.formality = findOptionValue(CCP_V2V.UI.customerFormalitySelect, formalityValue);
+    if (settings.formality == null) invalidAttributes.push(`${customerFormalityAttributeName} "${formalityValue}"`);
+  }
+
+  if (Object.values(settings).some((value) => value != null)) {
+    console.info(`${LOGGER_PREFIX} - applyContactAttributeSettings - applying contact attributes`, settings);
+    if (RestoreCustomerSettings == null) RestoreCustomerSettings = getCustomerSettings();
+    applyCustomerSettings(settings, "contact attributes");
+  }
+  if (invalidAttributes.length > 0) {
+    const message = `Invalid contact attribute ${invalidAttributes.join(", ")}, using ${getLanguageName(CCP_V2V.UI.customerLanguageSelect.value)} (${CCP_V2V.UI.customerFormalitySelect.value} formality)`;
+    console.warn(`${LOGGER_PREFIX} - applyContactAttributeSettings - ${message}`);
+    CCP_V2V.UI.customerAttributeNoticeDiv.textContent = message;
+    CCP_V2V.UI.customerAttributeNoticeDiv.hidden = false;
+  }
+}
+
+//Accepts language codes in any case, with a region (fr-FR, fr_FR) or as the language name (French)
+function findCustomerLanguage(value) {
+  const normalized = value.trim().toLowerCase().replace("_", "-");
+  const options = Array.from(CCP_V2V.UI.customerLanguageSelect.options).filter((option) => option.value !== "");
+  const option =
+    options.find((opt) => opt.value.toLowerCase() === normalized) ??
+    options.find((opt) => opt.value.toLowerCase() === normalized.split("-")[0]) ??
+    options.find((opt) => opt.textContent.toLowerCase() === normalized);
+  return option?.value;
+}
+
+function findOptionValue(select, value) {
+  const normalized = value.trim().toLowerCase();
+  return Array.from(select.options).find((option) => option.value !== "" && option.value.toLowerCase() === normalized)?.value;
+}
+
+function restoreCustomerSettings() {
+  CCP_V2V.UI.customerAttributeNoticeDiv.hidden = true;
+  if (RestoreCustomerSettings == null) return;
+  applyCustomerSettings(RestoreCustomerSettings, "restore");
+  RestoreCustomerSettings = undefined;
+}
+
+//Only the sessions of the given types are switched, the captures, mic and audio stream managers keep running
+async function reloadConfigs(types = ["agent", "customer"]) {
   if (!RTCSessionTrackManager) return;
 
   if (agentLanguageSearchable) agentLanguageSearchable.disable();
   if (customerLanguageSearchable) customerLanguageSearchable.disable();
   CCP_V2V.UI.agentFormalitySelect.disabled = true;
   CCP_V2V.UI.customerFormalitySelect.disabled = true;
+  CCP_V2V.UI.agentGlossarySelect.disabled = true;
+  CCP_V2V.UI.customerGlossarySelect.disabled = true;
+  CCP_V2V.UI.monitorLanguagesSelect.disabled = true;
   CCP_V2V.UI.agentVoiceIdSelect.disabled = true;
   CCP_V2V.UI.customerVoiceIdSelect.disabled = true;
+  CCP_V2V.UI.customerAudioCodecSelect.disabled = true;
+  CCP_V2V.UI.agentAudioCodecSelect.disabled = true;
 
-  await agentStopStreaming();
-  await customerStopStreaming();
-
-  audioLatencyTrackManager = new AudioLatencyTrackManager();
-  await agentStartSession(audioLatencyTrackManager);
-  await agentStartStreaming();
-  await customerStartSession(audioLatencyTrackManager);
-  await customerStartStreaming();
+  //participant sessions translate into the agent's language, a language change switches them too
+  const participants = types.length > 1 ? getActiveParticipants() : [];
+  await Promise.all([...types.map((type) => switchVoiceClient(type)), ...participants.map(switchParticipantVoiceClient)]);
 
   if (agentLanguageSearchable) agentLanguageSearchable.enable();
   if (customerLanguageSearchable) customerLanguageSearchable.enable();
   CCP_V2V.UI.agentFormalitySelect.disabled = false;
   CCP_V2V.UI.customerFormalitySelect.disabled = false;
+  CCP_V2V.UI.agentGlossarySelect.disabled = false;
+  CCP_V2V.UI.customerGlossarySelect.disabled = false;
+  CCP_V2V.UI.monitorLanguagesSelect.disabled = false;
   CCP_V2V.UI.agentVoiceIdSelect.disabled = false;
   CCP_V2V.UI.customerVoiceIdSelect.disabled = false;
+  CCP_V2V.UI.customerAudioCodecSelect.disabled = false;
+  CCP_V2V.UI.agentAudioCodecSelect.disabled = false;
+}
+
+//Make-before-break: the new session is connected before the capture moves to it, then the old socket is closed
+async function switchVoiceClient(type) {
+  const isCustomer = type === "customer";
+  const currentClient = isCustomer ? DeepLVoiceClientCustomer : DeepLVoiceClientAgent;
+  if (currentClient == null) return;
+
+  const createClient = (backend) => (isCustomer ? createCustomerVoiceClient(audioLatencyTrackManager, backend) : createAgentVoiceClient(audioLatencyTrackManager, backend));
+  const sessionConfig = isCustomer ? getCustomerSessionConfig() : getAgentSessionConfig();
+  //e.g. switching to a language DeepL Voice does not support moves the session to the Amazon chain, and back
+  let newClient = createClient(selectVoiceTranslationBackend(sessionConfig));
+  try {
+    console.info(`${LOGGER_PREFIX} - switchVoiceClient - Switching ${type} session:`, JSON.stringify(sessionConfig, null, 2));
+    newClient = await startVoiceTranslationSession(newClient, sessionConfig, createClient);
+  } catch (error) {
+    newClient.disconnect();
+    console.error(`${LOGGER_PREFIX} - switchVoiceClient - Error starting new ${type} session:`, error);
+    raiseError(`Error switching ${type} session, the current settings stay active: ${error}`);
+    return;
+  }
+
+  //the contact ended while the new session was starting
+  if (currentClient !== (isCustomer ? DeepLVoiceClientCustomer : DeepLVoiceClientAgent)) {
+    newClient.disconnect();
+    return;
+  }
+  if (isCustomer) {
+    DeepLVoiceClientCustomer = newClient;
+    window.DeepLVoiceClientCustomer = newClient;
+  } else {
+    DeepLVoiceClientAgent = newClient;
+    window.DeepLVoiceClientAgent = newClient;
+  }
+  if (currentClient.isPaused) {
+    newClient.pause();
+  }
+
+  await currentClient.handOffAudio(newClient);
+  await currentClient.endAudio();
+  setTimeout(() => currentClient.disconnect(), SESSION_SWITCH_DRAIN_MS);
+  console.info(`${LOGGER_PREFIX} - switchVoiceClient - ${type} session switched`);
 }
 
-async function handleCustomerTranscript(text) {
+async function handleCustomerTranscript(text, transcriptEvent) {
   if (isStringUndefinedNullEmpty(text)) return;
+  if (isCustomerLanguageAutoDetect() && transcriptEvent?.language) {
+    showCustomerDetectedLanguage(transcriptEvent.language);
+  }
 
   setTimeout(() => {
     setBackgroundColour(CCP_V2V.UI.customerTranscriptionTextOutputDiv, "bg-pale-green");
     // If the text content ends in end of sentence punctuation, replace it
     const lastText = CCP_V2V.UI.customerTranscriptionTextOutputDiv.textContent
-    addTranscriptCard(text, null, "toAgent");
+    getTranscriptSegments(text, transcriptEvent).forEach((segment) => addTranscriptCard(segment.text, null, "toAgent", segment.id, null, getDiarizedSpeaker(segment)));
+    storeTranscriptSegments(text, transcriptEvent, "toAgent", "source");
     if (/[.!?]$/.test(lastText)) {
       CCP_V2V.UI.customerTranscriptionTextOutputDiv.textContent = text;
     } else {
@@ -1156,20 +1927,37 @@ async function handleCustomerTranscript(text) {
   }, 100);
 }
 
-async function handleCustomerTranslateText(text) {
+//Speaker of a customer segment, when speaker labels are switched on
+function getDiarizedSpeaker(segment) {
+  if (CCP_V2V.UI.customerDiarizationCheckbox.checked !== true) return null;
+  return segment.speaker ?? null;
+}
+
+async function handleCustomerTranslateText(text, transcriptEvent) {
   if (isStringUndefinedNullEmpty(text)) return;
 
   setTimeout(() => {
+    setTentativeText(CCP_V2V.UI.customerTranslatedTextOutputDiv, null);
     if (/[.!?]$/.test(CCP_V2V.UI.customerTranslatedTextOutputDiv.textContent)) {
       CCP_V2V.UI.customerTranslatedTextOutputDiv.textContent = text;
     } else {
       CCP_V2V.UI.customerTranslatedTextOutputDiv.textContent += text;
     }
-    addTranscriptCard(null, text, "toAgent");
+    getTranscriptSegments(text, transcriptEvent).forEach((segment) => addTranscriptCard(null, segment.text, "toAgent", segment.id));
+    storeTranscriptSegments(text, transcriptEvent, "toAgent", "target");
+    addPrimaryTranslationToMonitor(text, transcriptEvent, CCP_V2V.UI.customerTranslateToLanguageSelect.value, "toAgent");
+  }, 100);
+}
+
+//Shows the not yet concluded customer translation, replaced once the segment concludes
+async function handleCustomerTranslateTextPartial(text) {
+  setTimeout(() => {
+    setTentativeText(CCP_V2V.UI.customerTranslatedTextOutputDiv, text);
+    setTentativeTranscript(text, "toAgent");
   }, 100);
 }
 
-async function handleAgentTranslateText(text) {
+async function handleAgentTranslateText(text, transcriptEvent) {
   if (isStringUndefinedNullEmpty(text)) return;
   setTimeout(() => {
     const lastText = CCP_V2V.UI.agentTranslatedTextOutputDiv.textContent
@@ -1178,25 +1966,74 @@ async function handleAgentTranslateText(text) {
     } else {
       CCP_V2V.UI.agentTranslatedTextOutputDiv.textContent += text;
     }
-    addTranscriptCard(null, text, "fromAgent");
+    getTranscriptSegments(text, transcriptEvent).forEach((segment) => addTranscriptCard(null, segment.text, "fromAgent", segment.id));
+    storeTranscriptSegments(text, transcriptEvent, "fromAgent", "target");
+    addPrimaryTranslationToMonitor(text, transcriptEvent, CCP_V2V.UI.agentTranslateToLanguageSelect.value, "fromAgent");
   }, 100);
 }
 
-async function handleAgentTranscript(text) {
+async function handleAgentTranscript(text, transcriptEvent) {
   if (isStringUndefinedNullEmpty(text)) return;
 
   setTimeout(() => {
     setBackgroundColour(CCP_V2V.UI.agentTranscriptionTextOutputDiv, "bg-pale-green");
+    setTentativeText(CCP_V2V.UI.agentTranscriptionTextOutputDiv, null);
     const lastText = CCP_V2V.UI.agentTranscriptionTextOutputDiv.textContent
     if (/[.!?]$/.test(lastText)) {
       CCP_V2V.UI.agentTranscriptionTextOutputDiv.textContent = text;
     } else {
       CCP_V2V.UI.agentTranscriptionTextOutputDiv.textContent += text;
     }
-    addTranscriptCard(text, null, "fromAgent");
+    getTranscriptSegments(text, transcriptEvent).forEach((segment) => addTranscriptCard(segment.text, null, "fromAgent", segment.id));
+    storeTranscriptSegments(text, transcriptEvent, "fromAgent", "source");
+  }, 100);
+}
+
+//Shows the not yet concluded agent transcription, replaced once the segment concludes
+async function handleAgentTranscriptPartial(text) {
+  setTimeout(() => {
+    setTentativeText(CCP_V2V.UI.agentTranscriptionTextOutputDiv, text);
+    setTentativeTranscript(text, "fromAgent");
+  }, 100);
+}
+
+async function handleParticipantTranscript(participant, text, transcriptEvent) {
+  if (isStringUndefinedNullEmpty(text)) return;
+  setTimeout(() => {
+    getTranscriptSegments(text, transcriptEvent).forEach((segment) => addTranscriptCard(segment.text, null, "participant", segment.id, participant.label));
+    storeTranscriptSegments(text, transcriptEvent, "participant", "source", participant);
+  }, 100);
+}
+
+async function handleParticipantTranslateText(participant, text, transcriptEvent) {
+  if (isStringUndefinedNullEmpty(text)) return;
+  setTimeout(() => {
+    getTranscriptSegments(text, transcriptEvent).forEach((segment) => addTranscriptCard(null, segment.text, "participant", segment.id, participant.label));
+    storeTranscriptSegments(text, transcriptEvent, "participant", "target", participant, getParticipantTargetLanguage());
+  }, 100);
+}
+
+//Translated participant speech is played to the agent
+function handleParticipantSynthesis(participant, data) {
+  if (!data || !CCP_V2V.UI.agentVoiceIdSelect.value || CCP_V2V.UI.agentVoiceIdSelect.value === "disabled" || ToAgentAudioStreamManager == null) return;
+  data.forEach((chunk) => ToAgentAudioStreamManager.playAudioBuffer(base64ToArrayBuffer(chunk), 1.0, participant.speaker));
+}
+
+//Translation into one of the monitor languages, shown in the monitor column only
+async function handleMonitorTranslateText(text, transcriptEvent, language, type) {
+  if (isStringUndefinedNullEmpty(text)) return;
+  setTimeout(() => {
+    getTranscriptSegments(text, transcriptEvent).forEach((segment) => addMonitorTranscriptCard(segment.text, language, type, segment.id));
   }, 100);
 }
 
+//The other party's language is not requested twice, its translation is copied to the monitor column instead
+function addPrimaryTranslationToMonitor(text, transcriptEvent, targetLanguage, type) {
+  const monitorLanguage = getMonitorLanguages().find((language) => language.toLowerCase() === targetLanguage.toLowerCase());
+  if (monitorLanguage == null) return;
+  getTranscriptSegments(text, transcriptEvent).forEach((segment) => addMonitorTranscriptCard(segment.text, monitorLanguage, type, segment.id));
+}
+
 async function handleCustomerSynthesis(data) {
   if (!data || !CCP_V2V.UI.agentVoiceIdSelect.value || CCP_V2V.UI.agentVoiceIdSelect.value === "disabled") return;
 
@@ -1205,14 +2042,14 @@ async function handleCustomerSynthesis(data) {
     //Play Customer Speech to Agent
     let audioContentArrayBufferPrimary = base64ToArrayBuffer(data[i]);
     if (ToAgentAudioStreamManager != null) {
-      ToAgentAudioStreamManager.playAudioBuffer(audioContentArrayBufferPrimary);
+      ToAgentAudioStreamManager.playAudioBuffer(audioContentArrayBufferPrimary, 1.0, "customer");
     }
 
     //Play Customer Speech to Customer
     if (CCP_V2V.UI.customerStreamTranslationCheckbox.checked === true) {
       const audioContentArrayBufferSecondary = base64ToArrayBuffer(data[i]);
       if (ToCustomerAudioStreamManager != null) {
-        ToCustomerAudioStreamManager.playAudioBuffer(audioContentArrayBufferSecondary, CUSTOMER_TRANSLATION_TO_CUSTOMER_VOLUME);
+        ToCustomerAudioStreamManager.playAudioBuffer(audioContentArrayBufferSecondary, CUSTOMER_TRANSLATION_TO_CUSTOMER_VOLUME, "customer");
       }
     }
   }
@@ -1224,14 +2061,14 @@ function handleAgentSynthesis(data) {
     //Play Agent Speech to Customer
     const audioContentArrayBufferPrimary = base64ToArrayBuffer(data[i]);
     if (ToCustomerAudioStreamManager != null) {
-      ToCustomerAudioStreamManager.playAudioBuffer(audioContentArrayBufferPrimary);
+      ToCustomerAudioStreamManager.playAudioBuffer(audioContentArrayBufferPrimary, 1.0, "agent");
     }
 
     //Play Agent Speech to Agent
     if (CCP_V2V.UI.agentStreamTranslationCheckbox.checked === true) {
       const audioContentArrayBufferSecondary = base64ToArrayBuffer(data[i]);
       if (ToAgentAudioStreamManager != null) {
-        ToAgentAudioStreamManager.playAudioBuffer(audioContentArrayBufferSecondary, AGENT_TRANSLATION_TO_AGENT_VOLUME);
+        ToAgentAudioStreamManager.playAudioBuffer(audioContentArrayBufferSecondary, AGENT_TRANSLATION_TO_AGENT_VOLUME, "agent");
       }
     }
   }
@@ -1270,6 +2107,180 @@ function loadTranslationFormalities() {
   }
 }
 
+function isCustomerLanguageAutoDetect() {
+  return CCP_V2V.UI.customerLanguageSelect.value === AUTO_DETECT_LANGUAGE;
+}
+
+function getLanguageName(language) {
+  const option = Array.from(CCP_V2V.UI.agentTranslateToLanguageSelect.options).find((opt) => opt.value === language);
+  return option?.textContent ?? language;
+}
+
+//Shows the detected customer language, and offers to switch the agent's target language when it differs
+function showCustomerDetectedLanguage(language) {
+  CustomerDetectedLanguage = language.toLowerCase();
+  CCP_V2V.UI.customerDetectedLanguageName.textContent = getLanguageName(CustomerDetectedLanguage);
+  CCP_V2V.UI.customerDetectedLanguageDiv.hidden = false;
+
+  const agentTargetLanguage = CCP_V2V.UI.agentTranslateToLanguageSelect.value.toLowerCase();
+  const alreadyMatching = agentTargetLanguage.split("-")[0] === CustomerDetectedLanguage.split("-")[0];
+  CCP_V2V.UI.agentUseDetectedLanguageButton.textContent = `Translate agent to ${getLanguageName(CustomerDetectedLanguage)}`;
+  CCP_V2V.UI.agentUseDetectedLanguageButton.hidden = alreadyMatching;
+}
+
+function hideCustomerDetectedLanguage() {
+  CustomerDetectedLanguage = undefined;
+  CCP_V2V.UI.customerDetectedLanguageDiv.hidden = true;
+  CCP_V2V.UI.agentUseDetectedLanguageButton.hidden = true;
+}
+
+//Extra target languages requested on both sessions, for supervisors listening in
+function getMonitorLanguages() {
+  return Array.from(CCP_V2V.UI.monitorLanguagesSelect.selectedOptions).map((option) => option.value);
+}
+
+//The session's own target language is always requested first, so it is left out of the monitor languages
+function getSessionMonitorLanguages(targetLanguage) {
+  return getMonitorLanguages().filter((language) => language.toLowerCase() !== targetLanguage.toLowerCase());
+}
+
+function getMonitorTargetLanguageHandlers(targetLanguage, type) {
+  const targetLanguageHandlers = {};
+  getSessionMonitorLanguages(targetLanguage).forEach((language) => {
+    targetLanguageHandlers[language] = {
+      onTranslation: (text, transcriptEvent) => handleMonitorTranslateText(text, transcriptEvent, language, type),
+    };
+  });
+  return targetLanguageHandlers;
+}
+
+function setMonitorTranscriptionVisibility() {
+  CCP_V2V.UI.divMonitorTranscription.hidden = getMonitorLanguages().length === 0;
+}
+
+async function switchAgentTargetToDetectedLanguage() {
+  if (isStringUndefinedNullEmpty(CustomerDetectedLanguage)) return;
+
+  const targetOptions = Array.from(CCP_V2V.UI.agentTranslateToLanguageSelect.options).map((opt) => opt.value);
+  const targetLanguage =
+    targetOptions.find((value) => value.toLowerCase() === CustomerDetectedLanguage) ??
+    targetOptions.find((value) => value.toLowerCase().split("-")[0] === CustomerDetectedLanguage.split("-")[0]);
+  if (targetLanguage == null) {
+    raiseError(`Detected language ${CustomerDetectedLanguage} is not supported as a translation target`);
+    return;
+  }
+
+  console.info(`${LOGGER_PREFIX} - switchAgentTargetToDetectedLanguage - switching agent target language to ${targetLanguage}`);
+  const detectedLanguage = CustomerDetectedLanguage;
+  CCP_V2V.UI.agentTranslateToLanguageSelect.value = targetLanguage;
+  // also used as the source language hint while the customer session stays in auto mode
+  CCP_V2V.UI.customerTranslateFromLanguageSelect.value = detectedLanguage.split("-")[0];
+  populateGlossarySelects();
+  await reloadConfigs();
+  showCustomerDetectedLanguage(detectedLanguage);
+}
+
+async function loadGlossaries() {
+  const deepLVoiceClient = new DeepLVoiceClient();
+  DeepLGlossaries = await deepLVoiceClient.listGlossaries().catch((error) => {
+    console.warn(`${LOGGER_PREFIX} - loadGlossaries - Glossaries not available:`, error);
+    return [];
+  });
+  console.info(`${LOGGER_PREFIX} - loadGlossaries - ${DeepLGlossaries.length} glossaries found`);
+  populateGlossarySelects();
+}
+
+//Glossaries are per language pair, so the selection is remembered per pair
+function getGlossaryLanguagePair(type) {
+  if (type === "customer") {
+    return { sourceLanguage: CCP_V2V.UI.customerTranslateFromLanguageSelect.value, targetLanguage: CCP_V2V.UI.customerTranslateToLanguageSelect.value };
+  }
+  return { sourceLanguage: CCP_V2V.UI.agentTranslateFromLanguageSelect.value, targetLanguage: CCP_V2V.UI.agentTranslateToLanguageSelect.value };
+}
+
+function getGlossaryStorageKey(type) {
+  const { sourceLanguage, targetLanguage } = getGlossaryLanguagePair(type);
+  return `${type}Glossary_${sourceLanguage}_${targetLanguage}`;
+}
+
+//Glossary language codes have no regional variant (e.g. "en" for "en-US")
+function toGlossaryLanguage(language) {
+  return language?.split("-")[0].toLowerCase();
+}
+
+function populateGlossarySelects() {
+  ["customer", "agent"].forEach((type) => {
+    const glossarySelect = CCP_V2V.UI[`${type}GlossarySelect`];
+    const { sourceLanguage, targetLanguage } = getGlossaryLanguagePair(type);
+
+    glossarySelect.innerHTML = "";
+    const noGlossaryOption = document.createElement("option");
+    noGlossaryOption.value = "";
+    noGlossaryOption.textContent = "-- No Glossary --";
+    glossarySelect.appendChild(noGlossaryOption);
+
+    DeepLGlossaries.filter(
+      (glossary) => glossary.source_lang === toGlossaryLanguage(sourceLanguage) && glossary.target_lang === toGlossaryLanguage(targetLanguage)
+    ).forEach((glossary) => {
+      const option = document.createElement("option");
+      option.value = glossary.glossary_id;
+      option.textContent = `${glossary.name} (${glossary.entry_count} entries)`;
+      glossarySelect.appendChild(option);
+    });
+
+    const savedGlossaryId = getLocalStorageValueByKey(getGlossaryStorageKey(type));
+    if (savedGlossaryId && DeepLGlossaries.some((glossary) => glossary.glossary_id === savedGlossaryId)) {
+      glossarySelect.value = savedGlossaryId;
+    }
+  });
+}
+
+async function uploadGlossary(type, file) {
+  const { sourceLanguage, targetLanguage } = getGlossaryLanguagePair(type);
+  if (isStringUndefinedNullEmpty(sourceLanguage) || isStringUndefinedNullEmpty(targetLanguage)) {
+    raiseError("Please select the languages before uploading a glossary!");
+    return;
+  }
+
+  try {
+    const entries = await file.text();
+    const glossary = await new DeepLVoiceClient().createGlossary({
+      name: file.name.replace(/\.(csv|tsv)$/i, ""),
+      sourceLanguage: toGlossaryLanguage(sourceLanguage),
+      targetLanguage: toGlossaryLanguage(targetLanguage),
+      entries,
+      entriesFormat: file.name.toLowerCase().endsWith(".csv") ? "csv" : "tsv",
+    });
+    console.info(`${LOGGER_PREFIX} - uploadGlossary - created glossary ${glossary.glossary_id} for ${sourceLanguage} -> ${targetLanguage}`);
+
+    addUpdateLocalStorageKey(getGlossaryStorageKey(type), glossary.glossary_id);
+    await loadGlossaries();
+    await reloadConfigs([type]);
+  } catch (error) {
+    console.error(`${LOGGER_PREFIX} - uploadGlossary - Error creating glossary:`, error);
+    raiseError(`Error creating glossary: ${error}`);
+  }
+}
+
+async function deleteSelectedGlossary(type) {
+  const glossarySelect = CCP_V2V.UI[`${type}GlossarySelect`];
+  const glossaryId = glossarySelect.value;
+  if (isStringUndefinedNullEmpty(glossaryId)) return;
+  if (!window.confirm(`Delete glossary "${glossarySelect.selectedOptions[0].textContent}"?`)) return;
+
+  try {
+    await new DeepLVoiceClient().deleteGlossary(glossaryId);
+    console.info(`${LOGGER_PREFIX} - deleteSelectedGlossary - deleted glossary ${glossaryId}`);
+
+    window.localStorage.removeItem(getGlossaryStorageKey(type));
+    await loadGlossaries();
+    await reloadConfigs([type]);
+  } catch (error) {
+    console.error(`${LOGGER_PREFIX} - deleteSelectedGlossary - Error deleting glossary:`, error);
+    raiseError(`Error deleting glossary: ${error}`);
+  }
+}
+
 function loadVoiceIds() {
   CCP_V2V.UI.customerVoiceIdSelect.innerHTML = "";
   CCP_V2V.UI.agentVoiceIdSelect.innerHTML = "";
@@ -1317,6 +2328,10 @@ function loadVoiceIds() {
     // Default to DeepL
     CCP_V2V.UI.agentTtsProviderSelect.value = "deepl";
   }
+
+  // PCM unless Opus was chosen, the adapter falls back to PCM when the browser cannot encode Opus
+  CCP_V2V.UI.customerAudioCodecSelect.value = getLocalStorageValueByKey("customerAudioCodec") || "pcm";
+  CCP_V2V.UI.agentAudioCodecSelect.value = getLocalStorageValueByKey("agentAudioCodec") || "pcm";
 }
 
 function loadVolumeSliders() {
@@ -1336,6 +2351,238 @@ function loadVolumeSliders() {
   }
 }
 
+function loadContactRecordingSettings() {
+  if (!CallRecordingManager.isSupported()) {
+    CCP_V2V.UI.recordContactCheckbox.checked = false;
+    CCP_V2V.UI.recordContactCheckbox.disabled = true;
+    CCP_V2V.UI.recordContactCheckbox.title = "Recording is not supported by this browser";
+    return;
+  }
+  CCP_V2V.UI.recordContactCheckbox.checked = getLocalStorageValueByKey("recordContact") === "true";
+  CCP_V2V.UI.uploadRecordingButton.hidden = !isRecordingUploadEnabled();
+}
+
+async function startContactRecording(contact) {
+  if (CCP_V2V.UI.recordContactCheckbox.checked !== true || !CallRecordingManager.isSupported()) return;
+
+  try {
+    ContactRecording = new CallRecordingManager(contact.getContactId(), await getAudioContext());
+    connectContactRecordingSources();
+    ContactRecording.start();
+    CCP_V2V.UI.divContactRecording.hidden = true;
+  } catch (error) {
+    console.error(`${LOGGER_PREFIX} - startContactRecording - Error starting recording:`, error);
+    ContactRecording = null;
+    raiseError(`Error starting contact recording: ${error}`);
+  }
+}
+
+//Sources change when streaming restarts, the recording keeps running with the new ones
+function connectContactRecordingSources() {
+  if (ContactRecording == null) return;
+  const session = ConnectSoftPhoneManager?.getSession(CurrentAgentConnectionId);
+  ContactRecording.setTrackSource(RecordingTrack.CUSTOMER_ORIGINAL, session?._remoteAudioStream);
+  ContactRecording.setTrackSource(RecordingTrack.AGENT_MIC, AmazonTranscribeToCustomerAudioStream?.stream);
+  ContactRecording.setTrackSource(RecordingTrack.TO_CUSTOMER_SYNTHESIS, ToCustomerAudioStreamManager?.getPlaybackNode());
+  ContactRecording.setTrackSource(RecordingTrack.TO_AGENT_SYNTHESIS, ToAgentAudioStreamManager?.getPlaybackNode());
+}
+
+//Packages the recorded tracks with the transcript: one file per track and contact.json
+async function finishContactRecording() {
+  if (ContactRecording == null) return;
+  const recording = ContactRecording;
+  ContactRecording = null;
+  const transcript = TranscriptStore.getCurrentTranscript()?.segments ?? [];
+
+  try {
+    const trackFiles = await recording.stop();
+    const contactInfo = {
+      contactId: recording.contactId,
+      startedAt: recording.startedAt.toISOString(),
+      endedAt: recording.endedAt.toISOString(),
+      customerLanguage: CCP_V2V.UI.customerLanguageSelect.value,
+      agentLanguage: CCP_V2V.UI.agentLanguageSelect.value,
+      tracks: trackFiles.map((file) => file.name),
+      transcript,
+    };
+    const files = [...trackFiles, { name: "contact.json", blob: new Blob([JSON.stringify(contactInfo, null, 2)], { type: "application/json" }) }];
+    const packageBlob = await createZipBlob(
+      files.map((file) => ({ name: file.name, data: file.blob })),
+      recording.startedAt
+    );
+
+    LastContactRecording = { contactId: recording.contactId, files, packageBlob };
+    CCP_V2V.UI.contactRecordingStatus.textContent = `Recording of contact ${recording.contactId}`;
+    CCP_V2V.UI.divContactRecording.hidden = false;
+  } catch (error) {
+    console.error(`${LOGGER_PREFIX} - finishContactRecording - Error packaging recording:`, error);
+    raiseError(`Error packaging contact recording: ${error}`);
+  }
+}
+
+function downloadContactRecording() {
+  if (LastContactRecording == null) return;
+  downloadBlob(LastContactRecording.packageBlob, `contact-${LastContactRecording.contactId}.zip`);
+}
+
+async function uploadContactRecording() {
+  if (LastContactRecording == null) return;
+
+  CCP_V2V.UI.uploadRecordingButton.disabled = true;
+  try {
+    const keys = await uploadContactFiles(LastContactRecording.contactId, LastContactRecording.files);
+    CCP_V2V.UI.contactRecordingStatus.textContent = `Uploaded ${keys.length} files of contact ${LastContactRecording.contactId}`;
+  } catch (error) {
+    console.error(`${LOGGER_PREFIX} - uploadContactRecording - Error uploading recording:`, error);
+    raiseError(`Error uploading contact recording: ${error.message}`);
+  } finally {
+    CCP_V2V.UI.uploadRecordingButton.disabled = false;
+  }
+}
+
+async function startContactTranscript(contact) {
+  try {
+    const transcript = await TranscriptStore.startContact(contact.getContactId());
+    //after a page reload the cards are rebuilt from the stored transcript
+    if (CCP_V2V.UI.divTranscriptContainer.querySelector(".transcript-card") == null) {
+      transcript.segments.forEach((segment) =>
+        addTranscriptCard(segment.original, segment.translation, segment.speaker === "customer" ? "toAgent" : "fromAgent", segment.id)
+      );
+    }
+  } catch (error) {
+    console.error(`${LOGGER_PREFIX} - startContactTranscript - Error loading transcript:`, error);
+  }
+}
+
+//type 'toAgent' segments are spoken by the customer, 'fromAgent' segments by the agent, 'participant' segments by a participant
+function storeTranscriptSegments(text, transcriptEvent, type, kind, participant, participantTargetLanguage) {
+  const speaker = participant?.speaker ?? (type === "toAgent" ? "customer" : "agent");
+  const configuredLanguage = participant != null ? (kind === "source" ? participant.languageSelect.value : participantTargetLanguage) : getTranscriptLanguage(speaker, kind);
+  const language = transcriptEvent?.language?.toLowerCase() ?? configuredLanguage;
+  getTranscriptSegments(text, transcriptEvent).forEach((segment) => {
+    TranscriptStore.addText({
+      id: segment.id ?? `${speaker}-${Date.now()}`,
+      speaker,
+      speakerLabel: participant?.label ?? getDiarizedSpeakerLabel(type, segment),
+      kind,
+      text: segment.text,
+      language,
+      duration: segment.endTime - segment.startTime,
+    });
+  });
+}
+
+function getDiarizedSpeakerLabel(type, segment) {
+  const diarizedSpeaker = type === "toAgent" ? getDiarizedSpeaker(segment) : null;
+  return diarizedSpeaker != null ? `Customer (Speaker ${diarizedSpeaker})` : undefined;
+}
+
+//Configured language of a segment, when the DeepL session did not report it
+function getTranscriptLanguage(speaker, kind) {
+  if (speaker === "customer") {
+    if (kind === "target") return CCP_V2V.UI.customerTranslateToLanguageSelect.value;
+    return isCustomerLanguageAutoDetect() ? CustomerDetectedLanguage : CCP_V2V.UI.customerTranslateFromLanguageSelect.value;
+  }
+  return kind === "target" ? CCP_V2V.UI.agentTranslateToLanguageSelect.value : CCP_V2V.UI.agentTranslateFromLanguageSelect.value;
+}
+
+//Summary of the translation, written as contact attributes so supervisors see it in the contact record
+function getContactSummary(transcript) {
+  const segments = transcript.segments;
+  const countCharacters = (items, field) => items.reduce((count, segment) => count + segment[field].length, 0);
+  const customerSegments = segments.filter((segment) => segment.speaker === "customer");
+  const agentSegments = segments.filter((segment) => segment.speaker === "agent");
+  const customerLanguage = isCustomerLanguageAutoDetect() ? CustomerDetectedLanguage ?? AUTO_DETECT_LANGUAGE : CCP_V2V.UI.customerLanguageSelect.value;
+
+  return {
+    v2vCustomerLanguage: customerLanguage,
+    v2vCustomerLanguageAutoDetect: String(isCustomerLanguageAutoDetect()),
+    v2vAgentLanguage: CCP_V2V.UI.agentLanguageSelect.value,
+    v2vCustomerFormality: CCP_V2V.UI.customerFormalitySelect.value,
+    v2vAgentFormality: CCP_V2V.UI.agentFormalitySelect.value,
+    v2vMonitorLanguages: getMonitorLanguages().join(","),
+    v2vCustomerSegments: String(customerSegments.length),
+    v2vAgentSegments: String(agentSegments.length),
+    v2vCustomerCharacters: String(countCharacters(customerSegments, "original")),
+    v2vAgentCharacters: String(countCharacters(agentSegments, "original")),
+    v2vTranslatedCharacters: String(countCharacters(segments, "translation")),
+    v2vDurationSeconds: String(Math.round((Date.parse(transcript.endedAt ?? new Date().toISOString()) - Date.parse(transcript.startedAt)) / 1000)),
+  };
+}
+
+//The instance id is part of the queue ARN, outbound contacts without a queue fall back to the agent's routing profile
+function getConnectInstanceId(contact) {
+  const arn = contact.getQueue()?.queueARN ?? CurrentUser["currentUser_RoutingProfileARN"];
+  return arn?.match(/:instance\/([0-9a-f-]{36})/i)?.[1];
+}
+
+async function publishContactSummary(contact) {
+  const transcript = TranscriptStore.getCurrentTranscript();
+  if (!isContactTranscriptEnabled() || transcript?.contactId !== contact.getContactId() || transcript.segments.length === 0) return;
+
+  try {
+    const instanceId = getConnectInstanceId(contact);
+    if (instanceId == null) throw new Error("Amazon Connect instance id not found");
+
+    await publishContactTranscript({
+      instanceId,
+      contactId: contact.getContactId(),
+      initialContactId: contact.getInitialContactId?.() || contact.getContactId(),
+      summary: getContactSummary(transcript),
+      transcript,
+    });
+  } catch (error) {
+    // Not raised, the agent is already handling the next contact
+    console.error(`${LOGGER_PREFIX} - publishContactSummary - Error publishing transcript of contact ${contact.getContactId()}:`, error);
+  }
+}
+
+async function exportContactTranscript() {
+  try {
+    const transcript = await TranscriptStore.getLatestTranscript();
+    if (transcript == null || transcript.segments.length === 0) {
+      raiseError("There is no transcript to export yet");
+      return;
+    }
+    const format = CCP_V2V.UI.transcriptExportFormatSelect.value;
+    downloadBlob(exportTranscript(transcript, format), `transcript-${transcript.contactId}.${format}`);
+  } catch (error) {
+    console.error(`${LOGGER_PREFIX} - exportContactTranscript - Error exporting transcript:`, error);
+    raiseError(`Error exporting transcript: ${error.message}`);
+  }
+}
+
+function loadBargeInPolicies() {
+  ["customer", "agent"].forEach((listener) => {
+    CCP_V2V.UI[`${listener}BargeInSelect`].value = getLocalStorageValueByKey(`${listener}BargeInPolicy`) || BARGE_IN_DEFAULT_POLICY;
+    CCP_V2V.UI[`${listener}BargeInDuckDbInput`].value = getLocalStorageValueByKey(`${listener}BargeInDuckDb`) || BARGE_IN_DUCK_DB;
+    applyBargeInPolicy(listener);
+  });
+}
+
+//listener is who hears the translated speech: the customer hears ToCustomerAudioStreamManager, the agent ToAgentAudioStreamManager
+function applyBargeInPolicy(listener) {
+  const audioStreamManager = listener === "customer" ? ToCustomerAudioStreamManager : ToAgentAudioStreamManager;
+  if (audioStreamManager == null) return;
+
+  const duckDb = parseFloat(CCP_V2V.UI[`${listener}BargeInDuckDbInput`].value);
+  audioStreamManager.setBargeInPolicy(CCP_V2V.UI[`${listener}BargeInSelect`].value, isNaN(duckDb) ? BARGE_IN_DUCK_DB : duckDb);
+}
+
+//VAD of the customer or agent source audio, the speaker is also the listener of the other side's translation
+function handleVoiceActivityChange(type, speaking) {
+  if (type === "customer") {
+    ToCustomerAudioStreamManager?.setListenerSpeaking(speaking);
+  } else if (type === "agent") {
+    ToAgentAudioStreamManager?.setListenerSpeaking(speaking);
+  }
+}
+
+//Falls back to a single segment without id when the client did not provide a transcript event
+function getTranscriptSegments(text, transcriptEvent) {
+  return transcriptEvent?.segments ?? [{ text }];
+}
+
 function setBackgroundColour(element, cssClass) {
   // Remove all background classes first
   element.classList.remove("bg-pale-green", "bg-pale-yellow", "bg-none");
@@ -1346,59 +2593,134 @@ function setBackgroundColour(element, cssClass) {
   }
 }
 
-function addTranscriptCard(sourceText, translatedText, type) {
-  let text = "";
-  if (type == "fromAgent") {
-    if (isStringUndefinedNullEmpty(sourceText)) return;
-    text = sourceText;
-  }
-  if (type == "toAgent") {
-    if (isStringUndefinedNullEmpty(translatedText)) return;
-    text = translatedText;
+//Cards are keyed by segment id, so a source sentence and its translation share the same card
+function addTranscriptCard(sourceText, translatedText, type, segmentId, speakerLabel, diarizedSpeaker) {
+  if (isStringUndefinedNullEmpty(sourceText) && isStringUndefinedNullEmpty(translatedText)) return;
+  removeTentativeTranscript(type);
+
+  const container = CCP_V2V.UI.divTranscriptContainer;
+  let card = segmentId != null ? container.querySelector(`.transcript-card[data-segment-id="${CSS.escape(segmentId)}"]`) : null;
+  if (card == null) {
+    card = document.createElement("div");
+    card.className = `transcript-card ${type}`; // type is 'fromAgent', 'toAgent' or 'participant'
+    if (segmentId != null) card.dataset.segmentId = segmentId;
+    container.insertBefore(card, container.lastChild);
   }
-  const existingCards = CCP_V2V.UI.divTranscriptContainer.querySelectorAll('.transcript-card');
-  let lastCard = null;
+  addTranscriptCardSpeaker(card, type, speakerLabel, diarizedSpeaker);
 
-  if (existingCards.length > 0) {
-      lastCard = existingCards[existingCards.length - 1];
+  if (!isStringUndefinedNullEmpty(sourceText)) {
+    getTranscriptCardTextDiv(card, "transcript-original").textContent += sourceText;
   }
+  if (!isStringUndefinedNullEmpty(translatedText)) {
+    getTranscriptCardTextDiv(card, "transcript-translated").textContent += translatedText;
+  }
+
+  container.scrollTop = container.scrollHeight;
+}
 
-  if (lastCard && lastCard.className.includes(type)) {
-    // Get all text divs in this card
-    const textDivs = type === "fromAgent" 
-      ? lastCard.querySelectorAll(".transcript-original")
-      : lastCard.querySelectorAll(".transcript-translated");
-    
-    const lastTextElement = textDivs[textDivs.length - 1];
-    const lastText = lastTextElement.textContent;
+//With more than two parties every card is labelled with its speaker, diarized speakers get a badge
+function addTranscriptCardSpeaker(card, type, speakerLabel, diarizedSpeaker) {
+  const label = speakerLabel ?? (Participants.size > 0 ? (type === "toAgent" ? "Customer" : "Agent") : null);
+  if ((label == null && diarizedSpeaker == null) || card.querySelector(".transcript-speaker") != null) return;
 
-    // If the last text does not end with end of sentence punctuation, append the new text to it
-    if (lastText && !/[.!?]$/.test(lastText.trim())) {
-      lastTextElement.textContent += text;
+  const speakerDiv = document.createElement("div");
+  speakerDiv.className = "transcript-speaker";
+  if (label != null) {
+    speakerDiv.append(label);
+  }
+  if (diarizedSpeaker != null) {
+    const badge = document.createElement("span");
+    //speaker numbers from the local diarization, or labels from the API
+    const colourIndex = Number.isInteger(diarizedSpeaker) ? diarizedSpeaker - 1 : [...String(diarizedSpeaker)].reduce((sum, char) => sum + char.charCodeAt(0), 0);
+    badge.className = `speaker-badge speaker-${colourIndex % SPEAKER_BADGE_COLOURS}`;
+    badge.textContent = `Speaker ${diarizedSpeaker}`;
+    speakerDiv.appendChild(badge);
+  }
+  card.prepend(speakerDiv);
+}
+
+function getTranscriptCardTextDiv(card, className) {
+  let textDiv = card.querySelector(`.${className}`);
+  if (textDiv == null) {
+    textDiv = document.createElement("div");
+    textDiv.className = className;
+    //the original text always comes first (after the speaker label), followed by its translation
+    const speakerDiv = card.querySelector(".transcript-speaker");
+    if (className === "transcript-original" && speakerDiv != null) {
+      speakerDiv.after(textDiv);
+    } else if (className === "transcript-original") {
+      card.prepend(textDiv);
     } else {
-      // Create original text element
-      const textDiv = document.createElement("div");
-      textDiv.className = type === "fromAgent" ? "transcript-original" : "transcript-translated";
-      textDiv.textContent = text;
-      lastCard.appendChild(textDiv);
+      card.appendChild(textDiv);
     }
-    CCP_V2V.UI.divTranscriptContainer.scrollTop = CCP_V2V.UI.divTranscriptContainer.scrollHeight;
+  }
+  return textDiv;
+}
+
+//Keeps a greyed-out tentative card at the end of the conversation, until its segment concludes
+function setTentativeTranscript(text, type) {
+  if (isStringUndefinedNullEmpty(text)) {
+    removeTentativeTranscript(type);
     return;
   }
 
-  const card = document.createElement("div");
-  if (type === "toAgent") {
-    setBackgroundColour(card, "bg-pale-green");
+  const container = CCP_V2V.UI.divTranscriptContainer;
+  let tentativeDiv = container.querySelector(`.transcript-card.${type} .transcript-tentative`);
+  if (tentativeDiv == null) {
+    const card = document.createElement("div");
+    card.className = `transcript-card ${type}`;
+    tentativeDiv = document.createElement("div");
+    tentativeDiv.className = "transcript-tentative";
+    card.appendChild(tentativeDiv);
+    container.insertBefore(card, container.lastChild);
+  }
+  tentativeDiv.textContent = text;
+
+  container.scrollTop = container.scrollHeight;
+}
+
+function removeTentativeTranscript(type) {
+  const tentativeDiv = CCP_V2V.UI.divTranscriptContainer.querySelector(`.transcript-card.${type} .transcript-tentative`);
+  tentativeDiv?.parentElement.remove();
+}
+
+//Appends (or replaces) a greyed-out tentative span at the end of a text output div
+function setTentativeText(element, text) {
+  let tentativeSpan = element.querySelector(".tentative-text");
+  if (isStringUndefinedNullEmpty(text)) {
+    tentativeSpan?.remove();
+    return;
+  }
+
+  if (tentativeSpan == null) {
+    tentativeSpan = document.createElement("span");
+    tentativeSpan.className = "tentative-text";
+    element.appendChild(tentativeSpan);
+  }
+  tentativeSpan.textContent = text;
+}
+
+//Monitor cards are keyed by segment id and language, so each language gets its own card per sentence
+function addMonitorTranscriptCard(translatedText, language, type, segmentId) {
+  if (isStringUndefinedNullEmpty(translatedText)) return;
+
+  const container = CCP_V2V.UI.divMonitorTranscriptContainer;
+  let card = segmentId != null ? container.querySelector(`.transcript-card[data-segment-id="${CSS.escape(segmentId)}"][data-language="${CSS.escape(language)}"]`) : null;
+  if (card == null) {
+    card = document.createElement("div");
+    card.className = `transcript-card ${type}`;
+    if (segmentId != null) card.dataset.segmentId = segmentId;
+    card.dataset.language = language;
+    const languageDiv = document.createElement("div");
+    languageDiv.className = "transcript-language";
+    languageDiv.textContent = getLanguageName(language);
+    card.appendChild(languageDiv);
+    container.insertBefore(card, container.lastChild);
   }
-  card.className = `transcript-card ${type}`; // type is either 'fromAgent' or 'toAgent'
-  const textDiv = document.createElement("div");
-  textDiv.className = type === "fromAgent" ? "transcript-original" : "transcript-translated";
-  textDiv.textContent = text;
-  card.appendChild(textDiv);
 
-  CCP_V2V.UI.divTranscriptContainer.insertBefore(card, CCP_V2V.UI.divTranscriptContainer.lastChild);
+  getTranscriptCardTextDiv(card, "transcript-translated").textContent += translatedText;
 
-  CCP_V2V.UI.divTranscriptContainer.scrollTop = CCP_V2V.UI.divTranscriptContainer.scrollHeight;
+  container.scrollTop = container.scrollHeight;
 }
 
 function clearTranscriptCards() {
@@ -1409,6 +2731,7 @@ function clearTranscriptCards() {
 }
 
 function cleanUpUI() {
+  hideCustomerDetectedLanguage();
   // Clear transcription and translation text output divs when contact ends
   CCP_V2V.UI.customerTranscriptionTextOutputDiv.textContent = "";
   CCP_V2V.UI.agentTranscriptionTextOutputDiv.textContent = "";
@@ -0,0 +1,113 @@
+// Copyright 2025 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { Buffer } from "buffer";
+import { AUDIO_INGEST_SAMPLE_RATE, BUFFER_LEN, LOGGER_PREFIX } from "../constants";
+// Bundled as a separate file with its imports (the resampler), like a worker
+import pcmCaptureProcessorUrl from "../worklets/PcmCaptureProcessor.js?worker&url";
+
+// Captures a MediaStream as 16-bit PCM frames of BUFFER_LEN bytes at AUDIO_INGEST_SAMPLE_RATE.
+// Resampling and PCM encoding run in an AudioWorklet, off the main thread.
+export class AudioCaptureManager {
+  /**
+   * @param {MediaStream} stream - Stream to capture
+   * @param {Object} [options]
+   * @param {boolean} [options.ownsStream=false] - Stop the stream's tracks on stop(), only for streams created for the capture (e.g. the agent mic)
+   */
+  constructor(stream, options = {}) {
+    this.stream = stream;
+    this.ownsStream = options.ownsStream ?? false;
+
+    this.audioContext = null;
+    this.sourceNode = null;
+    this.workletNode = null;
+
+    this.frames = [];
+    this.pendingRead = null;
+    this.isStopped = false;
+  }
+
+  async start() {
+    // Capture at the device sample rate, the worklet resamples to AUDIO_INGEST_SAMPLE_RATE
+    this.audioContext = new AudioContext();
+    await this.audioContext.audioWorklet.addModule(pcmCaptureProcessorUrl);
+
+    this.sourceNode = this.audioContext.createMediaStreamSource(this.stream);
+    this.workletNode = new AudioWorkletNode(this.audioContext, "pcm-capture-processor", {
+      numberOfInputs: 1,
+      numberOfOutputs: 0, // Nodes without outputs are processed without being connected to the destination
+      channelCount: 1,
+      channelCountMode: "explicit",
+      channelInterpretation: "speakers",
+      processorOptions: {
+        targetSampleRate: AUDIO_INGEST_SAMPLE_RATE,
+        frameLength: BUFFER_LEN / 2,
+      },
+    });
+    this.workletNode.port.onmessage = (event) => this._handleFrame(Buffer.from(event.data));
+    this.sourceNode.connect(this.workletNode);
+
+    if (this.audioContext.state === "suspended") await this.audioContext.resume();
+    console.info(`${LOGGER_PREFIX} - AudioCaptureManager - capturing at ${this.audioContext.sampleRate}Hz, sending ${AUDIO_INGEST_SAMPLE_RATE}Hz frames of ${BUFFER_LEN} bytes`);
+    return this;
+  }
+
+  getSampleRate() {
+    return this.audioContext?.sampleRate;
+  }
+
+  // Yields PCM frames (Buffer) in capture order until stop() is called
+  async *[Symbol.asyncIterator]() {
+    while (true) {
+      if (this.frames.length > 0) {
+        yield this.frames.shift();
+        continue;
+      }
+      if (this.isStopped) return;
+      await new Promise((resolve) => (this.pendingRead = resolve));
+    }
+  }
+
+  async stop() {
+    if (this.isStopped) return;
+    this.isStopped = true;
+
+    if (this.workletNode) {
+      this.workletNode.port.postMessage("stop");
+      this.workletNode.port.onmessage = null;
+      this.workletNode.disconnect();
+      this.workletNode = null;
+    }
+    if (this.sourceNode) {
+      this.sourceNode.disconnect();
+      this.sourceNode = null;
+    }
+    if (this.ownsStream) {
+      this.stream.getTracks().forEach((track) => track.stop());
+    }
+    if (this.audioContext) {
+      await this.audioContext.close();
+      this.audioContext = null;
+    }
+
+    this._wakeReader();
+  }
+
+  _handleFrame(frame) {
+    this.frames.push(frame);
+    this._wakeReader();
+  }
+
+  _wakeReader() {
+    if (this.pendingRead) {
+      const resolve = this.pendingRead;
+      this.pendingRead = null;
+      resolve();
+    }
+  }
+}
+
+//Creates Agent Mic capture, the mic tracks are stopped with the capture
+export async function createMicrophoneCapture(microphoneConstraints) {
+  const stream = await navigator.mediaDevices.getUserMedia(microphoneConstraints);
+  return new AudioCaptureManager(stream, { ownsStream: true }).start();
+}
@@ -7,6 +7,7 @@ const INTERACTION_EVENTS = ["click", "touchstart", "keydown"];
 // SPDX-License-Identifier: MIT-0
 export class AudioContextManager {
   constructor() {
+    // Some browsers ignore the requested rate, playback resamples to whatever rate the context runs at
     this.audioContext = new AudioContext({ sampleRate: 16000 })
     this.interactionPromise = null;
     this.isWaitingForInteraction = this.audioContext.state === "suspended"; // AudioContext is suspended until the user makes an interaction with the webpage
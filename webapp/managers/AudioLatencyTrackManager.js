@@ -52,6 +52,7 @@ export class AudioLatencyTrackManager {
         this.agentVoiceToCustomerSynthesisLatencies = [];
 
         this.vadRmsMinThreshold = VAD_RMS_MIN_THRESHOLD // Voice Activity Detection minimum rms threshold
+        this.voiceActivityListeners = []; // (type, speaking) => void, called when a side starts or stops speaking
 
         // --- Async work queue via MessageChannel ---
         this._queue = [];
@@ -60,11 +61,18 @@ export class AudioLatencyTrackManager {
         port2.onmessage = () => this._drain();
     }
 
+    // Captured audio, for voice activity detection
     enqueueAudio(type, buffer, timestamp) {
         this._queue.push({ kind: 'audio', type, buffer, timestamp });
         this._port.postMessage(null);
     }
 
+    // Audio sent to the session, advances the audio time that transcripts are matched against
+    enqueueSentAudio(type, buffer, timestamp) {
+        this._queue.push({ kind: 'sentAudio', type, buffer, timestamp });
+        this._port.postMessage(null);
+    }
+
     enqueueTranscription(type, receivedAt, audioEndTime) {
         this._queue.push({ kind: 'transcript', type, receivedAt, audioEndTime });
         this._port.postMessage(null);
@@ -87,6 +95,9 @@ export class AudioLatencyTrackManager {
                 case 'audio':
                     this._handleAudio(item.type, item.buffer, item.timestamp);
                     break;
+                case 'sentAudio':
+                    this._handleSentAudio(item.type, item.buffer, item.timestamp);
+                    break;
                 case 'transcript':
                     this._handleTranscript(item.type, item.receivedAt, item.audioEndTime);
                     break;
@@ -105,10 +116,6 @@ export class AudioLatencyTrackManager {
     _handleAudio(type, buffer, now) {
         const config = {
             customer: {
-                updateAudioChunks:          (chunk) => this.customerAudioChunks.push(chunk),
-                trimAudioChunks:            () => this.customerAudioChunks = this.customerAudioChunks.slice(-100),
-                getCumulativeAudioTime:     () => this.customerCumulativeAudioTime,
-                setCumulativeAudioTime:     (time) => this.customerCumulativeAudioTime = time,
                 firstVoiceDetected:         () => this.firstCustomerVoiceDetected,
                 setFirstVoiceDetected:      () => this.firstCustomerVoiceDetected = now,
                 setLastVoiceDetected:       () => this.lastCustomerVoiceDetected = now,
@@ -118,10 +125,6 @@ export class AudioLatencyTrackManager {
                 vadIndicatorId:             "customerVadIndicator",
             },
             agent: {
-                updateAudioChunks:          (chunk) => this.agentAudioChunks.push(chunk),
-                trimAudioChunks:            () => this.agentAudioChunks = this.agentAudioChunks.slice(-100),
-                getCumulativeAudioTime:     () => this.agentCumulativeAudioTime,
-                setCumulativeAudioTime:     (time) => this.agentCumulativeAudioTime = time,
                 firstVoiceDetected:         () => this.firstAgentVoiceDetected,
                 setFirstVoiceDetected:      () => this.firstAgentVoiceDetected = now,
                 setLastVoiceDetected:       () => this.lastAgentVoiceDetected = now,
@@ -143,14 +146,50 @@ export class AudioLatencyTrackManager {
         document.getElementById(c.vadIndicatorId)?.classList.toggle("speaking", voiceDetected);
 
         // Store VAD state for zombie connection detection
+        const wasSpeaking = this.isSpeaking(type);
         if (type === 'customer') {
             this.customerSpeaking = voiceDetected;
         } else if (type === 'agent') {
             this.agentSpeaking = voiceDetected;
         }
+        if (wasSpeaking !== voiceDetected) {
+            this.voiceActivityListeners.forEach((listener) => listener(type, voiceDetected));
+        }
+
+        if (!LATENCY_TRACKING_ENABLED) return;
+
+        if (voiceDetected) {
+            c.setLastVoiceDetected();
+            const otherLastSynth = c.otherLastSynthesizedAudio();
+            if (otherLastSynth && otherLastSynth > c.firstVoiceDetected()) {
+                c.setFirstVoiceDetected();
+                this._pushLatency(c.latencies, now - otherLastSynth, c.displayKey);
+            }
+        }
+    }
 
+    // Audio dropped or held back while reconnecting never reaches the session, only sent audio counts
+    _handleSentAudio(type, buffer, now) {
         if (!LATENCY_TRACKING_ENABLED) return;
 
+        const config = {
+            customer: {
+                updateAudioChunks:          (chunk) => this.customerAudioChunks.push(chunk),
+                trimAudioChunks:            () => this.customerAudioChunks = this.customerAudioChunks.slice(-100),
+                getCumulativeAudioTime:     () => this.customerCumulativeAudioTime,
+                setCumulativeAudioTime:     (time) => this.customerCumulativeAudioTime = time,
+            },
+            agent: {
+                updateAudioChunks:          (chunk) => this.agentAudioChunks.push(chunk),
+                trimAudioChunks:            () => this.agentAudioChunks = this.agentAudioChunks.slice(-100),
+                getCumulativeAudioTime:     () => this.agentCumulativeAudioTime,
+                setCumulativeAudioTime:     (time) => this.agentCumulativeAudioTime = time,
+            },
+        };
+
+        const c = config[type];
+        if (!c) return;
+
         // Calculate actual audio duration of this chunk
         const numSamples = buffer.length / this.bytesPerSample;
         const durationMs = (numSamples / this.audioIngestSampleRate) * 1000;
@@ -165,15 +204,6 @@ export class AudioLatencyTrackManager {
         c.updateAudioChunks(chunk);
         c.trimAudioChunks();
         c.setCumulativeAudioTime(c.getCumulativeAudioTime() + durationMs);
-
-        if (voiceDetected) {
-            c.setLastVoiceDetected();
-            const otherLastSynth = c.otherLastSynthesizedAudio();
-            if (otherLastSynth && otherLastSynth > c.firstVoiceDetected()) {
-                c.setFirstVoiceDetected();
-                this._pushLatency(c.latencies, now - otherLastSynth, c.displayKey);
-            }
-        }
     }
 
     _handleTranscript(type, receivedAt, audioEndTime) {
@@ -334,6 +364,14 @@ export class AudioLatencyTrackManager {
         return type === 'customer' ? this.customerSpeaking : this.agentSpeaking;
     }
 
+    /**
+     * Register a callback for VAD state changes (i.e. barge-in)
+     * @param {Function} listener - (type, speaking) => void, type is 'customer' or 'agent'
+     */
+    addVoiceActivityListener(listener) {
+        this.voiceActivityListeners.push(listener);
+    }
+
     updateLatencyDisplay(latencyData, elementId) {
         const { latency, average, min, max, p95 } = latencyData;
         const element = document.getElementById(elementId);
@@ -1,7 +1,8 @@
 // Copyright 2025 Amazon.com, Inc. or its affiliates. All Rights Reserved.
 // SPDX-License-Identifier: MIT-0
-import { LOGGER_PREFIX } from "../constants";
+import { AUDIO_OUTPUT_SAMPLE_RATE, BARGE_IN_DEFAULT_POLICY, BARGE_IN_DUCK_DB, BARGE_IN_POLICIES, BARGE_IN_RAMP_MS, BARGE_IN_RELEASE_MS, LOGGER_PREFIX } from "../constants";
 import { isStringUndefinedNullEmpty } from "../utils/commonUtility";
+import { Resampler } from "../utils/resamplerUtils";
 
 export class AudioStreamManager {
   constructor(audioElement, audioContext) {
@@ -41,6 +42,22 @@ export class AudioStreamManager {
     this._playbackChain = Promise.resolve();
     this.customFeedbackBuffer = null;
 
+    // Translated speech goes through its own gain, so it can be ducked without touching the microphone
+    this.playbackGain = this.audioContext.createGain();
+    this.playbackGain.connect(this.mediaStreamDestination);
+    // Sources scheduled by playAudioBuffer, kept until they end so they can be stopped
+    this.scheduledSources = new Set();
+
+    // Barge-in: the listener talking over the translated speech ducks or flushes it
+    this.bargeInPolicy = BARGE_IN_DEFAULT_POLICY;
+    this.bargeInDuckDb = BARGE_IN_DUCK_DB;
+    this.isBargeInActive = false;
+    this.bargeInReleaseTimer = null;
+
+    // TTS audio arrives at AUDIO_OUTPUT_SAMPLE_RATE, the context may run at any rate (browsers can ignore the requested one).
+    // Streams played here are interleaved (e.g. agent translation and the customer's own), each keeps its own filter history.
+    this.playbackResamplers = new Map(); // sourceId -> Resampler
+
     this._chunkBuffer = [];
     this._bufferFlushed = false;
     this.BUFFER_TARGET_MS = 300;
@@ -248,15 +265,36 @@ export class AudioStreamManager {
     });
   }
 
-  playAudioBuffer(arrayBuffer, volume = 1.0) {
+  /**
+   * Schedule 16-bit PCM at AUDIO_OUTPUT_SAMPLE_RATE right after the audio already scheduled
+   * @param {Uint8Array} arrayBuffer
+   * @param {number} [volume]
+   * @param {string} [sourceId] - Stream the chunk belongs to (e.g. "agent", "customer", "participant-1"), chunks of one stream are resampled in order
+   */
+  playAudioBuffer(arrayBuffer, volume = 1.0, sourceId = "default") {
     try {
+      // The listener asked to stop the translation by talking over it
+      if (this.isBargeInActive && this.bargeInPolicy === BARGE_IN_POLICIES.FLUSH) return;
+
       this.stopAudioFeedback();
 
+      const now = this.audioContext.currentTime;
+
+      // If nextStartTime is in the past (gap between utterances), snap to now + small lookahead
+      // If it's in the future (mid-utterance), keep scheduling forward
+      if (!this.nextStartTime || this.nextStartTime < now - 0.1) {
+        this.nextStartTime = now + 0.05;
+        // New utterance, don't carry over the previous one's filter tail
+        this.playbackResamplers.clear();
+      }
+
       const pcmData = new Int16Array(arrayBuffer.buffer, arrayBuffer.byteOffset, arrayBuffer.byteLength / 2);
       let floatData = new Float32Array(pcmData.length);
       for (let i = 0; i < pcmData.length; i++) {
         floatData[i] = pcmData[i] / 32768.0;
       }
+      floatData = this._getPlaybackResampler(sourceId).process(floatData);
+      if (floatData.length === 0) return;
 
       const audioBuffer = this.audioContext.createBuffer(1, floatData.length, this.audioContext.sampleRate);
       audioBuffer.getChannelData(0).set(floatData);
@@ -266,21 +304,15 @@ export class AudioStreamManager {
       gainNode.gain.value = volume;
       source.buffer = audioBuffer;
       source.connect(gainNode);
-      gainNode.connect(this.mediaStreamDestination);
-
-      const now = this.audioContext.currentTime;
-
-      // If nextStartTime is in the past (gap between utterances), snap to now + small lookahead
-      // If it's in the future (mid-utterance), keep scheduling forward
-      if (!this.nextStartTime || this.nextStartTime < now - 0.1) {
-        this.nextStartTime = now + 0.05;
-      }
+      gainNode.connect(this.playbackGain);
 
       source.start(this.nextStartTime);
       this.nextStartTime += audioBuffer.duration;
+      this.scheduledSources.add(source);
 
       // Only restart feedback — no nextStartTime reset
       source.onended = () => {
+        this.scheduledSources.delete(source);
         if (this.nextStartTime <= this.audioContext.currentTime + 0.06) {
           if (this.shouldPlayAudioFeedback) this.startAudioFeedback();
         }
@@ -291,6 +323,78 @@ export class AudioStreamManager {
     }
   }
 
+  _getPlaybackResampler(sourceId) {
+    let resampler = this.playbackResamplers.get(sourceId);
+    if (!resampler) {
+      resampler = new Resampler(AUDIO_OUTPUT_SAMPLE_RATE, this.audioContext.sampleRate);
+      this.playbackResamplers.set(sourceId, resampler);
+    }
+    return resampler;
+  }
+
+  // Translated speech only, without the microphone and audio feedback (e.g. for call recording)
+  getPlaybackNode() {
+    return this.playbackGain;
+  }
+
+  /**
+   * Set what happens to translated speech when the listener talks over it
+   * @param {string} policy - One of BARGE_IN_POLICIES
+   * @param {number} [duckDb] - Gain applied while ducking, in dB (negative)
+   */
+  setBargeInPolicy(policy, duckDb = this.bargeInDuckDb) {
+    this.bargeInPolicy = Object.values(BARGE_IN_POLICIES).includes(policy) ? policy : BARGE_IN_DEFAULT_POLICY;
+    this.bargeInDuckDb = Math.min(0, duckDb);
+    this._applyBargeIn();
+  }
+
+  /**
+   * Driven by the listener's VAD, speech starts barge-in right away, silence releases it after BARGE_IN_RELEASE_MS
+   * @param {boolean} listenerSpeaking
+   */
+  setListenerSpeaking(listenerSpeaking) {
+    clearTimeout(this.bargeInReleaseTimer);
+    this.bargeInReleaseTimer = null;
+
+    if (listenerSpeaking) {
+      if (this.isBargeInActive) return;
+      this.isBargeInActive = true;
+      if (this.bargeInPolicy === BARGE_IN_POLICIES.FLUSH) this.flushScheduledAudio();
+      this._applyBargeIn();
+    } else if (this.isBargeInActive) {
+      this.bargeInReleaseTimer = setTimeout(() => {
+        this.bargeInReleaseTimer = null;
+        this.isBargeInActive = false;
+        this._applyBargeIn();
+      }, BARGE_IN_RELEASE_MS);
+    }
+  }
+
+  // Stop every scheduled translated speech buffer, the next one starts a new utterance
+  flushScheduledAudio() {
+    if (this.scheduledSources.size > 0) {
+      console.info(`${LOGGER_PREFIX} - flushScheduledAudio - stopping ${this.scheduledSources.size} scheduled buffers`);
+    }
+    this.scheduledSources.forEach((source) => {
+      source.onended = null;
+      source.stop();
+    });
+    this.scheduledSources.clear();
+    this.nextStartTime = null;
+    this.playbackResamplers.clear();
+
+    if (this.shouldPlayAudioFeedback) this.startAudioFeedback();
+  }
+
+  _applyBargeIn() {
+    const duck = this.isBargeInActive && this.bargeInPolicy === BARGE_IN_POLICIES.DUCK;
+    const gain = duck ? Math.pow(10, this.bargeInDuckDb / 20) : 1;
+    const now = this.audioContext.currentTime;
+    this.playbackGain.gain.cancelScheduledValues(now);
+    this.playbackGain.gain.setValueAtTime(this.playbackGain.gain.value, now);
+    this.playbackGain.gain.linearRampToValueAtTime(gain, now + BARGE_IN_RAMP_MS / 1000);
+  }
+
   async processQueue() {
     if (this.audioQueue.length === 0) {
       this.isPlaying = false;
@@ -359,6 +463,8 @@ export class AudioStreamManager {
   async dispose() {
     console.info(`${LOGGER_PREFIX} - dispose - AudioStreamManager disposed`);
     this.clearQueue();
+    clearTimeout(this.bargeInReleaseTimer);
+    this.flushScheduledAudio();
     this.stopAudioFeedback();
     this.stopMicrophone();
     this.masterCompressor.disconnect();
@@ -0,0 +1,120 @@
+// Copyright 2025 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { LOGGER_PREFIX, RECORDING_AUDIO_BITRATE, RECORDING_MIME_TYPES, RECORDING_TIMESLICE_MS } from "../constants";
+
+// Enum for recorded tracks, the values are used as file names
+export const RecordingTrack = {
+  CUSTOMER_ORIGINAL: "customer-original", // What the customer said
+  AGENT_MIC: "agent-mic", // What the agent said
+  TO_CUSTOMER_SYNTHESIS: "to-customer-synthesis", // Translated speech the customer heard
+  TO_AGENT_SYNTHESIS: "to-agent-synthesis", // Translated speech the agent heard
+};
+
+// Records each side of a contact as a separate track.
+// Every track records its own MediaStreamAudioDestinationNode, so a source can be replaced during the contact
+// (e.g. the agent mic after reloadConfigs) without restarting the recorder, and all tracks start at the same time.
+export class CallRecordingManager {
+  /**
+   * @param {string} contactId
+   * @param {AudioContext} audioContext - Context of the synthesized speech nodes
+   */
+  constructor(contactId, audioContext) {
+    this.contactId = contactId;
+    this.audioContext = audioContext;
+    this.mimeType = getSupportedRecordingMimeType();
+    this.startedAt = null;
+    this.endedAt = null;
+
+    this.tracks = new Map();
+    Object.values(RecordingTrack).forEach((name) => {
+      this.tracks.set(name, {
+        destination: this.audioContext.createMediaStreamDestination(),
+        source: null, // AudioNode currently connected to the destination
+        recorder: null,
+        chunks: [],
+      });
+    });
+  }
+
+  static isSupported() {
+    return getSupportedRecordingMimeType() != null;
+  }
+
+  /**
+   * Connect the audio of a track, replacing its previous source
+   * @param {string} name - One of RecordingTrack
+   * @param {MediaStream|AudioNode} source - Stream (e.g. the customer remote stream) or node of this.audioContext
+   */
+  setTrackSource(name, source) {
+    const track = this.tracks.get(name);
+    if (!track || source == null) return;
+
+    this._disconnectTrackSource(track);
+    track.source = source instanceof MediaStream ? this.audioContext.createMediaStreamSource(source) : source;
+    track.source.connect(track.destination);
+  }
+
+  start() {
+    if (this.startedAt != null) return;
+    this.startedAt = new Date();
+
+    this.tracks.forEach((track, name) => {
+      track.recorder = new MediaRecorder(track.destination.stream, {
+        mimeType: this.mimeType,
+        audioBitsPerSecond: RECORDING_AUDIO_BITRATE,
+      });
+      track.recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) track.chunks.push(event.data);
+      };
+      track.recorder.onerror = (event) => console.error(`${LOGGER_PREFIX} - CallRecordingManager - ${name} recorder error`, event.error);
+      track.recorder.start(RECORDING_TIMESLICE_MS);
+    });
+    console.info(`${LOGGER_PREFIX} - CallRecordingManager - Recording contact ${this.contactId} as ${this.mimeType}`);
+  }
+
+  /**
+   * Stop all recorders and disconnect the sources
+   * @returns {Promise<Array<{name: string, blob: Blob}>>} - One file per track, in RecordingTrack order
+   */
+  async stop() {
+    if (this.startedAt == null) return [];
+    this.endedAt = this.endedAt ?? new Date();
+
+    const files = await Promise.all(
+      [...this.tracks].map(async ([name, track]) => {
+        if (track.recorder.state !== "inactive") {
+          await new Promise((resolve) => {
+            track.recorder.onstop = resolve;
+            track.recorder.stop();
+          });
+        }
+        this._disconnectTrackSource(track);
+        return { name: `${name}.${this.getFileExtension()}`, blob: new Blob(track.chunks, { type: this.mimeType }) };
+      })
+    );
+    console.info(`${LOGGER_PREFIX} - CallRecordingManager - Stopped recording contact ${this.contactId}`);
+    return files;
+  }
+
+  getFileExtension() {
+    if (this.mimeType.startsWith("audio/ogg")) return "ogg";
+    if (this.mimeType.startsWith("audio/mp4")) return "m4a";
+    return "webm";
+  }
+
+  _disconnectTrackSource(track) {
+    if (track.source == null) return;
+    try {
+      // Only this connection, a shared node (e.g. the playback gain) keeps its other outputs
+      track.source.disconnect(track.destination);
+    } catch (error) {
+      // Already disconnected, e.g. the node's manager was disposed
+    }
+    track.source = null;
+  }
+}
+
+function getSupportedRecordingMimeType() {
+  if (typeof MediaRecorder === "undefined") return null;
+  return RECORDING_MIME_TYPES.find((mimeType) => MediaRecorder.isTypeSupported(mimeType)) ?? null;
+}
@@ -27,6 +27,7 @@ import {
  * - poor: Messages very slow (3-5s ago)
  * - dead: No messages for extended period (> threshold)
  * - reconnecting: Attempting to reconnect
+ * - paused: Audio intentionally not sent (e.g. contact on hold), silence is expected
  * - offline: Connection closed
  */
 export class ConnectionHealthMonitor {
@@ -39,8 +40,9 @@ export class ConnectionHealthMonitor {
     // Health tracking
     this.lastMessageTime = null;
     this.lastSpeechTime = null; // Track when user last spoke (for grace period)
-    this.quality = 'unknown'; // unknown, good, degraded, poor, dead, reconnecting, offline
+    this.quality = 'unknown'; // unknown, good, degraded, poor, dead, reconnecting, paused, offline
     this.heartbeatInterval = null;
+    this.isPaused = false; // No zombie detection while no audio is sent
 
     // Reconnection tracking
     this.reconnectAttempts = 0;
@@ -118,6 +120,39 @@ export class ConnectionHealthMonitor {
     this._updateQuality('offline');
   }
 
+  /**
+   * Pause health checks, no messages are expected while no audio is sent
+   * Call this when audio streaming is paused
+   */
+  pause() {
+    if (this.isPaused) return;
+    console.log(`${LOGGER_PREFIX} - ConnectionHealthMonitor.pause() for ${this.type}`);
+
+    this.isPaused = true;
+    // A closed connection stays offline, it is reconnected on resume
+    if (this.heartbeatInterval) {
+      this._updateQuality('paused');
+    }
+    this._recordQualitySnapshot();
+  }
+
+  /**
+   * Resume health checks, the silence while paused does not count towards zombie detection
+   * Call this when audio streaming resumes
+   */
+  resume() {
+    if (!this.isPaused) return;
+    console.log(`${LOGGER_PREFIX} - ConnectionHealthMonitor.resume() for ${this.type}`);
+
+    this.isPaused = false;
+    this.lastMessageTime = Date.now();
+    this.lastSpeechTime = null;
+    if (this.quality === 'paused') {
+      this._updateQuality('good');
+    }
+    this._recordQualitySnapshot();
+  }
+
   /**
    * Update last message timestamp
    * Call this in ws.onmessage handler
@@ -264,6 +299,15 @@ export class ConnectionHealthMonitor {
       return;
     }
 
+    if (this.isPaused) {
+      // Silence is expected, keep the timeline going without judging the connection
+      if (this.quality !== 'paused') {
+        this._updateQuality('paused'); // e.g. reconnected while paused
+      }
+      this._recordQualitySnapshot();
+      return;
+    }
+
     const timeSinceLastMessage = Date.now() - this.lastMessageTime;
 
     // Get current VAD (Voice Activity Detection) state
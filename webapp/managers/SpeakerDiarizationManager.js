@@ -0,0 +1,179 @@
+// Copyright 2025 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import {
+  AUDIO_INGEST_SAMPLE_RATE,
+  DIARIZATION_MAX_SPEAKERS,
+  DIARIZATION_MIN_SEGMENT_MS,
+  DIARIZATION_NEW_SPEAKER_DISTANCE,
+  DIARIZATION_SILENCE_GAP_MS,
+  LOGGER_PREFIX,
+} from "../constants";
+
+const LEVEL_SCALE_DB = 6; // A level difference of 6 dB is one unit of feature distance
+const ZERO_CROSSING_SCALE = 0.02; // and so is a zero-crossing rate difference of 2%
+const PROFILE_MEMORY_MS = 30000; // Speaker profiles average over about the last 30s of their speech
+const MAX_TIMELINE_SEGMENTS = 200;
+
+/**
+ * Embedding-free speaker diarization of one side of the call, e.g. a customer on speakerphone with a family member.
+ * Voiced segments are cut from the detectVoice() energy of the frames sent to DeepL, and clustered online by
+ * their level and zero-crossing rate. This tells a close voice from one across the room, or a low voice from a high one,
+ * but not two similar voices. Speaker labels sent by the API take precedence (see DeepLVoiceClient).
+ */
+export class SpeakerDiarizationManager {
+  /**
+   * @param {Object} options
+   * @param {(buffer: Buffer) => boolean} options.detectVoice - Voice activity of a 16-bit PCM frame, e.g. AudioLatencyTrackManager.detectVoice
+   * @param {number} [options.maxSpeakers=DIARIZATION_MAX_SPEAKERS]
+   */
+  constructor(options) {
+    this.detectVoice = options.detectVoice;
+    this.maxSpeakers = options.maxSpeakers ?? DIARIZATION_MAX_SPEAKERS;
+    this.speakers = []; // { level, zeroCrossingRate, durationMs }, speaker numbers start at 1
+  }
+
+  /**
+   * Each DeepL session restarts audio time at 0, so each client keeps its own timeline.
+   * Speakers are shared, they keep their numbers when a session is switched.
+   * @returns {SpeakerTimeline}
+   */
+  createTimeline() {
+    return new SpeakerTimeline(this);
+  }
+
+  /**
+   * Speaker number of a voiced segment, the nearest known speaker or a new one
+   * @param {{level: number, zeroCrossingRate: number}} features
+   * @param {number} durationMs - Voiced time of the segment
+   * @returns {number}
+   */
+  assignSpeaker(features, durationMs) {
+    let nearestIndex = -1;
+    let nearestDistance = Infinity;
+    this.speakers.forEach((speaker, index) => {
+      const distance = Math.hypot(
+        (features.level - speaker.level) / LEVEL_SCALE_DB,
+        (features.zeroCrossingRate - speaker.zeroCrossingRate) / ZERO_CROSSING_SCALE
+      );
+      if (distance < nearestDistance) {
+        nearestIndex = index;
+        nearestDistance = distance;
+      }
+    });
+
+    if (nearestIndex === -1 || (nearestDistance > DIARIZATION_NEW_SPEAKER_DISTANCE && this.speakers.length < this.maxSpeakers)) {
+      this.speakers.push({ ...features, durationMs });
+      console.info(`${LOGGER_PREFIX} - SpeakerDiarizationManager - new speaker ${this.speakers.length} (${features.level.toFixed(1)} dB, ${(features.zeroCrossingRate * 100).toFixed(1)}% zero crossings)`);
+      return this.speakers.length;
+    }
+
+    // Weighted by voiced time, so the profile follows a speaker moving closer to or away from the phone
+    const speaker = this.speakers[nearestIndex];
+    const weight = durationMs / (speaker.durationMs + durationMs);
+    speaker.level += (features.level - speaker.level) * weight;
+    speaker.zeroCrossingRate += (features.zeroCrossingRate - speaker.zeroCrossingRate) * weight;
+    speaker.durationMs = Math.min(speaker.durationMs + durationMs, PROFILE_MEMORY_MS);
+    return nearestIndex + 1;
+  }
+}
+
+// Voiced segments of one DeepL session, in the session's audio time
+class SpeakerTimeline {
+  constructor(diarizationManager) {
+    this.diarizationManager = diarizationManager;
+    this.segments = []; // { startTime, endTime, speaker }
+    this.currentSegment = null; // { startTime, endTime, levelSum, zeroCrossingRateSum, voicedMs }
+    this.lastSpeaker = null;
+  }
+
+  /**
+   * @param {Buffer} buffer - 16-bit PCM frame at AUDIO_INGEST_SAMPLE_RATE, as sent to the session
+   * @param {number} startTime - Start of the frame in the session's audio time (ms)
+   */
+  addAudio(buffer, startTime) {
+    const durationMs = (buffer.length / 2 / AUDIO_INGEST_SAMPLE_RATE) * 1000;
+    const endTime = startTime + durationMs;
+
+    if (!this.diarizationManager.detectVoice(buffer)) {
+      if (this.currentSegment != null && endTime - this.currentSegment.endTime >= DIARIZATION_SILENCE_GAP_MS) {
+        this._closeSegment();
+      }
+      return;
+    }
+
+    const { level, zeroCrossingRate } = measureFrame(buffer);
+    if (this.currentSegment == null) {
+      this.currentSegment = { startTime, endTime, levelSum: 0, zeroCrossingRateSum: 0, voicedMs: 0 };
+    }
+    this.currentSegment.endTime = endTime;
+    this.currentSegment.levelSum += level * durationMs;
+    this.currentSegment.zeroCrossingRateSum += zeroCrossingRate * durationMs;
+    this.currentSegment.voicedMs += durationMs;
+  }
+
+  /**
+   * Speaker with the most voiced time between startTime and endTime
+   * @returns {number|null} - null when no voiced audio overlaps
+   */
+  getSpeaker(startTime, endTime) {
+    // A sentence can conclude before the pause that ends its voiced segment
+    if (this.currentSegment != null && this.currentSegment.startTime < endTime) {
+      this._closeSegment();
+    }
+
+    const voicedTimes = new Map();
+    this.segments.forEach((segment) => {
+      const overlap = Math.min(endTime, segment.endTime) - Math.max(startTime, segment.startTime);
+      if (overlap > 0) {
+        voicedTimes.set(segment.speaker, (voicedTimes.get(segment.speaker) ?? 0) + overlap);
+      }
+    });
+
+    let speaker = null;
+    let longestVoicedTime = 0;
+    voicedTimes.forEach((voicedTime, candidate) => {
+      if (voicedTime > longestVoicedTime) {
+        speaker = candidate;
+        longestVoicedTime = voicedTime;
+      }
+    });
+    return speaker;
+  }
+
+  _closeSegment() {
+    const segment = this.currentSegment;
+    this.currentSegment = null;
+
+    const speaker = segment.voicedMs < DIARIZATION_MIN_SEGMENT_MS && this.lastSpeaker != null
+      ? this.lastSpeaker
+      : this.diarizationManager.assignSpeaker({
+          level: segment.levelSum / segment.voicedMs,
+          zeroCrossingRate: segment.zeroCrossingRateSum / segment.voicedMs,
+        }, segment.voicedMs);
+    this.lastSpeaker = speaker;
+
+    this.segments.push({ startTime: segment.startTime, endTime: segment.endTime, speaker });
+    if (this.segments.length > MAX_TIMELINE_SEGMENTS) {
+      this.segments.shift();
+    }
+  }
+}
+
+// Level (dBFS) and zero-crossing rate of a 16-bit PCM frame
+function measureFrame(buffer) {
+  const samples = new Int16Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 2);
+  let sum = 0;
+  let zeroCrossings = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const normalized = samples[i] / 32768;
+    sum += normalized * normalized;
+    if (i > 0 && (samples[i] >= 0) !== (samples[i - 1] >= 0)) {
+      zeroCrossings++;
+    }
+  }
+  const rms = Math.sqrt(sum / samples.length);
+  return {
+    level: 20 * Math.log10(Math.max(rms, 1e-6)),
+    zeroCrossingRate: zeroCrossings / samples.length,
+  };
+}
@@ -0,0 +1,198 @@
+// Copyright 2025 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { LOGGER_PREFIX, TRANSCRIPT_DB_NAME, TRANSCRIPT_DB_VERSION, TRANSCRIPT_RETENTION_DAYS } from "../constants";
+
+const STORE_NAME = "transcripts";
+
+/**
+ * @typedef {Object} StoredTranscriptSegment
+ * @property {string} id - Segment id from the DeepLVoiceClient, shared by the original text and its translation
+ * @property {string} speaker - "customer", "agent" or "participant-<n>" for additional contact connections
+ * @property {string} [speakerLabel] - Display name of a participant, e.g. "Participant 2 (+4930...)"
+ * @property {string} original - Transcription of what the speaker said
+ * @property {string} translation - Translation the other party received
+ * @property {string} [sourceLanguage]
+ * @property {string} [targetLanguage]
+ * @property {number} startTime - Start of the segment, ms since the contact started
+ * @property {number} endTime - End of the segment, ms since the contact started
+ * @property {string} timestamp - ISO time the segment was first received
+ */
+
+/**
+ * @typedef {Object} StoredTranscript
+ * @property {string} contactId - Amazon Connect contact id
+ * @property {string} startedAt - ISO time the contact started
+ * @property {string} [endedAt] - ISO time the contact ended
+ * @property {StoredTranscriptSegment[]} segments - In the order they were spoken
+ */
+
+// Keeps the transcript of each contact in IndexedDB, so it survives page reloads and can be exported after the contact
+export class TranscriptStoreManager {
+  constructor() {
+    this.dbPromise = null;
+    this.currentTranscript = null;
+    this.pendingStart = null; // { contactId, promise }, the contact can be started from onConnecting and onConnected
+    this.savePromise = Promise.resolve();
+  }
+
+  /**
+   * Start or resume (after a page reload) the transcript of a contact
+   * @param {string} contactId
+   * @returns {Promise<StoredTranscript>}
+   */
+  async startContact(contactId) {
+    if (this.currentTranscript?.contactId === contactId) return this.currentTranscript;
+    if (this.pendingStart?.contactId === contactId) return this.pendingStart.promise;
+
+    const promise = this.getTranscript(contactId).then((storedTranscript) => {
+      this.currentTranscript = storedTranscript ?? {
+        contactId,
+        startedAt: new Date().toISOString(),
+        endedAt: null,
+        segments: [],
+      };
+      this._save();
+      return this.currentTranscript;
+    });
+    this.pendingStart = { contactId, promise };
+    try {
+      return await promise;
+    } finally {
+      if (this.pendingStart?.promise === promise) this.pendingStart = null;
+    }
+  }
+
+  /**
+   * Append concluded text to a segment of the current contact, creating the segment on its first text
+   * @param {Object} update
+   * @param {string} update.id - Segment id
+   * @param {string} update.speaker - "customer", "agent" or "participant-<n>"
+   * @param {string} [update.speakerLabel] - Display name of a participant
+   * @param {string} update.kind - "source" for the original text, "target" for the translation
+   * @param {string} update.text
+   * @param {string} [update.language] - Language of the text
+   * @param {number} [update.duration] - Duration of the segment in the source audio (ms)
+   */
+  addText({ id, speaker, speakerLabel, kind, text, language, duration }) {
+    if (this.currentTranscript == null) return;
+
+    const now = Date.now();
+    let segment = this.currentTranscript.segments.find((item) => item.id === id && item.speaker === speaker);
+    if (segment == null) {
+      // Text arrives when the segment concludes, so the segment started about its duration ago
+      const endTime = now - Date.parse(this.currentTranscript.startedAt);
+      segment = {
+        id,
+        speaker,
+        speakerLabel,
+        original: "",
+        translation: "",
+        sourceLanguage: undefined,
+        targetLanguage: undefined,
+        startTime: Math.max(0, endTime - (Number.isFinite(duration) ? duration : 0)),
+        endTime,
+        timestamp: new Date(now).toISOString(),
+      };
+      this.currentTranscript.segments.push(segment);
+    }
+
+    if (kind === "source") {
+      segment.original += text;
+      segment.sourceLanguage = language ?? segment.sourceLanguage;
+    } else {
+      segment.translation += text;
+      segment.targetLanguage = language ?? segment.targetLanguage;
+    }
+    this._save();
+  }
+
+  // The current transcript stays available (e.g. for export) until the next contact starts
+  endContact() {
+    if (this.currentTranscript == null || this.currentTranscript.endedAt != null) return;
+    this.currentTranscript.endedAt = new Date().toISOString();
+    this._save();
+  }
+
+  getCurrentTranscript() {
+    return this.currentTranscript;
+  }
+
+  /**
+   * @param {string} contactId
+   * @returns {Promise<StoredTranscript|undefined>}
+   */
+  async getTranscript(contactId) {
+    const db = await this._openDatabase();
+    return requestToPromise(db.transaction(STORE_NAME).objectStore(STORE_NAME).get(contactId));
+  }
+
+  // Most recently started transcript, e.g. to export the last contact after a page reload
+  async getLatestTranscript() {
+    if (this.currentTranscript != null) return this.currentTranscript;
+
+    const db = await this._openDatabase();
+    const index = db.transaction(STORE_NAME).objectStore(STORE_NAME).index("startedAt");
+    const cursor = await requestToPromise(index.openCursor(null, "prev"));
+    return cursor?.value;
+  }
+
+  // Writes are chained, so an older state can never overwrite a newer one
+  _save() {
+    const snapshot = structuredClone(this.currentTranscript);
+    this.savePromise = this.savePromise
+      .then(async () => {
+        const db = await this._openDatabase();
+        const transaction = db.transaction(STORE_NAME, "readwrite");
+        transaction.objectStore(STORE_NAME).put(snapshot);
+        await transactionToPromise(transaction);
+      })
+      .catch((error) => console.error(`${LOGGER_PREFIX} - TranscriptStoreManager - Error saving transcript:`, error));
+    return this.savePromise;
+  }
+
+  _openDatabase() {
+    if (this.dbPromise == null) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(TRANSCRIPT_DB_NAME, TRANSCRIPT_DB_VERSION);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE_NAME, { keyPath: "contactId" });
+          store.createIndex("startedAt", "startedAt");
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).then(async (db) => {
+        await this._deleteExpiredTranscripts(db);
+        return db;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async _deleteExpiredTranscripts(db) {
+    const expiredBefore = new Date(Date.now() - TRANSCRIPT_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const transaction = db.transaction(STORE_NAME, "readwrite");
+    transaction.objectStore(STORE_NAME).index("startedAt").openCursor(IDBKeyRange.upperBound(expiredBefore, true)).onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor == null) return;
+      console.info(`${LOGGER_PREFIX} - TranscriptStoreManager - Deleting expired transcript of contact ${cursor.value.contactId}`);
+      cursor.delete();
+      cursor.continue();
+    };
+    await transactionToPromise(transaction);
+  }
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionToPromise(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
@@ -60,3 +60,32 @@ export const SUPPORTED_TARGET_LANGUAGES = [
   { "language": "zh-Hans", "name": "Chinese (Simplified)" },
   { "language": "zh-Hant", "name": "Chinese (Traditional)" }
 ];
+
+// Languages of the Amazon Transcribe -> Translate -> Polly fallback (see adapters/amazonVoiceAdapter.js)
+// Streaming transcription locale, Translate language code, Polly language code and neural voices per DeepL language code
+export const AMAZON_VOICE_LANGUAGES = [
+  { "language": "ar", "name": "Arabic", "transcribe": "ar-SA", "translate": "ar", "polly": "ar-AE", "voices": { "female": "Hala", "male": "Zayd" } },
+  { "language": "ca", "name": "Catalan", "transcribe": "ca-ES", "translate": "ca", "polly": "ca-ES", "voices": { "female": "Arlet" } },
+  { "language": "da", "name": "Danish", "transcribe": "da-DK", "translate": "da", "polly": "da-DK", "voices": { "female": "Sofie" } },
+  { "language": "de", "name": "German", "transcribe": "de-DE", "translate": "de", "polly": "de-DE", "voices": { "female": "Vicki", "male": "Daniel" } },
+  { "language": "en", "name": "English", "transcribe": "en-US", "translate": "en", "polly": "en-US", "voices": { "female": "Joanna", "male": "Matthew" } },
+  { "language": "en-GB", "name": "English (British)", "transcribe": "en-GB", "translate": "en", "polly": "en-GB", "voices": { "female": "Amy", "male": "Brian" } },
+  { "language": "en-US", "name": "English (American)", "transcribe": "en-US", "translate": "en", "polly": "en-US", "voices": { "female": "Joanna", "male": "Matthew" } },
+  { "language": "es", "name": "Spanish", "transcribe": "es-ES", "translate": "es", "polly": "es-ES", "voices": { "female": "Lucia", "male": "Sergio" } },
+  { "language": "fi", "name": "Finnish", "transcribe": "fi-FI", "translate": "fi", "polly": "fi-FI", "voices": { "female": "Suvi" } },
+  { "language": "fr", "name": "French", "transcribe": "fr-FR", "translate": "fr", "polly": "fr-FR", "voices": { "female": "Lea", "male": "Remi" } },
+  { "language": "hi", "name": "Hindi", "transcribe": "hi-IN", "translate": "hi", "polly": "hi-IN", "voices": { "female": "Kajal" } },
+  { "language": "it", "name": "Italian", "transcribe": "it-IT", "translate": "it", "polly": "it-IT", "voices": { "female": "Bianca", "male": "Adriano" } },
+  { "language": "ja", "name": "Japanese", "transcribe": "ja-JP", "translate": "ja", "polly": "ja-JP", "voices": { "female": "Kazuha", "male": "Takumi" } },
+  { "language": "ko", "name": "Korean", "transcribe": "ko-KR", "translate": "ko", "polly": "ko-KR", "voices": { "female": "Seoyeon" } },
+  { "language": "nb", "name": "Norwegian (Bokmål)", "transcribe": "no-NO", "translate": "no", "polly": "nb-NO", "voices": { "female": "Ida" } },
+  { "language": "nl", "name": "Dutch", "transcribe": "nl-NL", "translate": "nl", "polly": "nl-NL", "voices": { "female": "Laura" } },
+  { "language": "pl", "name": "Polish", "transcribe": "pl-PL", "translate": "pl", "polly": "pl-PL", "voices": { "female": "Ola" } },
+  { "language": "pt", "name": "Portuguese", "transcribe": "pt-PT", "translate": "pt-PT", "polly": "pt-PT", "voices": { "female": "Ines" } },
+  { "language": "pt-BR", "name": "Portuguese (Brazilian)", "transcribe": "pt-BR", "translate": "pt", "polly": "pt-BR", "voices": { "female": "Camila", "male": "Thiago" } },
+  { "language": "pt-PT", "name": "Portuguese (European)", "transcribe": "pt-PT", "translate": "pt-PT", "polly": "pt-PT", "voices": { "female": "Ines" } },
+  { "language": "sv", "name": "Swedish", "transcribe": "sv-SE", "translate": "sv", "polly": "sv-SE", "voices": { "female": "Elin" } },
+  { "language": "tr", "name": "Turkish", "transcribe": "tr-TR", "translate": "tr", "polly": "tr-TR", "voices": { "female": "Burcu" } },
+  { "language": "zh", "name": "Chinese", "transcribe": "zh-CN", "translate": "zh", "polly": "cmn-CN", "voices": { "female": "Zhiyu" } },
+  { "language": "zh-Hans", "name": "Chinese (Simplified)", "transcribe": "zh-CN", "translate": "zh", "polly": "cmn-CN", "voices": { "female": "Zhiyu" } }
+];
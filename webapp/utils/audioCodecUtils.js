@@ -0,0 +1,403 @@
+// Copyright 2025 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { Buffer } from "buffer";
+import { OPUS_BITRATE, OPUS_FRAME_DURATION_MS, OPUS_PAGE_DURATION_MS } from "../constants";
+import { Resampler, floatToPcm16 } from "./resamplerUtils";
+
+export const AUDIO_CODECS = {
+  PCM: "pcm",
+  OPUS: "opus",
+};
+
+// Opus always runs at 48kHz internally, granule positions and decoder output use this rate
+const OPUS_SAMPLE_RATE = 48000;
+const OPUS_PRE_SKIP = 312;
+const OGG_OPUS_CONTENT_TYPE = "audio/ogg;codecs=opus";
+
+/**
+ * Creates the codec for one DeepL session, falling back to PCM when Opus is not supported by the browser.
+ *
+ * Codecs share the same interface:
+ * - sourceMediaContentType / targetMediaContentType, sent when requesting the session
+ * - encode(pcmBuffer): s16le PCM in, onEncoded(Buffer) called with the bytes to send as source_media_chunk
+ * - decode(base64Chunks): target_media_chunk data in, onDecoded(base64Chunks) called with s16le PCM
+ * - flush(): send the audio still held by the encoder and end the media stream, before end_of_source_media or a handoff
+ * - reset(): start a new media stream (e.g. for a new session), close(): release the encoder/decoder
+ *
+ * @param {string} codec - One of AUDIO_CODECS
+ * @param {Object} options
+ * @param {number} options.sampleRate - Sample rate of the PCM passed to encode()
+ * @param {number} options.outputSampleRate - Sample rate of the PCM passed to onDecoded()
+ * @param {string} options.sourceMediaContentType - PCM content type for the source media
+ * @param {string} options.targetMediaContentType - PCM content type for the target media
+ * @param {Function} options.onEncoded - Called with encoded source media
+ * @param {Function} options.onDecoded - Called with decoded target media, as an array of base64 s16le PCM chunks
+ * @param {Function} [options.onError] - Called when encoding or decoding fails
+ */
+export async function createAudioCodec(codec, options) {
+  if (codec === AUDIO_CODECS.OPUS) {
+    if (await OpusAudioCodec.isSupported(options.sampleRate)) {
+      return new OpusAudioCodec(options);
+    }
+    console.warn(`Opus is not supported by this browser, falling back to PCM`);
+  }
+  return new PcmAudioCodec(options);
+}
+
+// Raw s16le PCM, sent and received as-is
+export class PcmAudioCodec {
+  constructor(options) {
+    this.name = AUDIO_CODECS.PCM;
+    this.sourceMediaContentType = options.sourceMediaContentType;
+    this.targetMediaContentType = options.targetMediaContentType;
+    this.onEncoded = options.onEncoded;
+    this.onDecoded = options.onDecoded;
+  }
+
+  encode(pcmBuffer) {
+    this.onEncoded(pcmBuffer);
+  }
+
+  decode(base64Chunks) {
+    this.onDecoded(base64Chunks);
+  }
+
+  async flush() {}
+
+  reset() {}
+
+  close() {}
+}
+
+// Opus packets in an Ogg stream, encoded and decoded with WebCodecs
+export class OpusAudioCodec {
+  constructor(options) {
+    this.name = AUDIO_CODECS.OPUS;
+    this.sourceMediaContentType = OGG_OPUS_CONTENT_TYPE;
+    this.targetMediaContentType = OGG_OPUS_CONTENT_TYPE;
+    this.sampleRate = options.sampleRate;
+    this.outputSampleRate = options.outputSampleRate;
+    this.onEncoded = options.onEncoded;
+    this.onDecoded = options.onDecoded;
+    this.onError = options.onError || ((error) => console.error(`Opus codec error:`, error));
+
+    this.encoder = null;
+    this.decoder = null;
+    this.reset();
+  }
+
+  static async isSupported(sampleRate) {
+    if (typeof AudioEncoder === "undefined" || typeof AudioDecoder === "undefined") return false;
+    try {
+      const [encoderSupport, decoderSupport] = await Promise.all([
+        AudioEncoder.isConfigSupported(OpusAudioCodec.getEncoderConfig(sampleRate)),
+        AudioDecoder.isConfigSupported({ codec: "opus", sampleRate: OPUS_SAMPLE_RATE, numberOfChannels: 1 }),
+      ]);
+      return encoderSupport.supported && decoderSupport.supported;
+    } catch {
+      return false;
+    }
+  }
+
+  static getEncoderConfig(sampleRate) {
+    return {
+      codec: "opus",
+      sampleRate,
+      numberOfChannels: 1,
+      bitrate: OPUS_BITRATE,
+      opus: { frameDuration: OPUS_FRAME_DURATION_MS * 1000, application: "voip" },
+    };
+  }
+
+  encode(pcmBuffer) {
+    if (this.encoder?.state !== "configured") return;
+    try {
+      const samples = new Int16Array(pcmBuffer.buffer, pcmBuffer.byteOffset, pcmBuffer.byteLength / 2);
+      const audioData = new AudioData({
+        format: "s16",
+        sampleRate: this.sampleRate,
+        numberOfFrames: samples.length,
+        numberOfChannels: 1,
+        timestamp: Math.round((this.encodedFrames / this.sampleRate) * 1e6),
+        data: samples,
+      });
+      this.encodedFrames += samples.length;
+      this.encoder.encode(audioData);
+      audioData.close();
+    } catch (error) {
+      this.onError(error);
+    }
+  }
+
+  decode(base64Chunks) {
+    try {
+      base64Chunks.forEach((chunk) => this.oggReader.push(Buffer.from(chunk, "base64")));
+    } catch (error) {
+      this.onError(error);
+    }
+  }
+
+  // The encoder holds back its last frames and up to OPUS_PAGE_DURATION_MS of pages wait for the next batch
+  async flush() {
+    if (this.encoder?.state !== "configured") return;
+    try {
+      await this.encoder.flush();
+    } catch (error) {
+      this.onError(error);
+      return;
+    }
+    if (!this.oggWriter.headersWritten || this.oggWriter.isEnded) return;
+
+    this.pendingPages.push(this.oggWriter.writeEndOfStream());
+    this.onEncoded(Buffer.concat(this.pendingPages));
+    this.pendingPages = [];
+    this.pendingPagesMs = 0;
+  }
+
+  reset() {
+    this.close();
+
+    this.encodedFrames = 0;
+    this.oggWriter = new OggOpusWriter(this.sampleRate);
+    this.pendingPages = [];
+    this.pendingPagesMs = 0;
+    this.encoder = new AudioEncoder({
+      output: (chunk) => this._handleEncodedChunk(chunk),
+      error: (error) => this.onError(error),
+    });
+    this.encoder.configure(OpusAudioCodec.getEncoderConfig(this.sampleRate));
+
+    this.decodedTimestamp = 0;
+    this.outputResampler = new Resampler(OPUS_SAMPLE_RATE, this.outputSampleRate);
+    this.oggReader = new OggOpusReader((packet) => this._handleOggPacket(packet));
+    this.decoder = new AudioDecoder({
+      output: (audioData) => this._handleDecodedAudio(audioData),
+      error: (error) => this.onError(error),
+    });
+  }
+
+  close() {
+    [this.encoder, this.decoder].forEach((codec) => {
+      if (codec && codec.state !== "closed") codec.close();
+    });
+    this.encoder = null;
+    this.decoder = null;
+  }
+
+  // The Ogg headers go out with the first page, then pages are sent in batches of about OPUS_PAGE_DURATION_MS
+  _handleEncodedChunk(chunk) {
+    const packet = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(packet);
+    const durationSamples = Math.round(((chunk.duration ?? OPUS_FRAME_DURATION_MS * 1000) / 1e6) * OPUS_SAMPLE_RATE);
+
+    this.pendingPages.push(...this.oggWriter.writePacket(packet, durationSamples));
+    this.pendingPagesMs += (durationSamples / OPUS_SAMPLE_RATE) * 1000;
+    if (this.pendingPagesMs >= OPUS_PAGE_DURATION_MS) {
+      this.onEncoded(Buffer.concat(this.pendingPages));
+      this.pendingPages = [];
+      this.pendingPagesMs = 0;
+    }
+  }
+
+  _handleOggPacket(packet) {
+    if (!this.decoder) return;
+    if (isOpusHeader(packet, "OpusHead")) {
+      if (this.decoder.state === "configured") this.decoder.reset();
+      this.decoder.configure({ codec: "opus", sampleRate: OPUS_SAMPLE_RATE, numberOfChannels: 1, description: packet });
+      return;
+    }
+    if (isOpusHeader(packet, "OpusTags") || this.decoder.state !== "configured") return;
+
+    const durationUs = getOpusPacketDurationUs(packet);
+    this.decoder.decode(new EncodedAudioChunk({ type: "key", timestamp: this.decodedTimestamp, duration: durationUs, data: packet }));
+    this.decodedTimestamp += durationUs;
+  }
+
+  _handleDecodedAudio(audioData) {
+    try {
+      const samples = new Float32Array(audioData.numberOfFrames);
+      audioData.copyTo(samples, { planeIndex: 0, format: "f32-planar" });
+      if (audioData.sampleRate !== this.outputResampler.fromRate) {
+        this.outputResampler = new Resampler(audioData.sampleRate, this.outputSampleRate);
+      }
+      const pcm = floatToPcm16(this.outputResampler.process(samples));
+      this.onDecoded([Buffer.from(pcm.buffer).toString("base64")]);
+    } catch (error) {
+      this.onError(error);
+    } finally {
+      audioData.close();
+    }
+  }
+}
+
+/**
+ * Writes Opus packets as an Ogg stream (RFC 7845), one packet per page to keep latency low
+ * @private
+ */
+class OggOpusWriter {
+  constructor(inputSampleRate) {
+    this.inputSampleRate = inputSampleRate;
+    this.serialNumber = Math.floor(Math.random() * 0xffffffff);
+    this.pageSequence = 0;
+    this.granulePosition = OPUS_PRE_SKIP;
+    this.headersWritten = false;
+    this.isEnded = false;
+  }
+
+  writePacket(packet, durationSamples) {
+    const pages = [];
+    if (!this.headersWritten) {
+      pages.push(this._writePage(createOpusHead(this.inputSampleRate), 0, 0x02));
+      pages.push(this._writePage(createOpusTags(), 0, 0x00));
+      this.headersWritten = true;
+    }
+    this.granulePosition += durationSamples;
+    pages.push(this._writePage(packet, this.granulePosition, 0x00));
+    return pages;
+  }
+
+  // A page without packets that ends the stream (RFC 3533 allows pages without segments)
+  writeEndOfStream() {
+    this.isEnded = true;
+    return this._writePage(null, this.granulePosition, 0x04);
+  }
+
+  _writePage(packet, granulePosition, headerType) {
+    const body = packet ?? new Uint8Array(0);
+    const segmentTable = [];
+    if (packet) {
+      let remaining = packet.length;
+      while (remaining >= 255) {
+        segmentTable.push(255);
+        remaining -= 255;
+      }
+      segmentTable.push(remaining);
+    }
+
+    const page = Buffer.alloc(27 + segmentTable.length + body.length);
+    page.write("OggS", 0, "ascii");
+    page.writeUInt8(0, 4);
+    page.writeUInt8(headerType, 5);
+    page.writeBigUInt64LE(BigInt(granulePosition), 6);
+    page.writeUInt32LE(this.serialNumber, 14);
+    page.writeUInt32LE(this.pageSequence++, 18);
+    page.writeUInt32LE(0, 22);
+    page.writeUInt8(segmentTable.length, 26);
+    Buffer.from(segmentTable).copy(page, 27);
+    Buffer.from(body).copy(page, 27 + segmentTable.length);
+    page.writeUInt32LE(oggCrc32(page), 22);
+    return page;
+  }
+}
+
+/**
+ * Reads Opus packets from an Ogg stream received in arbitrary pieces
+ * @private
+ */
+class OggOpusReader {
+  constructor(onPacket) {
+    this.onPacket = onPacket;
+    this.buffer = Buffer.alloc(0);
+    this.partialPacket = [];
+  }
+
+  push(bytes) {
+    this.buffer = Buffer.concat([this.buffer, bytes]);
+
+    while (this.buffer.length >= 27) {
+      if (this.buffer.toString("ascii", 0, 4) !== "OggS") {
+        // Resynchronise on the next page
+        const nextPage = this.buffer.indexOf("OggS", 1, "ascii");
+        this.buffer = nextPage === -1 ? Buffer.alloc(0) : this.buffer.subarray(nextPage);
+        continue;
+      }
+
+      const segmentCount = this.buffer.readUInt8(26);
+      const headerLength = 27 + segmentCount;
+      if (this.buffer.length < headerLength) return;
+
+      const segmentTable = this.buffer.subarray(27, headerLength);
+      const bodyLength = segmentTable.reduce((sum, size) => sum + size, 0);
+      if (this.buffer.length < headerLength + bodyLength) return;
+
+      let offset = headerLength;
+      for (const size of segmentTable) {
+        this.partialPacket.push(this.buffer.subarray(offset, offset + size));
+        offset += size;
+        // A segment shorter than 255 bytes ends the packet, otherwise it continues in the next segment (or page)
+        if (size < 255) {
+          this.onPacket(new Uint8Array(Buffer.concat(this.partialPacket)));
+          this.partialPacket = [];
+        }
+      }
+
+      this.buffer = this.buffer.subarray(headerLength + bodyLength);
+    }
+  }
+}
+
+function createOpusHead(inputSampleRate) {
+  const head = Buffer.alloc(19);
+  head.write("OpusHead", 0, "ascii");
+  head.writeUInt8(1, 8); // version
+  head.writeUInt8(1, 9); // mono
+  head.writeUInt16LE(OPUS_PRE_SKIP, 10);
+  head.writeUInt32LE(inputSampleRate, 12);
+  head.writeInt16LE(0, 16); // output gain
+  head.writeUInt8(0, 18); // channel mapping family
+  return head;
+}
+
+function createOpusTags() {
+  const vendor = Buffer.from("amazon-connect-v2v", "utf8");
+  const tags = Buffer.alloc(8 + 4 + vendor.length + 4);
+  tags.write("OpusTags", 0, "ascii");
+  tags.writeUInt32LE(vendor.length, 8);
+  vendor.copy(tags, 12);
+  tags.writeUInt32LE(0, 12 + vendor.length); // no user comments
+  return tags;
+}
+
+function isOpusHeader(packet, magic) {
+  return packet.length >= 8 && String.fromCharCode(...packet.subarray(0, 8)) === magic;
+}
+
+// Duration of an Opus packet from its TOC byte (RFC 6716, section 3.1)
+export function getOpusPacketDurationUs(packet) {
+  const config = packet[0] >> 3;
+  let frameDurationUs;
+  if (config < 12) {
+    frameDurationUs = [10000, 20000, 40000, 60000][config % 4]; // SILK
+  } else if (config < 16) {
+    frameDurationUs = [10000, 20000][config % 2]; // Hybrid
+  } else {
+    frameDurationUs = [2500, 5000, 10000, 20000][config % 4]; // CELT
+  }
+
+  const frameCountCode = packet[0] & 0x03;
+  let frameCount = 1;
+  if (frameCountCode === 1 || frameCountCode === 2) frameCount = 2;
+  else if (frameCountCode === 3 && packet.length > 1) frameCount = packet[1] & 0x3f;
+
+  return frameDurationUs * frameCount;
+}
+
+const OGG_CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let crc = i << 24;
+    for (let j = 0; j < 8; j++) {
+      crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+    }
+    table[i] = crc >>> 0;
+  }
+  return table;
+})();
+
+function oggCrc32(bytes) {
+  let crc = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ bytes[i]) & 0xff]) >>> 0;
+  }
+  return crc;
+}
@@ -0,0 +1,281 @@
+// Copyright 2025 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { afterEach, beforeEach, describe, expect, test, vi } from "vitest";
+import { Buffer } from "buffer";
+import { OpusAudioCodec, getOpusPacketDurationUs } from "./audioCodecUtils";
+
+const OPUS_PRE_SKIP = 312;
+const FRAME_SAMPLES = 320; // 20ms at 16kHz
+const CELT_20MS_TOC = 31 << 3;
+
+// WebCodecs stand-ins. Like a real Opus encoder, the encoder holds back its latest frame until the next one or flush()
+class FakeAudioData {
+  constructor(init) {
+    Object.assign(this, init);
+  }
+
+  close() {}
+}
+
+class FakeAudioEncoder {
+  static packets = [];
+
+  constructor({ output }) {
+    this.output = output;
+    this.state = "unconfigured";
+    this.heldBack = [];
+  }
+
+  configure() {
+    this.state = "configured";
+  }
+
+  encode(audioData) {
+    this.heldBack.push(FakeAudioEncoder.packets.shift());
+    if (this.heldBack.length > 1) this._output(this.heldBack.shift());
+  }
+
+  async flush() {
+    this.heldBack.splice(0).forEach((packet) => this._output(packet));
+  }
+
+  close() {
+    this.state = "closed";
+  }
+
+  _output(packet) {
+    this.output({ byteLength: packet.length, duration: 20000, copyTo: (destination) => destination.set(packet) });
+  }
+}
+
+class FakeAudioDecoder {
+  constructor() {
+    this.state = "unconfigured";
+    this.chunks = [];
+  }
+
+  configure(config) {
+    this.config = config;
+    this.state = "configured";
+  }
+
+  decode(chunk) {
+    this.chunks.push(chunk);
+  }
+
+  reset() {
+    this.state = "unconfigured";
+  }
+
+  close() {
+    this.state = "closed";
+  }
+}
+
+class FakeEncodedAudioChunk {
+  constructor(init) {
+    Object.assign(this, init);
+  }
+}
+
+// Bit by bit, without the lookup table of audioCodecUtils.js (RFC 3533: polynomial 0x04c11db7, initial value 0, no final XOR)
+function referenceOggCrc32(bytes) {
+  let crc = 0;
+  for (const byte of bytes) {
+    crc ^= byte << 24;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+    }
+  }
+  return crc >>> 0;
+}
+
+function createPacket(length, seed = 1) {
+  return Uint8Array.from({ length }, (_, index) => (index === 0 ? CELT_20MS_TOC : (index * 31 + seed) & 0xff));
+}
+
+function splitPages(stream) {
+  const pages = [];
+  let offset = 0;
+  while (offset < stream.length) {
+    const segmentCount = stream.readUInt8(offset + 26);
+    const segmentTable = [...stream.subarray(offset + 27, offset + 27 + segmentCount)];
+    const length = 27 + segmentCount + segmentTable.reduce((sum, size) => sum + size, 0);
+    pages.push({ page: stream.subarray(offset, offset + length), segmentTable });
+    offset += length;
+  }
+  return pages;
+}
+
+function createCodec(onEncoded = () => {}) {
+  return new OpusAudioCodec({ sampleRate: 16000, outputSampleRate: 16000, onEncoded, onDecoded: () => {}, onError: (error) => { throw error; } });
+}
+
+// Encodes the packets of the fake encoder and returns everything the codec sent
+async function encodeAll(packets) {
+  FakeAudioEncoder.packets = [...packets];
+  const sent = [];
+  const codec = createCodec((mediaChunk) => sent.push(mediaChunk));
+  packets.forEach(() => codec.encode(Buffer.alloc(FRAME_SAMPLES * 2)));
+  await codec.flush();
+  return { codec, sent, stream: Buffer.concat(sent) };
+}
+
+// Decodes the stream pushed in pieces of pieceLength bytes and returns the chunks passed to the decoder
+function decodeAll(stream, pieceLength) {
+  const codec = createCodec();
+  const pieces = [];
+  for (let offset = 0; offset < stream.length; offset += pieceLength) {
+    pieces.push(stream.subarray(offset, offset + pieceLength).toString("base64"));
+  }
+  codec.decode(pieces);
+  return codec.decoder;
+}
+
+describe("OpusAudioCodec", () => {
+  beforeEach(() => {
+    vi.stubGlobal("AudioData", FakeAudioData);
+    vi.stubGlobal("AudioEncoder", FakeAudioEncoder);
+    vi.stubGlobal("AudioDecoder", FakeAudioDecoder);
+    vi.stubGlobal("EncodedAudioChunk", FakeEncodedAudioChunk);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  test("sends pages in batches of OPUS_PAGE_DURATION_MS", async () => {
+    FakeAudioEncoder.packets = Array.from({ length: 7 }, (_, index) => createPacket(40, index));
+    const sent = [];
+    const codec = createCodec((mediaChunk) => sent.push(mediaChunk));
+
+    for (let frame = 0; frame < 7; frame++) codec.encode(Buffer.alloc(FRAME_SAMPLES * 2));
+
+    // 6 packets left the encoder, the first 5 (100ms) went out with the header pages
+    expect(sent).toHaveLength(1);
+    expect(splitPages(sent[0])).toHaveLength(2 + 5);
+  });
+
+  test("flush() sends the last packet and the pending pages, ending the stream", async () => {
+    const packets = Array.from({ length: 7 }, (_, index) => createPacket(40, index));
+    const { sent, stream } = await encodeAll(packets);
+
+    expect(sent).toHaveLength(2);
+    const pages = splitPages(stream);
+    const lastPage = pages.at(-1);
+    expect(lastPage.page.readUInt8(5)).toBe(0x04);
+    expect(lastPage.segmentTable).toEqual([]);
+    expect(lastPage.page.readBigUInt64LE(6)).toBe(BigInt(OPUS_PRE_SKIP + 7 * 960));
+
+    const decodedPackets = decodeAll(stream, 4096).chunks.map((chunk) => chunk.data);
+    expect(decodedPackets).toEqual(packets);
+  });
+
+  test("flush() does not end the stream twice", async () => {
+    const { codec, sent } = await encodeAll([createPacket(40)]);
+    await codec.flush();
+
+    expect(sent).toHaveLength(1);
+  });
+
+  test("writes the OpusHead and OpusTags pages before the first packet only", async () => {
+    const { stream } = await encodeAll([createPacket(40), createPacket(40)]);
+    const [head, tags, ...packetPages] = splitPages(stream).map(({ page }) => page);
+
+    expect(head.readUInt8(5)).toBe(0x02); // beginning of stream
+    expect(head.toString("ascii", 28, 36)).toBe("OpusHead");
+    expect(head.readUInt16LE(28 + 10)).toBe(OPUS_PRE_SKIP);
+    expect(head.readUInt32LE(28 + 12)).toBe(16000);
+    expect(tags.readUInt8(5)).toBe(0x00);
+    expect(tags.toString("ascii", 28, 36)).toBe("OpusTags");
+    expect(packetPages).toHaveLength(3);
+  });
+
+  test("numbers the pages and advances the granule position from the pre-skip", async () => {
+    const { stream } = await encodeAll([createPacket(40), createPacket(40)]);
+    const pages = splitPages(stream).map(({ page }) => page);
+
+    expect(pages.map((page) => page.readUInt32LE(18))).toEqual([0, 1, 2, 3, 4]);
+    expect(pages.map((page) => page.readBigUInt64LE(6))).toEqual([0n, 0n, BigInt(OPUS_PRE_SKIP + 960), BigInt(OPUS_PRE_SKIP + 1920), BigInt(OPUS_PRE_SKIP + 1920)]);
+    expect(new Set(pages.map((page) => page.readUInt32LE(14))).size).toBe(1);
+  });
+
+  test("splits packets into 255 byte segments, ended by a shorter one", async () => {
+    const { stream } = await encodeAll([createPacket(1), createPacket(254), createPacket(255), createPacket(600)]);
+    const segmentTables = splitPages(stream).slice(2, -1).map(({ segmentTable }) => segmentTable);
+
+    expect(segmentTables).toEqual([[1], [254], [255, 0], [255, 255, 90]]);
+  });
+
+  test("writes the CRC of each page, computed with the CRC field set to 0", async () => {
+    const { stream } = await encodeAll([createPacket(40), createPacket(600)]);
+
+    for (const { page } of splitPages(stream)) {
+      const unsignedPage = Buffer.from(page);
+      unsignedPage.writeUInt32LE(0, 22);
+      expect(page.readUInt32LE(22)).toBe(referenceOggCrc32(unsignedPage));
+    }
+  });
+
+  for (const pieceLength of [1, 7, 27, 4096]) {
+    test(`decodes the packets of its own stream received in ${pieceLength} byte pieces`, async () => {
+      const packets = [1, 40, 254, 255, 256, 510, 600].map((length, index) => createPacket(length, index));
+      const { stream } = await encodeAll(packets);
+
+      const decoder = decodeAll(stream, pieceLength);
+
+      expect(Buffer.from(decoder.config.description).toString("ascii", 0, 8)).toBe("OpusHead");
+      expect(decoder.chunks.map((chunk) => chunk.data)).toEqual(packets);
+      expect(decoder.chunks.map((chunk) => chunk.timestamp)).toEqual(packets.map((_, index) => index * 20000));
+    });
+  }
+
+  test("resynchronises on the next page after bytes that are not a page", async () => {
+    const packet = createPacket(100);
+    const { stream } = await encodeAll([packet]);
+
+    const decoder = decodeAll(Buffer.concat([Buffer.from("garbage before the stream"), stream]), 4096);
+
+    expect(decoder.chunks.map((chunk) => chunk.data)).toEqual([packet]);
+  });
+
+  test("joins a packet continued on the next page", async () => {
+    const packet = createPacket(300);
+    const { stream } = await encodeAll([packet]);
+    const [head, tags, { page }] = splitPages(stream);
+
+    // The same packet as two pages, the first ending on a 255 byte segment
+    const firstPage = Buffer.concat([page.subarray(0, 26), Buffer.from([1, 255]), page.subarray(29, 29 + 255)]);
+    const secondPage = Buffer.concat([page.subarray(0, 26), Buffer.from([1, 45]), page.subarray(29 + 255)]);
+
+    const decoder = decodeAll(Buffer.concat([head.page, tags.page, firstPage, secondPage]), 4096);
+
+    expect(decoder.chunks.map((chunk) => chunk.data)).toEqual([packet]);
+  });
+});
+
+describe("getOpusPacketDurationUs", () => {
+  // TOC byte: 5 bits configuration, 1 bit stereo, 2 bits frame count code
+  const toc = (config, frameCountCode = 0) => (config << 3) | frameCountCode;
+
+  test("reads the frame duration of SILK, Hybrid and CELT configurations", () => {
+    expect(getOpusPacketDurationUs(Uint8Array.of(toc(0)))).toBe(10000);
+    expect(getOpusPacketDurationUs(Uint8Array.of(toc(1)))).toBe(20000);
+    expect(getOpusPacketDurationUs(Uint8Array.of(toc(11)))).toBe(60000);
+    expect(getOpusPacketDurationUs(Uint8Array.of(toc(12)))).toBe(10000);
+    expect(getOpusPacketDurationUs(Uint8Array.of(toc(15)))).toBe(20000);
+    expect(getOpusPacketDurationUs(Uint8Array.of(toc(16)))).toBe(2500);
+    expect(getOpusPacketDurationUs(Uint8Array.of(toc(31)))).toBe(20000);
+  });
+
+  test("multiplies by the frame count of the packet", () => {
+    expect(getOpusPacketDurationUs(Uint8Array.of(toc(1, 1)))).toBe(40000);
+    expect(getOpusPacketDurationUs(Uint8Array.of(toc(1, 2)))).toBe(40000);
+    expect(getOpusPacketDurationUs(Uint8Array.of(toc(1, 3), 0x83))).toBe(60000); // VBR flag set, 3 frames
+    expect(getOpusPacketDurationUs(Uint8Array.of(toc(31, 3), 6))).toBe(120000);
+  });
+
+  test("ignores the stereo flag", () => {
+    expect(getOpusPacketDurationUs(Uint8Array.of(toc(31) | 0x04))).toBe(20000);
+  });
+});
@@ -123,6 +123,21 @@ export function isFunction(inputFunction) {
   return inputFunction && {}.toString.call(inputFunction) === "[object Function]";
 }
 
+/**
+ * Save a blob as a file through a temporary download link.
+ * @param {Blob} blob - content of the file.
+ * @param {string} fileName - name the browser saves the file as.
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  // Revoke after the click was handled, the download keeps its own reference
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
 export function isDevEnvironment() {
   if (import.meta.env.DEV) {
     console.info("Running in development mode (Vite dev server)");
@@ -0,0 +1,139 @@
+// Copyright 2025 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+// Also bundled into the capture AudioWorklet, so this module must not depend on the DOM or other modules.
+
+const FILTER_PHASES = 128; // Fractional positions the filter is precomputed for
+const FILTER_ZERO_CROSSINGS = 16; // Sinc lobes on each side of the center tap
+const FILTER_ROLLOFF = 0.92; // Cutoff as a fraction of the lower Nyquist frequency
+
+/**
+ * Streaming band-limited resampler (polyphase windowed-sinc), for any pair of sample rates.
+ *
+ * Keeps the tail of each block to filter the start of the next one, so a continuous stream
+ * can be passed in blocks of any size. Output is delayed by the filter half width
+ * (1ms when upsampling from 16kHz), call reset() when the stream is interrupted.
+ */
+export class Resampler {
+  /**
+   * @param {number} fromRate - Input sample rate
+   * @param {number} toRate - Output sample rate
+   */
+  constructor(fromRate, toRate) {
+    this.fromRate = fromRate;
+    this.toRate = toRate;
+    this.step = fromRate / toRate; // Input samples per output sample
+    this.isPassthrough = fromRate === toRate;
+
+    // Downsampling lowers the cutoff below the output Nyquist frequency, widening the filter to keep its quality
+    this.cutoff = Math.min(1, toRate / fromRate) * FILTER_ROLLOFF;
+    this.halfWidth = Math.ceil(FILTER_ZERO_CROSSINGS / this.cutoff);
+    this.filterTable = this.isPassthrough ? null : createFilterTable(this.cutoff, this.halfWidth);
+
+    this.reset();
+  }
+
+  reset() {
+    // Zero history, so the first output sample is centered on the first input sample
+    this.history = new Float32Array(this.halfWidth);
+    this.position = this.halfWidth;
+  }
+
+  /**
+   * @param {Float32Array} input - Next block of input samples
+   * @returns {Float32Array} - Resampled block, its length varies with the fractional position between blocks
+   */
+  process(input) {
+    if (this.isPassthrough) return Float32Array.from(input);
+
+    const buffer = new Float32Array(this.history.length + input.length);
+    buffer.set(this.history);
+    buffer.set(input, this.history.length);
+
+    const taps = this.halfWidth * 2;
+    const output = new Float32Array(Math.max(0, Math.ceil((buffer.length - this.halfWidth - this.position) / this.step)));
+    let outputLength = 0;
+    let position = this.position;
+
+    while (Math.floor(position) + this.halfWidth < buffer.length && outputLength < output.length) {
+      const index = Math.floor(position);
+      const phase = Math.round((position - index) * FILTER_PHASES);
+      const coefficients = this.filterTable[phase];
+      const start = index - this.halfWidth + 1;
+
+      let sum = 0;
+      for (let k = 0; k < taps; k++) {
+        sum += buffer[start + k] * coefficients[k];
+      }
+      output[outputLength++] = sum;
+      position += this.step;
+    }
+
+    // Keep the samples the next output still needs
+    const keepFrom = Math.max(0, Math.floor(position) - this.halfWidth + 1);
+    this.history = buffer.slice(keepFrom);
+    this.position = position - keepFrom;
+
+    return output.subarray(0, outputLength);
+  }
+}
+
+/**
+ * Resample 16-bit PCM with a stateful Resampler
+ *
+ * @param {Resampler} resampler
+ * @param {Int16Array} samples
+ * @returns {Int16Array}
+ */
+export function resamplePcm16(resampler, samples) {
+  const input = new Float32Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    input[i] = samples[i] / 32768;
+  }
+  return floatToPcm16(resampler.process(input));
+}
+
+export function floatToPcm16(samples) {
+  const output = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const s = Math.max(-1, Math.min(1, samples[i]));
+    output[i] = s < 0 ? s * 0x8000 : s * 0x7fff;
+  }
+  return output;
+}
+
+// One row of taps per fractional phase, each row normalized to unity gain
+function createFilterTable(cutoff, halfWidth) {
+  const taps = halfWidth * 2;
+  const table = [];
+  for (let phase = 0; phase <= FILTER_PHASES; phase++) {
+    const fraction = phase / FILTER_PHASES;
+    const row = new Float32Array(taps);
+    let sum = 0;
+    for (let k = 0; k < taps; k++) {
+      // Distance from the output position to input sample (index - halfWidth + 1 + k)
+      const x = k - halfWidth + 1 - fraction;
+      const value = cutoff * sinc(cutoff * x) * blackman(x / halfWidth);
+      row[k] = value;
+      sum += value;
+    }
+    for (let k = 0; k < taps; k++) {
+      row[k] /= sum;
+    }
+    table.push(row);
+  }
+  return table;
+}
+
+function sinc(x) {
+  if (x === 0) return 1;
+  const px = Math.PI * x;
+  return Math.sin(px) / px;
+}
+
+// Blackman window over [-1, 1]
+function blackman(x) {
+  if (x <= -1 || x >= 1) return 0;
+  const t = (x + 1) / 2;
+  return 0.42 - 0.5 * Math.cos(2 * Math.PI * t) + 0.08 * Math.cos(4 * Math.PI * t);
+}
@@ -1,10 +1,10 @@
 // Copyright 2025 Amazon.com, Inc. or its affiliates. All Rights Reserved.
 // SPDX-License-Identifier: MIT-0
 import { Buffer } from "buffer";
-import MicrophoneStream from "microphone-stream";
 
+//Converts a chunk of 32-bit float samples to 16-bit PCM
 export function encodePCMChunk(chunk) {
-  const input = MicrophoneStream.toRaw(chunk);
+  const input = new Float32Array(chunk.buffer);
 
   // const GAIN = 10000; // Adjust this value to increase/decrease the volume. 10000 is a good starting point for typical microphone input.
 
@@ -18,35 +18,35 @@ export function encodePCMChunk(chunk) {
   return Buffer.from(buffer);
 }
 
-//Creates Agent Mic Stream, used as input for Amazon Transcribe when transcribing agent's voice
-export async function createMicrophoneStream(microphoneConstraints) {
-  const micStream = new MicrophoneStream();
-  micStream.setStream(await navigator.mediaDevices.getUserMedia(microphoneConstraints));
-  return micStream;
-}
-
 export const getTranscribeMicStream = async function* (amazonTranscribeMicStream, sampleRate) {
   for await (const chunk of amazonTranscribeMicStream) {
-    if (chunk.length <= sampleRate) {
-      const encodedChunk = encodePCMChunk(chunk);
-      yield {
-        AudioEvent: {
-          AudioChunk: encodedChunk,
-        },
-      };
-    }
+    const encodedChunk = encodePCMChunk(chunk);
+    yield {
+      AudioEvent: {
+        AudioChunk: encodedChunk,
+      },
+    };
   }
 };
 
 export const getTranscribeAudioStream = async function* (amazonTranscribeAudioStream, sampleRate) {
   for await (const chunk of amazonTranscribeAudioStream) {
-    if (chunk.length <= sampleRate) {
-      const encodedChunk = encodePCMChunk(chunk);
-      yield {
-        AudioEvent: {
-          AudioChunk: encodedChunk,
-        },
-      };
-    }
+    const encodedChunk = encodePCMChunk(chunk);
+    yield {
+      AudioEvent: {
+        AudioChunk: encodedChunk,
+      },
+    };
+  }
+};
+
+//Frames that are already 16-bit PCM (see AudioCaptureManager), passed on as they are
+export const getTranscribePcmStream = async function* (pcmChunks) {
+  for await (const chunk of pcmChunks) {
+    yield {
+      AudioEvent: {
+        AudioChunk: chunk,
+      },
+    };
   }
 };
@@ -0,0 +1,110 @@
+// Copyright 2025 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+export const TRANSCRIPT_EXPORT_FORMATS = {
+  JSON: "json",
+  VTT: "vtt",
+  SRT: "srt",
+  TXT: "txt",
+};
+
+const MIME_TYPES = {
+  [TRANSCRIPT_EXPORT_FORMATS.JSON]: "application/json",
+  [TRANSCRIPT_EXPORT_FORMATS.VTT]: "text/vtt",
+  [TRANSCRIPT_EXPORT_FORMATS.SRT]: "application/x-subrip",
+  [TRANSCRIPT_EXPORT_FORMATS.TXT]: "text/plain",
+};
+
+const MIN_CUE_DURATION_MS = 1000; // Cues of segments received without a duration stay readable
+
+/**
+ * Export a stored transcript (see TranscriptStoreManager)
+ *
+ * @param {Object} transcript - StoredTranscript
+ * @param {string} format - One of TRANSCRIPT_EXPORT_FORMATS
+ * @returns {Blob}
+ */
+export function exportTranscript(transcript, format) {
+  const segments = [...transcript.segments].sort((a, b) => a.startTime - b.startTime);
+
+  let content;
+  switch (format) {
+    case TRANSCRIPT_EXPORT_FORMATS.JSON:
+      content = JSON.stringify({ ...transcript, segments }, null, 2);
+      break;
+    case TRANSCRIPT_EXPORT_FORMATS.VTT:
+      content = toWebVtt(segments);
+      break;
+    case TRANSCRIPT_EXPORT_FORMATS.SRT:
+      content = toSrt(segments);
+      break;
+    case TRANSCRIPT_EXPORT_FORMATS.TXT:
+      content = toText(transcript, segments);
+      break;
+    default:
+      throw new Error(`Unsupported transcript export format: ${format}`);
+  }
+  return new Blob([content], { type: `${MIME_TYPES[format]};charset=utf-8` });
+}
+
+function toWebVtt(segments) {
+  const cues = segments.map((segment) => {
+    const { start, end } = getCueTimes(segment);
+    // The voice span carries the speaker, players show it as a label, the translation is in italics
+    const lines = [];
+    if (segment.original) lines.push(escapeVttText(segment.original));
+    if (segment.translation) lines.push(`<i>${escapeVttText(segment.translation)}</i>`);
+    lines[0] = `<v ${getSpeakerLabel(segment)}>${lines[0]}`;
+    return `${segment.id}\n${formatTime(start, ".")} --> ${formatTime(end, ".")}\n${lines.join("\n")}`;
+  });
+  return `WEBVTT\n\n${cues.join("\n\n")}\n`;
+}
+
+function toSrt(segments) {
+  const cues = segments.map((segment, index) => {
+    const { start, end } = getCueTimes(segment);
+    const lines = [segment.original, segment.translation].filter(Boolean);
+    lines[0] = `${getSpeakerLabel(segment)}: ${lines[0]}`;
+    return `${index + 1}\n${formatTime(start, ",")} --> ${formatTime(end, ",")}\n${lines.join("\n")}`;
+  });
+  return `${cues.join("\n\n")}\n`;
+}
+
+function toText(transcript, segments) {
+  const header = [`Contact: ${transcript.contactId}`, `Started: ${transcript.startedAt}`];
+  if (transcript.endedAt) header.push(`Ended: ${transcript.endedAt}`);
+
+  const lines = segments.map((segment) => {
+    const language = segment.sourceLanguage ? ` (${segment.sourceLanguage})` : "";
+    let line = `[${formatTime(segment.startTime, ".").slice(0, 8)}] ${getSpeakerLabel(segment)}${language}: ${segment.original}`;
+    if (segment.translation) {
+      const targetLanguage = segment.targetLanguage ? ` (${segment.targetLanguage})` : "";
+      line += `\n    Translation${targetLanguage}: ${segment.translation}`;
+    }
+    return line;
+  });
+  return `${header.join("\n")}\n\n${lines.join("\n")}\n`;
+}
+
+function getCueTimes(segment) {
+  return { start: segment.startTime, end: Math.max(segment.endTime, segment.startTime + MIN_CUE_DURATION_MS) };
+}
+
+function getSpeakerLabel(segment) {
+  if (segment.speakerLabel) return segment.speakerLabel;
+  return segment.speaker === "customer" ? "Customer" : "Agent";
+}
+
+// HH:MM:SS.mmm (WebVTT) or HH:MM:SS,mmm (SRT)
+function formatTime(ms, millisecondSeparator) {
+  const totalMs = Math.max(0, Math.round(ms));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const seconds = Math.floor((totalMs % 60000) / 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, "0");
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${millisecondSeparator}${pad(totalMs % 1000, 3)}`;
+}
+
+function escapeVttText(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
@@ -0,0 +1,67 @@
+// Copyright 2025 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+import { describe, expect, test } from "vitest";
+import { TRANSCRIPT_EXPORT_FORMATS, exportTranscript } from "./transcriptExportUtils";
+
+function createTranscript(segments) {
+  return { contactId: "contact-1", startedAt: "2025-01-01T10:00:00.000Z", endedAt: "2025-01-01T11:00:00.000Z", segments };
+}
+
+function createSegment(overrides) {
+  return { id: "segment-1", speaker: "customer", original: "Hallo", translation: "Hello", startTime: 0, endTime: 1500, ...overrides };
+}
+
+async function exportText(segments, format) {
+  return exportTranscript(createTranscript(segments), format).text();
+}
+
+function getCueTimings(content) {
+  return content.split("\n").filter((line) => line.includes(" --> "));
+}
+
+describe("exportTranscript", () => {
+  test("formats WebVTT timestamps as HH:MM:SS.mmm", async () => {
+    const content = await exportText([createSegment({ startTime: 3723004, endTime: 3725678.4 })], TRANSCRIPT_EXPORT_FORMATS.VTT);
+
+    expect(content.startsWith("WEBVTT\n\n")).toBe(true);
+    expect(getCueTimings(content)).toEqual(["01:02:03.004 --> 01:02:05.678"]);
+  });
+
+  test("formats SRT timestamps as HH:MM:SS,mmm and numbers the cues from 1", async () => {
+    const content = await exportText([createSegment({ startTime: 59999.6, endTime: 61500 })], TRANSCRIPT_EXPORT_FORMATS.SRT);
+
+    expect(content).toBe("1\n00:01:00,000 --> 00:01:01,500\nCustomer: Hallo\nHello\n");
+  });
+
+  test("sorts the cues by start time", async () => {
+    const segments = [createSegment({ id: "late", startTime: 5000, endTime: 6000 }), createSegment({ id: "early", startTime: 1000, endTime: 2000 })];
+    const content = await exportText(segments, TRANSCRIPT_EXPORT_FORMATS.SRT);
+
+    expect(getCueTimings(content)).toEqual(["00:00:01,000 --> 00:00:02,000", "00:00:05,000 --> 00:00:06,000"]);
+  });
+
+  test("keeps cues of segments shorter than a second on screen for a second", async () => {
+    const segments = [createSegment({ startTime: 2000, endTime: 2000 }), createSegment({ id: "segment-2", startTime: 4000, endTime: 4300 })];
+    const content = await exportText(segments, TRANSCRIPT_EXPORT_FORMATS.VTT);
+
+    expect(getCueTimings(content)).toEqual(["00:00:02.000 --> 00:00:03.000", "00:00:04.000 --> 00:00:05.000"]);
+  });
+
+  test("clamps negative times to 0", async () => {
+    const content = await exportText([createSegment({ startTime: -250, endTime: 1500 })], TRANSCRIPT_EXPORT_FORMATS.SRT);
+
+    expect(getCueTimings(content)).toEqual(["00:00:00,000 --> 00:00:01,500"]);
+  });
+
+  test("labels the speaker with a WebVTT voice span and escapes the cue text", async () => {
+    const segments = [createSegment({ speaker: "agent", original: "a < b & c", translation: "x > y" }), createSegment({ id: "segment-2", speakerLabel: "Speaker 2", startTime: 2000 })];
+    const content = await exportText(segments, TRANSCRIPT_EXPORT_FORMATS.VTT);
+
+    expect(content).toContain("segment-1\n00:00:00.000 --> 00:00:01.500\n<v Agent>a &lt; b &amp; c\n<i>x &gt; y</i>");
+    expect(content).toContain("segment-2\n00:00:02.000 --> 00:00:03.000\n<v Speaker 2>Hallo\n<i>Hello</i>");
+  });
+
+  test("rejects unknown formats", () => {
+    expect(() => exportTranscript(createTranscript([]), "docx")).toThrow("Unsupported transcript export format: docx");
+  });
+});
@@ -0,0 +1,106 @@
+// Copyright 2025 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+// Minimal ZIP writer (stored, no compression), recordings are already compressed by MediaRecorder
+
+const ZIP_VERSION = 20; // 2.0, needed for folders and stored entries
+const ZIP_FLAG_UTF8 = 0x0800; // File names are UTF-8
+const CRC_TABLE = createCrcTable();
+
+/**
+ * Package files into a ZIP archive
+ *
+ * @param {Array<{name: string, data: Blob|Uint8Array|string}>} files
+ * @param {Date} [date] - Modification date of all entries
+ * @returns {Promise<Blob>} - application/zip Blob
+ */
+export async function createZipBlob(files, date = new Date()) {
+  const encoder = new TextEncoder();
+  const { dosTime, dosDate } = toDosDateTime(date);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = await toUint8Array(file.data);
+    const crc = crc32(data);
+
+    const localHeader = new DataView(new ArrayBuffer(30));
+    localHeader.setUint32(0, 0x04034b50, true); // Local file header signature
+    localHeader.setUint16(4, ZIP_VERSION, true);
+    localHeader.setUint16(6, ZIP_FLAG_UTF8, true);
+    localHeader.setUint16(8, 0, true); // Stored
+    localHeader.setUint16(10, dosTime, true);
+    localHeader.setUint16(12, dosDate, true);
+    localHeader.setUint32(14, crc, true);
+    localHeader.setUint32(18, data.length, true); // Compressed size
+    localHeader.setUint32(22, data.length, true); // Uncompressed size
+    localHeader.setUint16(26, name.length, true);
+    localHeader.setUint16(28, 0, true); // Extra field length
+
+    const centralHeader = new DataView(new ArrayBuffer(46));
+    centralHeader.setUint32(0, 0x02014b50, true); // Central directory header signature
+    centralHeader.setUint16(4, ZIP_VERSION, true); // Version made by
+    centralHeader.setUint16(6, ZIP_VERSION, true); // Version needed
+    centralHeader.setUint16(8, ZIP_FLAG_UTF8, true);
+    centralHeader.setUint16(10, 0, true);
+    centralHeader.setUint16(12, dosTime, true);
+    centralHeader.setUint16(14, dosDate, true);
+    centralHeader.setUint32(16, crc, true);
+    centralHeader.setUint32(20, data.length, true);
+    centralHeader.setUint32(24, data.length, true);
+    centralHeader.setUint16(28, name.length, true);
+    // Extra field, comment, disk number, internal and external attributes stay 0
+    centralHeader.setUint32(42, offset, true); // Offset of the local header
+
+    localParts.push(localHeader, name, data);
+    centralParts.push(centralHeader, name);
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // End of central directory signature
+  end.setUint16(8, files.length, true); // Entries on this disk
+  end.setUint16(10, files.length, true); // Total entries
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true); // Offset of the central directory
+
+  return new Blob([...localParts, ...centralParts, end], { type: "application/zip" });
+}
+
+async function toUint8Array(data) {
+  if (data instanceof Uint8Array) return data;
+  if (typeof data === "string") return new TextEncoder().encode(data);
+  return new Uint8Array(await data.arrayBuffer());
+}
+
+// MS-DOS date and time, local time with 2 second resolution
+function toDosDateTime(date) {
+  return {
+    dosTime: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    dosDate: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+// CRC-32 (IEEE 802.3, reflected polynomial 0xEDB88320)
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function createCrcTable() {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+}
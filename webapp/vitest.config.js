@@ -0,0 +1,9 @@
+import { defineConfig } from "vitest/config";
+
+// Tests run without the dev server plugins of vite.config.js, mkcert would download its binary
+export default defineConfig({
+  test: {
+    include: ["**/*.test.js"],
+    exclude: ["node_modules/**", "dist/**"],
+  },
+});
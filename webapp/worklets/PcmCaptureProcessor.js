@@ -0,0 +1,53 @@
+// Copyright 2025 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: MIT-0
+
+import { Resampler } from "../utils/resamplerUtils.js";
+
+// Runs on the audio rendering thread, bundled with its imports and loaded with audioContext.audioWorklet.addModule().
+// Resamples the input to targetSampleRate, converts it to 16-bit PCM and posts frames of frameLength samples.
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const { targetSampleRate, frameLength } = options.processorOptions;
+
+    // sampleRate is the AudioContext sample rate, provided by AudioWorkletGlobalScope
+    this.resampler = new Resampler(sampleRate, targetSampleRate);
+    this.frameLength = frameLength;
+    this.frame = new Int16Array(frameLength);
+    this.frameIndex = 0;
+
+    this.isStopped = false;
+    this.port.onmessage = (event) => {
+      if (event.data === "stop") this.isStopped = true;
+    };
+  }
+
+  process(inputs) {
+    if (this.isStopped) return false;
+
+    const input = inputs[0];
+    // No input connected (e.g. the track ended), keep the node alive until stopped
+    if (!input || input.length === 0) return true;
+
+    const samples = this.resampler.process(input[0]);
+    for (let i = 0; i < samples.length; i++) {
+      this.pushSample(samples[i]);
+    }
+
+    return true;
+  }
+
+  pushSample(sample) {
+    const s = Math.max(-1, Math.min(1, sample));
+    this.frame[this.frameIndex++] = s < 0 ? s * 0x8000 : s * 0x7fff;
+
+    if (this.frameIndex === this.frameLength) {
+      // Transfer the frame to the main thread instead of copying it
+      this.port.postMessage(this.frame.buffer, [this.frame.buffer]);
+      this.frame = new Int16Array(this.frameLength);
+      this.frameIndex = 0;
+    }
+  }
+}
+
+registerProcessor("pcm-capture-processor", PcmCaptureProcessor);